@@ -0,0 +1,131 @@
+// Writely dashboard analytics — pure functions over tasks, bids, ledger rows and reviews, used by the app's dashboard
+// and tested in writely_analytics.test.mjs. `range` is { from, to } as YYYY-MM-DD, either may be blank, as for
+// statements. Money is in base-currency minor units: pass `toBase(amount, currency)` to convert bids priced in another
+// currency, and `bidStatus(bid, now)` to derive statuses (such as expiry) the stored one doesn't carry.
+
+const defaultBidStatus = bid => bid.status;
+const sameAmount = amount => amount;
+
+// Local calendar day of `time` as YYYY-MM-DD
+function isoDay(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Inclusive millisecond bounds of `range`, from the start of `from` to the end of `to`; a blank side is unbounded
+export function rangeBounds({ from, to }) {
+  return {
+    start: from ? new Date(`${from}T00:00:00`).getTime() : -Infinity,
+    end: to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity
+  };
+}
+
+const inBounds = ({ start, end }, time) => time >= start && time <= end;
+const mean = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// Days for up to a month, weeks (from Monday) up to half a year, months beyond
+function periodUnit(start, end) {
+  const days = (end - start) / 86400000;
+  return days <= 31 ? 'day' : days <= 183 ? 'week' : 'month';
+}
+
+function periodStart(time, unit) {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  if (unit === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (unit === 'month') d.setDate(1);
+  return d.getTime();
+}
+
+function nextPeriod(time, unit) {
+  const d = new Date(time);
+  if (unit === 'month') d.setMonth(d.getMonth() + 1);
+  else d.setDate(d.getDate() + (unit === 'week' ? 7 : 1));
+  return d.getTime();
+}
+
+// Pure: `points` ({ at, value }) grouped into consecutive periods spanning the range, each summed or averaged
+// (empty periods are 0 for 'sum' and null for 'average'). A blank start begins at the first point, a blank end now.
+export function timeSeries(points, range, combine = 'sum', now = Date.now()) {
+  const bounds = rangeBounds(range);
+  const inside = points.filter(p => inBounds(bounds, p.at));
+  const first = Number.isFinite(bounds.start) ? bounds.start : Math.min(now, ...inside.map(p => p.at));
+  const last = Number.isFinite(bounds.end) ? bounds.end : now;
+  const unit = periodUnit(first, last);
+  const buckets = new Map();
+  for (let at = periodStart(first, unit); at <= last; at = nextPeriod(at, unit)) buckets.set(at, []);
+  inside.forEach(p => {
+    const bucket = buckets.get(periodStart(p.at, unit));
+    if (bucket) bucket.push(p.value);
+  });
+  return [...buckets].map(([at, values]) => ({
+    at, unit, count: values.length, value: combine === 'sum' ? values.reduce((sum, v) => sum + v, 0) : mean(values)
+  }));
+}
+
+// An open start becomes the day of the earliest point, so every chart in a report covers the same periods
+const seriesRange = (range, points, now) => (range.from ? range : { ...range, from: isoDay(Math.min(now, ...points.map(p => p.at))) });
+
+// First status change into `to` (after `after`, if given) from a task's history
+const historyAt = (task, to, after = -Infinity) => ((task.history || []).find(h => h.to === to && h.at >= after) || {}).at ?? null;
+
+// Bids are counted when placed, earnings when released, turnaround (accepted -> first delivery) when delivered and
+// ratings when reviewed. The win rate leaves out bids still open and those the tutor withdrew.
+export function tutorAnalytics(tutorId, { tasks, bids, entries, reviews }, range, { now = Date.now(), bidStatus = defaultBidStatus, toBase = sameAmount } = {}) {
+  const bounds = rangeBounds(range);
+  const placed = bids.filter(b => b.tutorId === tutorId && inBounds(bounds, b.createdAt));
+  const won = placed.filter(b => b.status === 'accepted');
+  const decided = placed.map(b => ({ at: b.createdAt, status: bidStatus(b, now) })).filter(b => ['accepted', 'rejected', 'expired'].includes(b.status));
+  const releases = entries.filter(e => e.account === `tutor:${tutorId}` && e.kind === 'release' && e.amount > 0);
+  const deliveries = tasks.filter(t => t.tutorId === tutorId).map(t => {
+    const accepted = historyAt(t, 'in_progress');
+    const delivered = accepted === null ? null : historyAt(t, 'delivered', accepted);
+    return delivered === null ? null : { at: delivered, value: delivered - accepted };
+  }).filter(d => d && inBounds(bounds, d.at));
+  const ratings = reviews.filter(r => r.revieweeId === tutorId && r.reviewerRole === 'student').map(r => ({ at: r.createdAt, value: r.rating }));
+  const ratedInRange = ratings.filter(r => inBounds(bounds, r.at));
+  const decidedPoints = decided.map(b => ({ at: b.at, value: b.status === 'accepted' ? 1 : 0 }));
+  const earningPoints = releases.map(e => ({ at: e.at, value: e.amount }));
+  const span = seriesRange(range, [...placed.map(b => ({ at: b.createdAt })), ...earningPoints, ...deliveries, ...ratings], now);
+  return {
+    bidsPlaced: placed.length,
+    bidsWon: won.length,
+    bidsDecided: decided.length,
+    winRate: decided.length ? won.length / decided.length : null,
+    winRateSeries: timeSeries(decidedPoints, span, 'average', now),
+    averageBid: mean(placed.map(b => toBase(b.amount, b.currency))),
+    averageAccepted: mean(won.map(b => toBase(b.amount, b.currency))),
+    earnings: Math.round(releases.filter(e => inBounds(bounds, e.at)).reduce((sum, e) => sum + e.amount, 0)),
+    earningsSeries: timeSeries(earningPoints, span, 'sum', now),
+    deliveries: deliveries.length,
+    averageTurnaround: mean(deliveries.map(d => d.value)),
+    turnaroundSeries: timeSeries(deliveries, span, 'average', now),
+    reviews: ratedInRange.length,
+    averageRating: mean(ratedInRange.map(r => r.value)),
+    ratingSeries: timeSeries(ratings, span, 'average', now)
+  };
+}
+
+// Spend is the net of escrow funding and refunds on the student's ledger account; bid counts and time to first bid
+// belong to the period each task was posted in. Bids hidden by moderators are not counted.
+export function studentAnalytics(studentId, { tasks, bids, entries }, range, { now = Date.now() } = {}) {
+  const bounds = rangeBounds(range);
+  const posted = tasks.filter(t => t.studentId === studentId && inBounds(bounds, t.createdAt));
+  const bidsOn = new Map(posted.map(t => [t.id, []]));
+  bids.forEach(b => { if (!b.hiddenAt && bidsOn.has(b.taskId)) bidsOn.get(b.taskId).push(b); });
+  const received = posted.map(t => ({ at: t.createdAt, value: bidsOn.get(t.id).length }));
+  const firstBids = posted.filter(t => bidsOn.get(t.id).length).map(t => ({
+    at: t.createdAt, value: Math.max(0, Math.min(...bidsOn.get(t.id).map(b => b.createdAt)) - t.createdAt)
+  }));
+  const spend = entries.filter(e => e.account === `student:${studentId}` && ['fund', 'refund'].includes(e.kind)).map(e => ({ at: e.at, value: -e.amount }));
+  const span = seriesRange(range, [...received, ...spend], now);
+  return {
+    tasksPosted: posted.length,
+    spent: Math.round(spend.filter(s => inBounds(bounds, s.at)).reduce((sum, s) => sum + s.value, 0)),
+    spendSeries: timeSeries(spend, span, 'sum', now),
+    averageBidsPerTask: mean(received.map(r => r.value)),
+    bidsPerTaskSeries: timeSeries(received, span, 'average', now),
+    averageTimeToFirstBid: mean(firstBids.map(f => f.value)),
+    firstBidSeries: timeSeries(firstBids, span, 'average', now)
+  };
+}
@@ -0,0 +1,151 @@
+// Tests for writely_analytics.mjs. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rangeBounds, timeSeries, tutorAnalytics, studentAnalytics } from './writely_analytics.mjs';
+
+// Local times, so the day buckets line up whatever the machine's time zone
+const at = (day, time = '12:00') => new Date(`${day}T${time}:00`).getTime();
+const HOUR = 3600000;
+const now = at('2026-03-31');
+const march = { from: '2026-03-01', to: '2026-03-31' };
+
+test('rangeBounds covers whole days and leaves blank sides open', () => {
+  assert.deepEqual(rangeBounds({ from: '', to: '' }), { start: -Infinity, end: Infinity });
+  const { start, end } = rangeBounds({ from: '2026-03-01', to: '2026-03-02' });
+  assert.equal(start, at('2026-03-01', '00:00'));
+  assert.equal(end, at('2026-03-03', '00:00') - 1);
+});
+
+test('timeSeries fills every period of the range, summing or averaging', () => {
+  const points = [{ at: at('2026-03-01'), value: 2 }, { at: at('2026-03-01', '18:00'), value: 4 }, { at: at('2026-03-03'), value: 1 }];
+  const range = { from: '2026-03-01', to: '2026-03-03' };
+  const sum = timeSeries(points, range, 'sum', now);
+  assert.deepEqual(sum.map(p => [p.unit, p.value, p.count]), [['day', 6, 2], ['day', 0, 0], ['day', 1, 1]]);
+  assert.deepEqual(timeSeries(points, range, 'average', now).map(p => p.value), [3, null, 1]);
+});
+
+test('timeSeries groups longer ranges by week or month and leaves out points outside the range', () => {
+  const points = [{ at: at('2026-01-05'), value: 1 }, { at: at('2025-12-31'), value: 100 }];
+  const weeks = timeSeries(points, { from: '2026-01-01', to: '2026-03-31' }, 'sum', now);
+  assert.ok(weeks.every(p => p.unit === 'week'));
+  assert.equal(weeks.reduce((total, p) => total + p.value, 0), 1);
+  assert.equal(new Date(weeks[1].at).getDay(), 1);
+  const months = timeSeries(points, { from: '2025-01-01', to: '2026-03-31' }, 'sum', now);
+  assert.equal(months.length, 15);
+  assert.ok(months.every(p => p.unit === 'month' && new Date(p.at).getDate() === 1));
+});
+
+test('timeSeries with a blank start begins at the first point and runs to now', () => {
+  const series = timeSeries([{ at: at('2026-03-29'), value: 5 }], { from: '', to: '' }, 'sum', now);
+  assert.deepEqual(series.map(p => p.value), [5, 0, 0]);
+});
+
+const tutor = 'u_tutor';
+const student = 'u_student';
+const history = (...steps) => steps.map(([to, time]) => ({ to, at: time }));
+
+const tutorData = {
+  tasks: [
+    { id: 't1', tutorId: tutor, history: history(['in_progress', at('2026-03-02')], ['delivered', at('2026-03-02') + 10 * HOUR]) },
+    { id: 't2', tutorId: tutor, history: history(['in_progress', at('2026-03-05')], ['delivered', at('2026-03-05') + 30 * HOUR]) },
+    { id: 't3', tutorId: tutor, history: history(['in_progress', at('2026-03-06')]) },
+    { id: 't4', tutorId: 'u_other', history: history(['in_progress', at('2026-03-02')], ['delivered', at('2026-03-03')]) }
+  ],
+  bids: [
+    { id: 'b1', tutorId: tutor, status: 'accepted', amount: 1000, currency: 'KES', createdAt: at('2026-03-01') },
+    { id: 'b2', tutorId: tutor, status: 'rejected', amount: 3000, currency: 'KES', createdAt: at('2026-03-02') },
+    { id: 'b3', tutorId: tutor, status: 'active', amount: 2000, currency: 'KES', createdAt: at('2026-03-03') },
+    { id: 'b4', tutorId: tutor, status: 'withdrawn', amount: 2000, currency: 'KES', createdAt: at('2026-03-04') },
+    { id: 'b5', tutorId: tutor, status: 'active', amount: 10, currency: 'USD', createdAt: at('2026-03-05') },
+    { id: 'b6', tutorId: tutor, status: 'accepted', amount: 500, currency: 'KES', createdAt: at('2026-02-01') },
+    { id: 'b7', tutorId: 'u_other', status: 'accepted', amount: 9000, currency: 'KES', createdAt: at('2026-03-01') }
+  ],
+  entries: [
+    { account: `tutor:${tutor}`, kind: 'release', amount: 900, at: at('2026-03-03') },
+    { account: `tutor:${tutor}`, kind: 'release', amount: 450, at: at('2026-03-10') },
+    { account: `tutor:${tutor}`, kind: 'payout_request', amount: -900, at: at('2026-03-11') },
+    { account: `tutor:${tutor}`, kind: 'release', amount: 300, at: at('2026-02-10') }
+  ],
+  reviews: [
+    { revieweeId: tutor, reviewerRole: 'student', rating: 5, createdAt: at('2026-03-04') },
+    { revieweeId: tutor, reviewerRole: 'student', rating: 4, createdAt: at('2026-03-08') },
+    { revieweeId: tutor, reviewerRole: 'tutor', rating: 1, createdAt: at('2026-03-08') },
+    { revieweeId: tutor, reviewerRole: 'student', rating: 1, createdAt: at('2026-02-08') }
+  ]
+};
+
+test('tutorAnalytics counts bids, earnings, turnaround and ratings inside the range', () => {
+  const a = tutorAnalytics(tutor, tutorData, march, { now });
+  assert.equal(a.bidsPlaced, 5);
+  assert.equal(a.bidsWon, 1);
+  // Open and withdrawn bids are left out of the win rate
+  assert.equal(a.bidsDecided, 2);
+  assert.equal(a.winRate, 0.5);
+  assert.equal(a.averageAccepted, 1000);
+  // Release rows only, not the payout request
+  assert.equal(a.earnings, 1350);
+  assert.equal(a.deliveries, 2);
+  assert.equal(a.averageTurnaround, 20 * HOUR);
+  // Reviews from students only
+  assert.equal(a.reviews, 2);
+  assert.equal(a.averageRating, 4.5);
+  assert.equal(a.earningsSeries.length, 31);
+  assert.equal(a.earningsSeries.reduce((total, p) => total + p.value, 0), 1350);
+});
+
+test('tutorAnalytics uses the bidStatus and toBase options', () => {
+  const expired = bid => (bid.status === 'active' ? 'expired' : bid.status);
+  const toBase = (amount, currency) => (currency === 'USD' ? amount * 130 : amount);
+  const a = tutorAnalytics(tutor, tutorData, march, { now, bidStatus: expired, toBase });
+  assert.equal(a.bidsDecided, 4);
+  assert.equal(a.winRate, 0.25);
+  assert.equal(a.averageBid, (1000 + 3000 + 2000 + 2000 + 1300) / 5);
+});
+
+test('tutorAnalytics with no activity reports nulls rather than zero rates', () => {
+  const a = tutorAnalytics('u_new', tutorData, march, { now });
+  assert.equal(a.bidsPlaced, 0);
+  assert.equal(a.winRate, null);
+  assert.equal(a.averageBid, null);
+  assert.equal(a.averageRating, null);
+  assert.equal(a.earnings, 0);
+  assert.ok(a.ratingSeries.every(p => p.value === null));
+});
+
+const studentData = {
+  tasks: [
+    { id: 't1', studentId: student, createdAt: at('2026-03-02') },
+    { id: 't2', studentId: student, createdAt: at('2026-03-10') },
+    { id: 't3', studentId: student, createdAt: at('2026-02-01') },
+    { id: 't4', studentId: 'u_other', createdAt: at('2026-03-02') }
+  ],
+  bids: [
+    { taskId: 't1', createdAt: at('2026-03-02') + 2 * HOUR },
+    { taskId: 't1', createdAt: at('2026-03-02') + 6 * HOUR },
+    { taskId: 't1', createdAt: at('2026-03-02') + HOUR, hiddenAt: at('2026-03-03') },
+    { taskId: 't3', createdAt: at('2026-02-02') },
+    { taskId: 't4', createdAt: at('2026-03-02') }
+  ],
+  entries: [
+    { account: `student:${student}`, kind: 'fund', amount: -2000, at: at('2026-03-03') },
+    { account: `student:${student}`, kind: 'refund', amount: 500, at: at('2026-03-12') },
+    { account: `student:${student}`, kind: 'fund', amount: -700, at: at('2026-02-03') }
+  ]
+};
+
+test('studentAnalytics nets refunds off spend and leaves hidden bids out', () => {
+  const a = studentAnalytics(student, studentData, march, { now });
+  assert.equal(a.tasksPosted, 2);
+  assert.equal(a.spent, 1500);
+  assert.equal(a.averageBidsPerTask, 1);
+  assert.equal(a.averageTimeToFirstBid, 2 * HOUR);
+  assert.equal(a.spendSeries.reduce((total, p) => total + p.value, 0), 1500);
+  assert.equal(a.bidsPerTaskSeries.find(p => p.at === at('2026-03-02', '00:00')).value, 2);
+});
+
+test('studentAnalytics over an open range starts at the earliest activity', () => {
+  const a = studentAnalytics(student, studentData, { from: '', to: '' }, { now });
+  assert.equal(a.tasksPosted, 3);
+  assert.equal(a.spent, 2200);
+  assert.equal(a.spendSeries[0].unit, 'week');
+});
@@ -0,0 +1,72 @@
+// Writely deadlines & calendar — shared by the app and writely_local_server.mjs, so a downloaded .ics and the
+// subscription feed list the same events. Plain JS with no browser or Node APIs beyond TextEncoder.
+
+// A task has a `deadline` (ms; `dueDate` keeps its day for display and search) and at most one milestone of each
+// kind: { kind, dueDate, amount, status, submittedAt, approvedAt }.
+export const MILESTONE_KINDS = { outline: 'Outline', draft: 'Draft', final: 'Final version' };
+// Task statuses in which deadlines still have to be met
+export const WORKING_STATUSES = ['open', 'in_progress', 'revision_requested'];
+
+// The task's `deadline`, else the end of its due day; null for tasks without a parseable date
+export function dueTimestamp(task) {
+  if (task.deadline) return task.deadline;
+  const due = new Date(`${task.dueDate}T23:59:59`);
+  return Number.isNaN(due.getTime()) ? null : due.getTime();
+}
+
+// The task's deadline and milestones as calendar items. An item is `done` once nothing more is due on it.
+export function taskDeadlines(task) {
+  const working = WORKING_STATUSES.includes(task.status || 'open');
+  const base = { taskId: task.id, taskTitle: task.title, currency: task.currency };
+  const items = [{ ...base, id: task.id, kind: 'deadline', label: 'Deadline', at: dueTimestamp(task), amount: null, done: !working }];
+  (task.milestones || []).forEach(m => items.push({
+    ...base, id: `${task.id}:${m.kind}`, kind: m.kind, label: MILESTONE_KINDS[m.kind], at: dueTimestamp({ dueDate: m.dueDate }),
+    amount: m.amount || null, done: !working || (m.status || 'pending') !== 'pending'
+  }));
+  return items.filter(item => item.at);
+}
+
+export function calendarEvents(tasks) {
+  return tasks.filter(t => t.status !== 'cancelled').flatMap(taskDeadlines).sort((a, b) => a.at - b.at);
+}
+
+export const icsStamp = time => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+export const icsText = text => String(text).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuations start with a space
+export function icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+// Pure apart from DTSTAMP: an RFC 5545 calendar with a half-hour event ending at each deadline.
+// `formatAmount(amount, currency)` renders milestone payments, which are stored in minor units.
+export function toICS(events, { name = 'Writely deadlines', link, formatAmount = String } = {}) {
+  const stamp = icsStamp(Date.now());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Writely//Deadlines//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${icsText(name)}`];
+  events.forEach(e => {
+    const summary = `${e.label}: ${e.taskTitle}`;
+    const description = e.kind === 'deadline' ? `Deadline for "${e.taskTitle}"` : `${e.label} milestone for "${e.taskTitle}"${e.amount ? ` (${formatAmount(e.amount, e.currency)} on approval)` : ''}`;
+    lines.push('BEGIN:VEVENT', `UID:${e.id}@writely`, `DTSTAMP:${stamp}`, `DTSTART:${icsStamp(e.at - 30 * 60 * 1000)}`, `DTEND:${icsStamp(e.at)}`,
+      `SUMMARY:${icsText(summary)}`, `DESCRIPTION:${icsText(description)}`);
+    if (link) lines.push(`URL:${link}`);
+    if (!e.done) lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${icsText(summary)}`, 'TRIGGER:-PT24H', 'END:VALARM');
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
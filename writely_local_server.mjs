@@ -0,0 +1,1600 @@
+// Writely local API server — backs the 'http' storage adapter during development.
+// Run with: node writely_local_server.mjs   (optional env: PORT, WRITELY_DATA, ADMIN_EMAILS, plus the settings below)
+// Routes: GET /api/:collection?field=<JSON value>, GET /api/:collection/:id, POST /api/:collection,
+//         PATCH /api/:collection/:id, DELETE /api/:collection/:id (see Record access below for who may read and write what)
+//         Every record a POST or PATCH stores passes the app's validate() (writely_schemas.mjs) first
+// Config:   GET /api/config (commission rate and originality threshold; env COMMISSION_RATE, ORIGINALITY_THRESHOLD)
+// Backups:  GET /api/backup, POST /api/restore { mode: 'merge' | 'replace', data } (admins only)
+// Auth:     POST /api/auth/register|login|logout|password|reset-request|reset, GET|POST /api/auth/session
+// Blobs:    PUT /api/blobs/:key (raw bytes), GET /api/blobs/:key, DELETE /api/blobs/:key
+// Payments: GET /api/payment-providers, POST /api/checkout, GET /api/provider-status/:paymentId, POST /webhooks/:provider
+// Ledger:   read-only over HTTP; task status and milestone PATCHes and payout records post its rows (see Task settlement)
+// Notifications: recorded only by the server, from the changes it stores and a deadline check every 10 minutes;
+//           users may only mark theirs read (see Notifications)
+// Mail:     no route; notification records and password reset links are emailed (MAILER=file (default) writes .eml
+//           files to WRITELY_MAIL_DIR; MAILER=smtp relays through SMTP_HOST:SMTP_PORT, e.g. MailHog or a local Postfix)
+// Transcription: GET /api/transcription-engines, POST /api/transcriptions?language=&engine=&name= (raw audio body,
+//           signed in); poll GET /api/transcription_jobs/:id. Engines are configured by the env vars below.
+// Originality: POST /api/originality-checks { fileId } (the deliverable's tutor); reports land in originality_reports
+// Calendar: GET /api/calendar/:token.ics — the deadlines of the user whose calendarToken matches, as an iCalendar feed
+import http from 'node:http';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import net from 'node:net';
+import os from 'node:os';
+import { spawn, execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { taskDeadlines, calendarEvents, toICS } from './writely_calendar.mjs';
+import { ORIGINALITY_SETTINGS, NO_FINDINGS, extractText, checkableText, originalityFindings } from './writely_originality.mjs';
+import { taskActorRole, allowedTransitions, milestoneStep, releaseLegs, refundLegs, cancellationSplit } from './writely_tasks.mjs';
+import { NOTIFICATION_EVENTS, deadlineState } from './writely_notifications.mjs';
+import { formatMoney, validate } from './writely_schemas.mjs';
+
+const env = process.env;
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = process.env.WRITELY_DATA || 'writely-data.json';
+// Local stand-in for object storage (S3 and friends): one file per blob key plus a .json sidecar with its content type
+const FILES_DIR = process.env.WRITELY_FILES || 'writely-files';
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Where providers send webhooks (must be reachable by Stripe/Safaricom, e.g. through a tunnel) and where users return
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MOCK_PROVIDER_PORT = Number(process.env.MOCK_PROVIDER_PORT) || 4010;
+// Platform settings the app loads from GET /api/config
+const COMMISSION_RATE = Number(env.COMMISSION_RATE || 0.1);
+// Percent similarity at which a deliverable is flagged for admins; 0 turns flagging off
+const ORIGINALITY_THRESHOLD = Number(env.ORIGINALITY_THRESHOLD ?? 25);
+const COLLECTIONS = ['users', 'tasks', 'bids', 'payments', 'sessions', 'ledger', 'messages', 'files', 'reviews', 'notifications', 'transcription_jobs', 'transcripts', 'document_texts', 'originality_reports'];
+const ID_PREFIX = {
+  users: 'u', tasks: 't', bids: 'b', payments: 'p', sessions: 's', ledger: 'l', messages: 'm', files: 'f', reviews: 'r', notifications: 'n',
+  transcription_jobs: 'j', transcripts: 'tr', document_texts: 'dt', originality_reports: 'or'
+};
+
+// ---------- File-backed store ----------
+function load() {
+  const db = fs.existsSync(DATA_FILE) ? JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) : {};
+  COLLECTIONS.forEach(c => { db[c] = db[c] || []; });
+  db.webhook_events = db.webhook_events || []; // processed provider events, server-only
+  upgradeAmounts(db);
+  return db;
+}
+
+// Amounts are integer minor units with a currency code (the app's schema v14). Records written before that carry
+// no code and hold KES in major units; convert them the same way the app's migration does.
+function upgradeAmounts(db) {
+  const cents = v => (typeof v === 'number' ? Math.round(v * 100) : v);
+  const price = r => { if (!r.currency) Object.assign(r, { amount: cents(r.amount), currency: 'KES' }); };
+  const priceBid = b => {
+    if (!b.currency && b.counterOffer) b.counterOffer.amount = cents(b.counterOffer.amount);
+    price(b);
+  };
+  db.tasks.filter(t => !t.currency).forEach(t => {
+    Object.assign(t, { budget: cents(t.budget), currency: 'KES' });
+    if (t.acceptedBid) priceBid(t.acceptedBid);
+    (t.milestones || []).forEach(m => { m.amount = cents(m.amount); });
+  });
+  db.bids.forEach(priceBid);
+  db.payments.forEach(price);
+  db.ledger.forEach(price);
+  db.users.filter(u => u.profile && !u.profile.currency).forEach(u => {
+    Object.assign(u.profile, { hourlyRate: cents(u.profile.hourlyRate), pageRate: cents(u.profile.pageRate), currency: 'KES' });
+  });
+}
+
+function save(db) { fs.writeFileSync(DATA_FILE, JSON.stringify(db, null, 2)); }
+
+const db = load();
+const newId = collection => ID_PREFIX[collection] + '_' + crypto.randomUUID();
+
+// The http adapter JSON-encodes each query value, so fields compare with === exactly as in the app's matches()
+function matches(record, query) {
+  return Object.entries(query).every(([k, v]) => {
+    try {
+      return record[k] === JSON.parse(v);
+    } catch (err) {
+      throw httpError(400, `Invalid value for ${k}`);
+    }
+  });
+}
+
+// ---------- HTTP helpers ----------
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Webhook signatures are computed over the exact bytes received, so keep the raw body around
+function readRaw(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+function readBuffer(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) { reject(new Error('Upload too large')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readBody(req) {
+  const raw = await readRaw(req);
+  try { return raw ? JSON.parse(raw) : {}; } catch (e) { throw new Error('Invalid JSON body'); }
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const hmacHex = (secret, text) => crypto.createHmac('sha256', secret).update(text).digest('hex');
+
+// Stripe-style `t=<unix>,v1=<hmac of "t.body">` header, also used by the mock provider
+function verifyTimestampedSignature(header, raw, secret, toleranceSec = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(kv => kv.split('=')));
+  if (!parts.t || !parts.v1) throw new Error('Missing signature');
+  if (Math.abs(Date.now() / 1000 - Number(parts.t)) > toleranceSec) throw new Error('Signature timestamp outside tolerance');
+  if (!safeEqual(parts.v1, hmacHex(secret, `${parts.t}.${raw}`))) throw new Error('Invalid signature');
+}
+
+function signTimestamped(raw, secret) {
+  const t = Math.floor(Date.now() / 1000);
+  return `t=${t},v1=${hmacHex(secret, `${t}.${raw}`)}`;
+}
+
+// ---------- Accounts & sessions ----------
+// Credentials are checked here, never in the browser: user records are sent without PRIVATE_USER_FIELDS (owners
+// still see their own calendarToken) and the sessions collection is not served at all. Requests identify their user
+// with `Authorization: Bearer <token>`, the token /api/auth/login or /register returned. Same rules as AUTH_CONFIG.
+const AUTH = {
+  pbkdf2Iterations: 210000,
+  sessionTtlMs: 7 * 24 * 60 * 60 * 1000,
+  idleTimeoutMs: 30 * 60 * 1000,
+  maxFailedLogins: 5,
+  lockoutMs: 15 * 60 * 1000,
+  resetTokenTtlMs: 30 * 60 * 1000
+};
+const SELF_SERVICE_ROLES = ['student', 'tutor'];
+// Accounts promoted to admin when they log in (comma-separated), so the first admin needs no console access
+const ADMIN_EMAILS = (env.ADMIN_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
+// Only admins may set these on a user; everyone else may edit just their own record
+const ADMIN_USER_FIELDS = ['role', 'suspendedAt', 'suspendedBy'];
+const PRIVATE_USER_FIELDS = ['password', 'passwordHash', 'passwordSalt', 'passwordIterations', 'resetTokenHash', 'resetExpiresAt', 'failedLogins', 'lockedUntil', 'calendarToken'];
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Errors thrown with a status (and optional per-field messages) are sent as-is by the route handler
+function httpError(status, message, fieldErrors) {
+  return Object.assign(new Error(message), { status, fieldErrors });
+}
+
+// The app's validate() (writely_schemas.mjs) for a record about to be stored; `partial` for a PATCH
+function assertValid(collection, record, options) {
+  const errors = validate(collection, record, options);
+  if (Object.keys(errors).length) throw httpError(400, Object.values(errors).join('. '), errors);
+}
+
+// Same derivation as the app's hashPassword(): the salt string's UTF-8 bytes, 256 bits, hex
+async function hashPassword(password, salt = randomToken(16), iterations = AUTH.pbkdf2Iterations) {
+  const bits = await pbkdf2(password, salt, iterations, 32, 'sha256');
+  return { passwordHash: bits.toString('hex'), passwordSalt: salt, passwordIterations: iterations };
+}
+
+async function verifyPassword(user, password) {
+  if (typeof password !== 'string') return false;
+  if (!user.passwordHash) return typeof user.password === 'string' && safeEqual(user.password, password); // legacy plaintext, upgraded on login
+  return safeEqual((await hashPassword(password, user.passwordSalt, user.passwordIterations)).passwordHash, user.passwordHash);
+}
+
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  if (password.length > 128) return 'Password must be at most 128 characters';
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return 'Password must contain both letters and numbers';
+  return null;
+}
+
+// A user record as `viewer` may see it
+function visibleUser(user, viewer) {
+  const copy = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => { if (field !== 'calendarToken' || !viewer || viewer.id !== user.id) delete copy[field]; });
+  return copy;
+}
+
+function startSession(user) {
+  const token = randomToken();
+  const now = Date.now();
+  db.sessions.push({ id: newId('sessions'), userId: user.id, tokenHash: sha256(token), createdAt: now, lastSeenAt: now, expiresAt: now + AUTH.sessionTtlMs });
+  save(db);
+  return { token, user: visibleUser(user, user) };
+}
+
+// The live session behind the request's bearer token, or null once it is revoked, expired or idle
+function requestSession(req) {
+  const token = (req.headers.authorization || '').match(/^Bearer ([0-9a-f]+)$/)?.[1];
+  const tokenHash = token && sha256(token);
+  const session = tokenHash && db.sessions.find(s => s.tokenHash === tokenHash);
+  const now = Date.now();
+  if (!session || session.revokedAt || session.expiresAt < now || now - session.lastSeenAt > AUTH.idleTimeoutMs) return null;
+  return session;
+}
+
+// The signed-in, unsuspended user making the request, or null
+function requestUser(req) {
+  const session = requestSession(req);
+  const user = session && db.users.find(u => u.id === session.userId);
+  return user && !user.suspendedAt ? user : null;
+}
+
+function requireUser(req) {
+  const user = requestUser(req);
+  if (!user) throw httpError(401, 'Sign in to continue');
+  return user;
+}
+
+function revokeSessions(userId, keepId) {
+  db.sessions.filter(s => s.userId === userId && s.id !== keepId && !s.revokedAt).forEach(s => { s.revokedAt = Date.now(); });
+}
+
+async function register({ name, email, password, role }) {
+  [name, email] = [String(name || '').trim(), String(email || '').trim()];
+  const errors = validate('users', { name, email, role });
+  if (!errors.email && db.users.some(u => u.email === email)) errors.email = 'Email already in use';
+  if (!SELF_SERVICE_ROLES.includes(role)) errors.role = 'Choose either student or tutor';
+  if (passwordProblem(password)) errors.password = passwordProblem(password);
+  if (Object.keys(errors).length) throw httpError(400, Object.values(errors).join('. '), errors);
+  const user = { id: newId('users'), name, email, role, ...(await hashPassword(password)) };
+  db.users.push(user);
+  return startSession(user);
+}
+
+async function login({ email, password }) {
+  const user = db.users.find(u => u.email === String(email || '').trim());
+  if (user && user.lockedUntil > Date.now()) {
+    throw httpError(429, `Too many failed attempts. Try again in ${Math.ceil((user.lockedUntil - Date.now()) / 60000)} min.`);
+  }
+  if (!user || !(await verifyPassword(user, password))) {
+    if (user) {
+      const failed = (user.failedLogins || 0) + 1;
+      Object.assign(user, failed >= AUTH.maxFailedLogins ? { failedLogins: 0, lockedUntil: Date.now() + AUTH.lockoutMs } : { failedLogins: failed });
+      save(db);
+    }
+    throw httpError(401, 'Invalid credentials');
+  }
+  if (user.suspendedAt) throw httpError(403, 'This account has been suspended. Contact support.');
+  Object.assign(user, { failedLogins: 0, lockedUntil: null });
+  if (!user.passwordHash) Object.assign(user, await hashPassword(password), { password: null });
+  if (ADMIN_EMAILS.includes(user.email)) user.role = 'admin';
+  return startSession(user);
+}
+
+// Signs out every other device once the password changes
+async function changePassword(req, { currentPassword, newPassword }) {
+  const user = requireUser(req);
+  if (!(await verifyPassword(user, currentPassword))) throw httpError(400, 'Current password is incorrect');
+  if (passwordProblem(newPassword)) throw httpError(400, passwordProblem(newPassword));
+  Object.assign(user, await hashPassword(newPassword), { password: null });
+  revokeSessions(user.id, requestSession(req).id);
+  save(db);
+}
+
+// Always succeeds, so the response doesn't reveal whether an account exists
+async function requestPasswordReset({ email }) {
+  const user = db.users.find(u => u.email === String(email || '').trim());
+  if (!user) return;
+  const token = randomToken();
+  Object.assign(user, { resetTokenHash: sha256(token), resetExpiresAt: Date.now() + AUTH.resetTokenTtlMs });
+  save(db);
+  const link = `${APP_URL}/reset-password?${new URLSearchParams({ email: user.email, token })}`;
+  await sendMail({ to: user.email, subject: 'Reset your Writely password', text: `Use this link within 30 minutes to choose a new password:\n${link}` })
+    .catch(err => console.error(`Password reset email to ${user.email} failed: ${err.message}`));
+}
+
+async function resetPassword({ email, token, newPassword }) {
+  const user = db.users.find(u => u.email === String(email || '').trim());
+  if (!user || !user.resetTokenHash || user.resetExpiresAt < Date.now() || !safeEqual(sha256(String(token || '')), user.resetTokenHash)) {
+    throw httpError(400, 'This reset link is invalid or has expired');
+  }
+  if (passwordProblem(newPassword)) throw httpError(400, passwordProblem(newPassword));
+  Object.assign(user, await hashPassword(newPassword), { password: null, resetTokenHash: null, resetExpiresAt: null, failedLogins: 0, lockedUntil: null });
+  revokeSessions(user.id);
+  save(db);
+}
+
+// /api/auth/register, /login, /logout, /session (GET checks it, POST refreshes its idle timer), /password,
+// /reset-request and /reset
+async function handleAuth(req, res, action) {
+  if (action === 'session' && req.method === 'GET') {
+    const user = requireUser(req);
+    return send(res, 200, { user: visibleUser(user, user) });
+  }
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+  const body = await readBody(req);
+  if (action === 'register') return send(res, 201, await register(body));
+  if (action === 'login') return send(res, 200, await login(body));
+  if (action === 'session') {
+    const user = requireUser(req);
+    requestSession(req).lastSeenAt = Date.now();
+    save(db);
+    return send(res, 200, { user: visibleUser(user, user) });
+  }
+  if (action === 'logout') {
+    const session = requestSession(req);
+    if (session) { session.revokedAt = Date.now(); save(db); }
+    return send(res, 204);
+  }
+  if (action === 'password') { await changePassword(req, body); return send(res, 204); }
+  if (action === 'reset-request') { await requestPasswordReset(body); return send(res, 202, { queued: true }); }
+  if (action === 'reset') { await resetPassword(body); return send(res, 204); }
+  return send(res, 404, { error: 'Not found' });
+}
+
+// ---------- Payment providers ----------
+// Every provider implements:
+//   createCheckout(payment, { phone }) -> { providerRef, redirectUrl?, message? }
+//   queryStatus(providerRef)           -> 'processing' | 'paid' | 'failed'
+//   verifyWebhook(raw, headers, url)   -> { eventId, providerRef, status } | null (irrelevant event); throws when unverified
+// Payments only become paid/failed through applyWebhookEvent below.
+
+function stripeProvider({ secretKey, webhookSecret }) {
+  async function api(method, path, form) {
+    const res = await fetch(`https://api.stripe.com/v1${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form ? new URLSearchParams(form) : undefined
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(`Stripe: ${(body.error && body.error.message) || res.status}`);
+    return body;
+  }
+  const sessionStatus = s => (s.payment_status === 'paid' ? 'paid' : s.status === 'expired' ? 'failed' : 'processing');
+  return {
+    async createCheckout(payment) {
+      const session = await api('POST', '/checkout/sessions', {
+        mode: 'payment',
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': payment.currency.toLowerCase(),
+        'line_items[0][price_data][unit_amount]': String(payment.amount),
+        'line_items[0][price_data][product_data][name]': `Writely task ${payment.taskId}`,
+        client_reference_id: payment.id,
+        'metadata[paymentId]': payment.id,
+        success_url: `${APP_URL}/dashboard/payments`,
+        cancel_url: `${APP_URL}/dashboard/payments`
+      });
+      return { providerRef: session.id, redirectUrl: session.url };
+    },
+    async queryStatus(ref) { return sessionStatus(await api('GET', `/checkout/sessions/${encodeURIComponent(ref)}`)); },
+    verifyWebhook(raw, headers) {
+      verifyTimestampedSignature(headers['stripe-signature'], raw, webhookSecret);
+      const event = JSON.parse(raw);
+      const session = event.data && event.data.object;
+      const statusByType = {
+        'checkout.session.completed': session && sessionStatus(session),
+        'checkout.session.async_payment_succeeded': 'paid',
+        'checkout.session.async_payment_failed': 'failed',
+        'checkout.session.expired': 'failed'
+      };
+      if (!statusByType[event.type] || !session) return null;
+      return { eventId: event.id, providerRef: session.id, status: statusByType[event.type] };
+    }
+  };
+}
+
+// Safaricom Daraja STK push (Lipa na M-Pesa Online). Daraja callbacks are unsigned, so the callback URL carries a
+// secret token and the result is confirmed with an STK query before it is trusted.
+function mpesaProvider({ consumerKey, consumerSecret, shortcode, passkey, callbackToken, environment }) {
+  const base = environment === 'production' ? 'https://api.safaricom.co.ke' : 'https://sandbox.safaricom.co.ke';
+  async function token() {
+    const res = await fetch(`${base}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: 'Basic ' + Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64') }
+    });
+    if (!res.ok) throw new Error(`M-Pesa auth failed (${res.status})`);
+    return (await res.json()).access_token;
+  }
+  function password() {
+    // Daraja expects YYYYMMDDHHmmss in Nairobi time (UTC+3)
+    const timestamp = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+    return { Timestamp: timestamp, Password: Buffer.from(shortcode + passkey + timestamp).toString('base64') };
+  }
+  async function api(path, body) {
+    const res = await fetch(base + path, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${await token()}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ BusinessShortCode: shortcode, ...password(), ...body })
+    });
+    return res.json();
+  }
+  // ResultCode 0 is success; anything else (cancelled, timeout, insufficient funds) is a failure
+  const resultStatus = code => (String(code) === '0' ? 'paid' : 'failed');
+  const provider = {
+    async createCheckout(payment, { phone }) {
+      if (payment.currency !== 'KES') throw new Error('M-Pesa only accepts payments in KES');
+      const msisdn = normalizeKenyanPhone(phone);
+      const shillings = Math.ceil(payment.amount / 100);
+      const body = await api('/mpesa/stkpush/v1/processrequest', {
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: shillings,
+        PartyA: msisdn,
+        PartyB: shortcode,
+        PhoneNumber: msisdn,
+        CallBackURL: `${PUBLIC_URL}/webhooks/mpesa?token=${encodeURIComponent(callbackToken)}`,
+        AccountReference: payment.id.slice(0, 12),
+        TransactionDesc: 'Writely task'
+      });
+      if (String(body.ResponseCode) !== '0') throw new Error(`M-Pesa: ${body.errorMessage || body.ResponseDescription || 'request rejected'}`);
+      return { providerRef: body.CheckoutRequestID, message: `Enter your M-Pesa PIN on ${msisdn} to pay ${formatMoney(shillings * 100)}` };
+    },
+    async queryStatus(ref) {
+      const body = await api('/mpesa/stkpushquery/v1/query', { CheckoutRequestID: ref });
+      if (body.errorCode) return 'processing'; // e.g. 500.001.1001: the transaction is still being processed
+      return resultStatus(body.ResultCode);
+    },
+    async verifyWebhook(raw, headers, url) {
+      if (!safeEqual(url.searchParams.get('token') || '', callbackToken)) throw new Error('Invalid callback token');
+      const callback = JSON.parse(raw).Body.stkCallback;
+      const status = resultStatus(callback.ResultCode);
+      if (status === 'paid' && (await provider.queryStatus(callback.CheckoutRequestID)) !== 'paid') throw new Error('STK query does not confirm payment');
+      return { eventId: `${callback.CheckoutRequestID}:${callback.ResultCode}`, providerRef: callback.CheckoutRequestID, status };
+    }
+  };
+  return provider;
+}
+
+function normalizeKenyanPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const msisdn = digits.startsWith('0') ? '254' + digits.slice(1) : digits.startsWith('7') || digits.startsWith('1') ? '254' + digits : digits;
+  if (!/^254[17]\d{8}$/.test(msisdn)) throw new Error('Enter a Safaricom number like 0712345678');
+  return msisdn;
+}
+
+// Talks to the mock provider server started below; signatures use the Stripe scheme with MOCK_WEBHOOK_SECRET
+function mockProvider({ baseUrl, webhookSecret }) {
+  return {
+    async createCheckout(payment) {
+      const res = await fetch(`${baseUrl}/checkouts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: payment.amount, currency: payment.currency, paymentId: payment.id, returnUrl: `${APP_URL}/dashboard/payments` })
+      });
+      const checkout = await res.json();
+      return { providerRef: checkout.id, redirectUrl: checkout.url };
+    },
+    async queryStatus(ref) {
+      const res = await fetch(`${baseUrl}/checkouts/${encodeURIComponent(ref)}`);
+      return (await res.json()).status;
+    },
+    verifyWebhook(raw, headers) {
+      verifyTimestampedSignature(headers['x-mock-signature'], raw, webhookSecret);
+      const event = JSON.parse(raw);
+      return { eventId: event.id, providerRef: event.checkoutId, status: event.status };
+    }
+  };
+}
+
+const MOCK_WEBHOOK_SECRET = env.MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+const providers = {};
+if (env.STRIPE_SECRET_KEY && env.STRIPE_WEBHOOK_SECRET) {
+  providers.stripe = stripeProvider({ secretKey: env.STRIPE_SECRET_KEY, webhookSecret: env.STRIPE_WEBHOOK_SECRET });
+}
+if (env.MPESA_CONSUMER_KEY && env.MPESA_CONSUMER_SECRET && env.MPESA_SHORTCODE && env.MPESA_PASSKEY && env.MPESA_CALLBACK_TOKEN) {
+  providers.mpesa = mpesaProvider({
+    consumerKey: env.MPESA_CONSUMER_KEY, consumerSecret: env.MPESA_CONSUMER_SECRET, shortcode: env.MPESA_SHORTCODE,
+    passkey: env.MPESA_PASSKEY, callbackToken: env.MPESA_CALLBACK_TOKEN, environment: env.MPESA_ENV
+  });
+}
+if (env.NODE_ENV !== 'production') {
+  providers.mock = mockProvider({ baseUrl: `http://localhost:${MOCK_PROVIDER_PORT}`, webhookSecret: MOCK_WEBHOOK_SECRET });
+}
+
+// ---------- Mail ----------
+const MAIL_FROM = env.MAIL_FROM || 'Writely <no-reply@writely.local>';
+
+function formatMessage({ to, subject, text }) {
+  const headers = [
+    `From: ${MAIL_FROM}`, `To: ${to}`, `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`, `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@writely.local>`, 'MIME-Version: 1.0', 'Content-Type: text/plain; charset=utf-8'
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}`;
+}
+
+// Development default: one .eml file per message, openable in any mail client
+function fileMailer(dir) {
+  return {
+    async send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(`${dir}/${Date.now()}-${crypto.randomUUID()}.eml`, formatMessage(message));
+    }
+  };
+}
+
+// Plain SMTP without TLS or AUTH, enough for a local relay
+function smtpMailer({ host, port }) {
+  return {
+    send(message) {
+      return new Promise((resolve, reject) => {
+        const socket = net.connect(port, host);
+        const address = MAIL_FROM.match(/<([^>]+)>/)?.[1] || MAIL_FROM;
+        const body = formatMessage(message).replace(/^\./gm, '..');
+        const steps = [`HELO writely.local`, `MAIL FROM:<${address}>`, `RCPT TO:<${message.to}>`, 'DATA', `${body}\r\n.`, 'QUIT'];
+        let buffer = '';
+        socket.setTimeout(10000, () => socket.destroy(new Error('SMTP timeout')));
+        socket.on('error', reject);
+        socket.on('data', chunk => {
+          buffer += chunk;
+          // Wait for the final line of a (possibly multi-line) reply
+          const lines = buffer.split('\r\n').filter(Boolean);
+          const last = lines[lines.length - 1];
+          if (!buffer.endsWith('\r\n') || !/^\d{3} /.test(last)) return;
+          buffer = '';
+          if (Number(last.slice(0, 3)) >= 400) { socket.destroy(); return reject(new Error(`SMTP: ${last}`)); }
+          const next = steps.shift();
+          if (next) socket.write(`${next}\r\n`);
+          else { socket.end(); resolve(); }
+        });
+      });
+    }
+  };
+}
+
+const mailer = env.MAILER === 'smtp'
+  ? smtpMailer({ host: env.SMTP_HOST || 'localhost', port: Number(env.SMTP_PORT) || 1025 })
+  : fileMailer(env.WRITELY_MAIL_DIR || 'writely-mail');
+
+async function sendMail({ to, subject, text }) {
+  if (!/^[^\s@<>]+@[^\s@<>]+$/.test(to || '') || !subject || typeof text !== 'string') throw new Error('to, subject and text are required');
+  await mailer.send({ to, subject, text });
+}
+
+// Mail only ever goes to a registered user who opted in, as the copy of a stored notification record
+function emailNotification(record) {
+  const user = db.users.find(u => u.id === record.userId);
+  if (!user || !user.emailNotifications) return;
+  sendMail({ to: user.email, subject: String(record.title || 'Writely notification'), text: `${record.body || ''}\n\n${APP_URL}${record.link || '/dashboard'}` })
+    .then(() => { record.emailedAt = Date.now(); save(db); })
+    .catch(err => console.error(`Notification email to ${user.email} failed: ${err.message}`));
+}
+
+// ---------- Notifications ----------
+// The server records every notification: the app's NOTIFICATION_EVENTS for the changes stored through the generic
+// routes, task settlement and deadlines, plus its own for failed payments and transcription jobs. Clients can't create
+// notifications, so nothing a user writes is ever emailed to someone else.
+
+// An in-app record plus an email copy for users who opted in; a dedupeKey'd notice is recorded once
+function notify(userId, item) {
+  if (!userId) return;
+  const id = item.dedupeKey ? `n_${item.dedupeKey}` : newId('notifications');
+  if (db.notifications.some(n => n.id === id || (item.dedupeKey && n.dedupeKey === item.dedupeKey))) return;
+  const record = { id, type: 'payment.changed', userId, taskId: null, dedupeKey: null, ...item, createdAt: Date.now(), readAt: null };
+  db.notifications.push(record);
+  emailNotification(record);
+}
+
+const NOTIFICATION_FORMAT = {
+  money: formatMoney,
+  deadline: time => new Date(time).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short' })
+};
+
+// Mirrors the app's publish(); the caller saves
+function publish(type, payload) {
+  NOTIFICATION_EVENTS[type](payload, NOTIFICATION_FORMAT).forEach(item => notify(item.userId, { type, ...item }));
+}
+
+// The events a generic write implies, from the record `before` (null when created) and as stored
+function publishChanges(collection, before, record) {
+  const task = taskById(record.taskId);
+  if (collection === 'bids' && task) {
+    if (!before) return publish('bid.created', { task, bid: record });
+    if (record.status !== before.status && ['withdrawn', 'rejected', 'accepted'].includes(record.status)) publish(`bid.${record.status}`, { task, bid: record });
+    const offer = record.counterOffer;
+    const previous = before.counterOffer;
+    if (offer && offer.status === 'pending' && JSON.stringify(offer) !== JSON.stringify(previous)) publish('bid.countered', { task, bid: before, amount: offer.amount });
+    if (offer && previous && previous.status === 'pending' && offer.status !== 'pending') publish('bid.counter_answered', { task, bid: record, accepted: offer.status === 'accepted' });
+  }
+  if (collection === 'tasks' && before) {
+    const invited = new Set((before.invitations || []).map(i => i.tutorId));
+    (record.invitations || []).filter(i => !invited.has(i.tutorId)).forEach(i => publish('bid.invited', { task: record, tutorId: i.tutorId, message: i.message }));
+  }
+  if (collection === 'payments' && before && record.kind === 'payout' && before.status !== 'paid' && record.status === 'paid') publish('payout.sent', { payout: record });
+}
+
+// The app's checkDeadlines() for every task's student and tutor, so reminders reach users who aren't signed in
+const DEADLINE_CHECK_MS = 10 * 60 * 1000;
+
+function checkDeadlines(now = Date.now()) {
+  const count = db.notifications.length;
+  db.tasks.forEach(task => taskDeadlines(task).forEach(item => {
+    const state = deadlineState(item, now);
+    if (state) [task.studentId, task.tutorId].forEach(userId => publish(state === 'soon' ? 'deadline.approaching' : 'deadline.overdue', { task, userId, item }));
+  }));
+  if (db.notifications.length > count) save(db);
+}
+
+// ---------- Ledger ----------
+// With this server every ledger row is written here, never through POST /api/ledger: 'fund' by applyWebhookEvent(),
+// releases and refunds by the task PATCH that settles them (applyTaskUpdate), payout rows with the payout records.
+// Each transaction is checked by ledgerProblem() and stored whole, in the same save() as the change behind it.
+const sumAmounts = rows => rows.reduce((total, r) => total + r.amount, 0);
+// `staged` rows belong to the same request and are not stored yet
+const balance = (account, staged = []) => sumAmounts([...db.ledger, ...staged].filter(r => r.account === account));
+
+// Legs share txId, kind and currency and sum to zero; a release charges exactly COMMISSION_RATE. Money leaves escrow
+// only for a completed or cancelled task or an approved milestone, on the request of the task's student, tutor or an
+// admin, within what is held and to task.tutorId / task.studentId; tutors request payouts of their own earnings.
+// `task` and `payout` are the records the transaction settles, as they will be saved.
+function ledgerProblem(rows, { poster, task, payout, staged = [] } = {}) {
+  const [first] = rows;
+  if (!first || rows.some(r => r.txId !== first.txId || r.kind !== first.kind || r.currency !== first.currency || !Number.isInteger(r.amount) || typeof r.account !== 'string')) {
+    return 'A transaction is one array of legs sharing txId, kind and currency';
+  }
+  if (db.ledger.some(r => r.txId === first.txId)) return `Transaction ${first.txId} is already posted`;
+  if (sumAmounts(rows) !== 0) return `Unbalanced ${first.kind} transaction (off by ${sumAmounts(rows)})`;
+  const leg = account => sumAmounts(rows.filter(r => r.account === account));
+  const only = (...accounts) => rows.every(r => accounts.includes(r.account));
+  if (first.kind === 'release' || first.kind === 'refund') {
+    if (!task || task.id !== first.taskId) return `A ${first.kind} must name its task`;
+    const milestone = first.milestone && (task.milestones || []).find(m => m.kind === first.milestone);
+    const settles = first.milestone ? first.kind === 'release' && !!milestone && milestone.status === 'approved' : ['completed', 'cancelled'].includes(task.status);
+    if (!settles) return 'Escrow is only paid out for a completed or cancelled task or an approved milestone';
+    if (!poster || (poster.role !== 'admin' && !onTask(poster, task))) return "Only the task's student, its tutor or an admin can settle its escrow";
+    const escrow = `escrow:${task.id}`;
+    const held = balance(escrow, staged);
+    if (!(-leg(escrow) > 0) || -leg(escrow) > held) return `Only ${formatMoney(held, first.currency)} is held in escrow for this task`;
+    if (first.kind === 'refund') return only(escrow, `student:${task.studentId}`) ? null : "A refund goes to the task's student";
+    if (!task.tutorId || !only(escrow, `tutor:${task.tutorId}`, 'platform:fees')) return "A release goes to the task's tutor";
+    if (leg('platform:fees') !== Math.round(-leg(escrow) * COMMISSION_RATE)) return 'Platform fee does not match the commission rate';
+    if (milestone && (-leg(escrow) > milestone.amount || db.ledger.some(r => r.taskId === task.id && r.milestone === milestone.kind))) return 'This milestone is already paid';
+    return null;
+  }
+  if (first.kind === 'payout_request' || first.kind === 'payout_paid') {
+    if (!payout || payout.id !== first.paymentId || !(Number.isInteger(payout.amount) && payout.amount > 0)) return 'A payout transaction must name its payout';
+    const pending = `payout_pending:${payout.tutorId}`;
+    if (first.kind === 'payout_request') {
+      const earnings = `tutor:${payout.tutorId}`;
+      if (!poster || poster.id !== payout.tutorId) return 'Tutors request payouts of their own earnings';
+      if (!only(earnings, pending) || leg(pending) !== payout.amount) return 'A payout request moves its amount from earnings to pending payouts';
+      if (payout.amount > balance(earnings, staged)) return `Only ${formatMoney(balance(earnings, staged), first.currency)} is available for payout`;
+      return null;
+    }
+    if (!poster || poster.role !== 'admin') return 'Only admins mark payouts sent';
+    if (!only(pending, 'external:payouts') || leg('external:payouts') !== payout.amount) return 'A sent payout moves its amount out of pending payouts';
+    return db.ledger.some(r => r.paymentId === payout.id && r.kind === 'payout_paid') ? 'This payout is already marked sent' : null;
+  }
+  return `Unknown transaction kind ${first.kind}`;
+}
+
+// One transaction's rows; `refs` (taskId, paymentId, milestone) are copied onto every row and zero legs dropped
+function ledgerRows(kind, refs, legs, currency) {
+  const base = { txId: 'tx_' + crypto.randomUUID(), kind, ...refs, currency, at: Date.now() };
+  return legs.filter(l => l.amount !== 0).map(l => ({ ...base, id: newId('ledger'), account: l.account, amount: l.amount }));
+}
+
+function payoutRows(kind, payout) {
+  const legs = kind === 'payout_request'
+    ? [{ account: `tutor:${payout.tutorId}`, amount: -payout.amount }, { account: `payout_pending:${payout.tutorId}`, amount: payout.amount }]
+    : [{ account: `payout_pending:${payout.tutorId}`, amount: -payout.amount }, { account: 'external:payouts', amount: payout.amount }];
+  return ledgerRows(kind, { paymentId: payout.id }, legs, payout.currency);
+}
+
+// Checks each transaction after those before it (and `staged`); returns all their rows, or throws with nothing stored
+function checkedRows(transactions, context, staged = []) {
+  const rows = [];
+  transactions.forEach(tx => {
+    const problem = ledgerProblem(tx, { ...context, staged: [...staged, ...rows] });
+    if (problem) throw httpError(400, problem);
+    rows.push(...tx);
+  });
+  return rows;
+}
+
+// ---------- Task settlement ----------
+// Status and milestone changes arrive as generic task PATCHes and are checked against writely_tasks.mjs. Settling
+// happens in the same save(), so a task is never left completed or cancelled with its escrow untouched: completing
+// releases what is held to the tutor, cancelling voids an unpaid escrow payment and refunds the student (an admin may
+// split it with `refund` on the history entry), approving a paid milestone releases its amount.
+function applyTaskUpdate(viewer, task, patch) {
+  const next = { ...task, ...patch, id: task.id };
+  const from = task.status || 'open';
+  const to = patch.status === undefined ? from : patch.status;
+  const payment = db.payments.find(p => p.taskId === task.id && p.kind === 'escrow' && !p.cancelledAt);
+  const funded = !!payment && !!payment.studentPaid;
+  const refs = { paymentId: payment ? payment.id : null, taskId: task.id };
+  const currency = payment ? payment.currency : task.currency;
+  const held = balance(`escrow:${task.id}`);
+  const transactions = [];
+  const events = [];
+  // The tutor (who is paid from escrow) is assigned once, by accepting one of their open bids
+  const assigning = from === 'open' && to === 'in_progress';
+  if (['tutorId', 'acceptedBid'].some(f => patch[f] !== undefined && JSON.stringify(patch[f]) !== JSON.stringify(task[f] ?? null)) && !assigning) {
+    throw httpError(403, 'The tutor is assigned by accepting a bid');
+  }
+  // The accepted bid is stored as the server has it, so escrow is opened for the amount the tutor actually bid
+  const accepted = assigning && db.bids.find(b => b.taskId === task.id && b.tutorId === patch.tutorId && b.status === 'active' && b.id === (patch.acceptedBid && patch.acceptedBid.id));
+  if (assigning && !accepted) throw httpError(400, 'Start a task by accepting one of its open bids');
+  if (accepted) next.acceptedBid = { ...accepted };
+  if (to !== from) {
+    if (!allowedTransitions(task, viewer).includes(to)) throw httpError(403, `This task can't move from ${from} to ${to}`);
+    if (to === 'completed' && !funded) throw httpError(400, 'The escrow payment must be funded before the task can be completed');
+    // The history entry is written here; only the note and an admin's refund come from the request
+    const { note = '', refund } = (Array.isArray(patch.history) && patch.history[patch.history.length - 1]) || {};
+    const entry = { from, to, by: viewer.id, byRole: taskActorRole(task, viewer), at: Date.now(), note: String(note).slice(0, 1000) };
+    if (viewer.role === 'admin' && Number.isInteger(refund)) entry.refund = refund;
+    next.history = [...(task.history || []), entry];
+    if (to === 'completed' && held > 0) {
+      transactions.push(ledgerRows('release', refs, releaseLegs(next, held, COMMISSION_RATE), currency));
+      events.push(['payment.changed', { change: 'released', amount: held }]);
+    }
+    if (to === 'cancelled' && held > 0) {
+      const { toStudent, rest } = cancellationSplit(held, entry.refund);
+      if (toStudent > 0) transactions.push(ledgerRows('refund', refs, refundLegs(next, toStudent), currency));
+      if (rest > 0) transactions.push(ledgerRows('release', refs, releaseLegs(next, rest, COMMISSION_RATE), currency));
+      events.push(['payment.changed', { change: rest > 0 ? 'split' : 'refunded', amount: toStudent }]);
+    }
+  } else if (patch.history !== undefined && JSON.stringify(patch.history) !== JSON.stringify(task.history || [])) {
+    throw httpError(403, 'Task history only grows with a status change');
+  }
+  if (patch.milestones !== undefined && JSON.stringify(patch.milestones) !== JSON.stringify(task.milestones || [])) {
+    const before = task.milestones || [];
+    const after = Array.isArray(patch.milestones) ? patch.milestones : [];
+    const changed = after.filter(m => JSON.stringify(m) !== JSON.stringify(before.find(b => b.kind === (m && m.kind))));
+    const milestone = changed.length === 1 && before.find(b => b.kind === changed[0].kind);
+    if (to !== from || after.length !== before.length || !milestone) throw httpError(403, 'Milestones change one step at a time');
+    let step;
+    try {
+      step = milestoneStep(task, milestone.kind, taskActorRole(task, viewer));
+    } catch (err) {
+      throw httpError(403, err.message);
+    }
+    if (step.status === 'approved' && milestone.amount && !funded) throw httpError(400, 'The escrow payment must be funded before a paid milestone can be approved');
+    next.milestones = before.map(m => (m === milestone ? { ...m, ...step } : m));
+    const amount = step.status === 'approved' ? Math.min(milestone.amount || 0, held) : 0;
+    if (amount > 0) transactions.push(ledgerRows('release', { ...refs, milestone: milestone.kind }, releaseLegs(next, amount, COMMISSION_RATE), currency));
+    events.push([step.status === 'approved' ? 'milestone.approved' : 'milestone.submitted', { milestone, released: amount }]);
+  }
+  const rows = checkedRows(transactions, { poster: viewer, task: next });
+  Object.assign(task, next);
+  db.ledger.push(...rows);
+  if (to === 'cancelled' && payment && !funded) payment.cancelledAt = Date.now();
+  events.forEach(([type, payload]) => publish(type, { task, ...payload }));
+}
+
+// ---------- Payment state ----------
+// Generic writes may create an unpaid escrow payment for the bid a student accepted and a payout request of the tutor's
+// own earnings, let the student void their unpaid payment (cancelledAt) and an admin mark a payout sent; nothing else
+// on a payment changes over HTTP, and payments are never deleted. Whether escrow is paid is decided only by
+// applyWebhookEvent(), which also posts the ledger's 'fund' rows. POSTs take studentId (escrow) or tutorId (payout)
+// from the session.
+function paymentWriteProblem(viewer, patch, existing) {
+  if (!existing) {
+    const unpaid = patch.kind === 'escrow' ? patch.status === 'pending' && !patch.studentPaid : patch.kind === 'payout' && patch.status === 'requested';
+    if (!unpaid || patch.paidAt || patch.provider || patch.providerRef || patch.cancelledAt) return 'New payments must start unpaid';
+    if (patch.kind === 'payout') return viewer.role === 'tutor' ? null : 'Only tutors request payouts';
+    const task = taskById(patch.taskId);
+    const bid = task && task.acceptedBid;
+    if (!task || task.studentId !== viewer.id || task.status !== 'in_progress' || !bid) return 'Escrow is opened by the student for the bid they accepted';
+    if (patch.tutorId !== task.tutorId || patch.amount !== bid.amount || patch.currency !== (bid.currency || task.currency)) return "An escrow payment is for the accepted bid's tutor and amount";
+    return db.payments.some(p => p.taskId === task.id && p.kind === 'escrow' && !p.cancelledAt) ? 'This task already has an escrow payment' : null;
+  }
+  const fields = Object.keys(patch).filter(f => JSON.stringify(patch[f]) !== JSON.stringify(existing[f]));
+  const payoutSent = existing.kind === 'payout' && existing.status === 'requested' && patch.status === 'paid' && viewer.role === 'admin';
+  if (payoutSent && fields.every(f => f === 'status' || f === 'paidAt')) return null;
+  const voiding = existing.kind === 'escrow' && existing.studentId === viewer.id && !existing.studentPaid && existing.status !== 'processing';
+  if (voiding && fields.every(f => f === 'cancelledAt')) return null;
+  return fields.length ? `${fields.join(', ')} can't be changed here` : null;
+}
+
+// pending -> processing (checkout started) -> paid | failed; a failed payment may be retried
+const PAYMENT_TRANSITIONS = { pending: ['processing'], processing: ['paid', 'failed'], failed: ['processing'] };
+
+function setPaymentStatus(payment, status) {
+  if (!(PAYMENT_TRANSITIONS[payment.status || 'pending'] || []).includes(status)) return false;
+  payment.status = status;
+  if (status === 'paid') {
+    payment.studentPaid = true;
+    payment.paidAt = Date.now();
+    postEscrowFunding(payment);
+  }
+  const task = taskById(payment.taskId);
+  if (status === 'paid' && task) publish('payment.changed', { task, change: 'funded', amount: payment.amount });
+  if (status === 'failed') {
+    notify(payment.studentId, { taskId: payment.taskId, link: '/dashboard/payments', title: `Payment failed for ${task ? `"${task.title}"` : 'your task'}`, body: 'Nothing was charged. You can try again from Payments.' });
+  }
+  return true;
+}
+
+// Same rows as the app's ledger 'fund' transaction: student -> escrow:<taskId>
+function postEscrowFunding(payment) {
+  const base = { txId: 'tx_' + crypto.randomUUID(), kind: 'fund', paymentId: payment.id, taskId: payment.taskId, currency: payment.currency, at: Date.now() };
+  db.ledger.push({ ...base, id: newId('ledger'), account: `student:${payment.studentId}`, amount: -payment.amount });
+  db.ledger.push({ ...base, id: newId('ledger'), account: `escrow:${payment.taskId}`, amount: payment.amount });
+}
+
+async function startCheckout(user, { paymentId, provider: name, phone }) {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Payment provider ${name} is not configured`);
+  const payment = db.payments.find(p => p.id === paymentId && p.kind === 'escrow' && p.studentId === user.id);
+  if (!payment) throw new Error('Payment not found');
+  if (payment.cancelledAt || !(PAYMENT_TRANSITIONS[payment.status || 'pending'] || []).includes('processing')) {
+    throw new Error(`Payment is ${payment.cancelledAt ? 'cancelled' : payment.status}`);
+  }
+  // Saved as processing before the provider is called, so a second request can't open another checkout meanwhile
+  const before = { status: payment.status, provider: payment.provider, providerRef: payment.providerRef, checkoutStartedAt: payment.checkoutStartedAt };
+  setPaymentStatus(payment, 'processing');
+  Object.assign(payment, { provider: name, providerRef: null, checkoutStartedAt: Date.now() });
+  save(db);
+  let checkout;
+  try {
+    checkout = await provider.createCheckout(payment, { phone });
+  } catch (err) {
+    Object.assign(payment, before);
+    save(db);
+    throw err;
+  }
+  payment.providerRef = checkout.providerRef;
+  save(db);
+  return { redirectUrl: checkout.redirectUrl, message: checkout.message };
+}
+
+// Idempotent: an event id is applied at most once, and late or out-of-order events can't move a settled payment
+async function applyWebhookEvent(name, raw, headers, url) {
+  const provider = providers[name];
+  if (!provider) return { status: 404, body: { error: 'Unknown provider' } };
+  let event;
+  try {
+    event = await provider.verifyWebhook(raw, headers, url);
+  } catch (err) {
+    console.warn(`Rejected ${name} webhook: ${err.message}`);
+    return { status: 401, body: { error: 'Webhook verification failed' } };
+  }
+  if (!event) return { status: 200, body: { ignored: true } };
+  const key = `${name}:${event.eventId}`;
+  if (db.webhook_events.some(e => e.id === key)) return { status: 200, body: { duplicate: true } };
+  const payment = db.payments.find(p => p.provider === name && p.providerRef === event.providerRef);
+  const applied = payment ? setPaymentStatus(payment, event.status) : false;
+  db.webhook_events.push({ id: key, provider: name, providerRef: event.providerRef, status: event.status, applied, receivedAt: Date.now() });
+  save(db);
+  return { status: 200, body: { received: true, applied } };
+}
+
+// ---------- Transcription ----------
+// Every engine implements:
+//   transcribe({ path, type, name, language, durationSec }, onProgress(0..1)) -> { text, segments: [{ start, end, text }], language? }
+// `language` is a BCP 47 tag such as 'sw-KE', or 'auto'. Jobs run one at a time (TRANSCRIBE_CONCURRENCY) from an
+// in-memory queue; queued and interrupted jobs are picked up again when the server restarts.
+const MAX_AUDIO_BYTES = Number(env.MAX_AUDIO_BYTES) || 25 * 1024 * 1024;
+const MAX_AUDIO_SECONDS = Number(env.MAX_AUDIO_SECONDS) || 30 * 60;
+const TRANSCRIBE_CONCURRENCY = Number(env.TRANSCRIBE_CONCURRENCY) || 1;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const baseLanguage = language => language.split('-')[0];
+
+// Runs a command, passing each stderr line to `onLine`; rejects with the stderr tail on a non-zero exit
+function run(cmd, args, onLine = () => {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { timeout: MAX_AUDIO_SECONDS * 4 * 1000 });
+    let tail = '';
+    child.stderr.on('data', chunk => {
+      tail = (tail + chunk).slice(-2000);
+      String(chunk).split(/\r?\n|\r/).forEach(onLine);
+    });
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve() : reject(new Error(`${cmd} exited with ${code}: ${tail.trim().split('\n').pop()}`))));
+  });
+}
+
+// Offline: whisper.cpp's CLI (WHISPER_CPP_BIN, WHISPER_MODEL); ffmpeg converts the upload to 16 kHz mono WAV first
+function whisperCppEngine({ bin, model, threads }) {
+  return {
+    label: 'whisper.cpp (offline)',
+    async transcribe({ path, language }, onProgress) {
+      const wav = `${path}.16k.wav`;
+      const out = `${path}.whisper`;
+      try {
+        await run('ffmpeg', ['-y', '-loglevel', 'error', '-i', path, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav]);
+        const lang = language === 'auto' ? 'auto' : baseLanguage(language);
+        await run(bin, ['-m', model, '-f', wav, '-l', lang, '-t', String(threads), '-oj', '-of', out, '-pp'], line => {
+          const m = line.match(/progress\s*=\s*(\d+)%/);
+          if (m) onProgress(Number(m[1]) / 100);
+        });
+        const result = JSON.parse(fs.readFileSync(`${out}.json`, 'utf8'));
+        const segments = result.transcription.map(s => ({ start: s.offsets.from / 1000, end: s.offsets.to / 1000, text: s.text.trim() }));
+        return { text: segments.map(s => s.text).join(' '), segments, language: result.result && result.result.language };
+      } finally {
+        fs.rmSync(wav, { force: true });
+        fs.rmSync(`${out}.json`, { force: true });
+      }
+    }
+  };
+}
+
+// Cloud: OpenAI's transcription API (OPENAI_API_KEY); verbose_json includes timed segments
+function openAIEngine({ apiKey, model }) {
+  return {
+    label: 'OpenAI Whisper (cloud)',
+    async transcribe({ path, type, name, language }, onProgress) {
+      const form = new FormData();
+      form.append('file', new Blob([fs.readFileSync(path)], { type }), name);
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+      if (language !== 'auto') form.append('language', baseLanguage(language));
+      onProgress(0.1);
+      const res = await fetch('https://api.openai.com/v1/audio/transcriptions', { method: 'POST', headers: { Authorization: `Bearer ${apiKey}` }, body: form });
+      const data = await res.json();
+      if (!res.ok) throw new Error(`OpenAI: ${(data.error && data.error.message) || res.status}`);
+      const segments = (data.segments || []).map(s => ({ start: s.start, end: s.end, text: s.text.trim() }));
+      return { text: data.text, segments, language: data.language };
+    }
+  };
+}
+
+// Cloud: AssemblyAI (ASSEMBLYAI_API_KEY) — upload, create a transcript, poll until it settles
+function assemblyAIEngine({ apiKey }) {
+  async function api(path, init = {}) {
+    const res = await fetch(`https://api.assemblyai.com/v2${path}`, { ...init, headers: { authorization: apiKey, ...init.headers } });
+    const data = await res.json();
+    if (!res.ok) throw new Error(`AssemblyAI: ${data.error || res.status}`);
+    return data;
+  }
+  return {
+    label: 'AssemblyAI (cloud)',
+    async transcribe({ path, language }, onProgress) {
+      const { upload_url: audioUrl } = await api('/upload', { method: 'POST', headers: { 'content-type': 'application/octet-stream' }, body: fs.readFileSync(path) });
+      onProgress(0.2);
+      const options = language === 'auto' ? { language_detection: true } : { language_code: baseLanguage(language) };
+      let job = await api('/transcript', { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ audio_url: audioUrl, ...options }) });
+      const giveUpAt = Date.now() + MAX_AUDIO_SECONDS * 4 * 1000;
+      while (job.status === 'queued' || job.status === 'processing') {
+        if (Date.now() > giveUpAt) throw new Error('AssemblyAI: timed out');
+        onProgress(job.status === 'queued' ? 0.3 : 0.6);
+        await sleep(3000);
+        job = await api(`/transcript/${job.id}`);
+      }
+      if (job.status === 'error') throw new Error(`AssemblyAI: ${job.error}`);
+      const { sentences } = await api(`/transcript/${job.id}/sentences`);
+      return { text: job.text, language: job.language_code, segments: sentences.map(s => ({ start: s.start / 1000, end: s.end / 1000, text: s.text })) };
+    }
+  };
+}
+
+// Development: no audio processing, just a few seconds of progress and placeholder segments
+function mockTranscriptionEngine() {
+  return {
+    label: 'Mock engine (dev)',
+    async transcribe({ name, language, durationSec }, onProgress) {
+      for (let i = 1; i <= 5; i++) { await sleep(400); onProgress(i / 5); }
+      const length = Math.max(5, Math.round(durationSec || 15));
+      const segments = [];
+      for (let t = 0; t < length; t += 5) segments.push({ start: t, end: Math.min(t + 5, length), text: `[mock ${language}] ${name} ${t}s` });
+      return { text: segments.map(s => s.text).join(' '), segments };
+    }
+  };
+}
+
+const engines = {};
+if (env.WHISPER_CPP_BIN && env.WHISPER_MODEL) {
+  engines.whisper = whisperCppEngine({ bin: env.WHISPER_CPP_BIN, model: env.WHISPER_MODEL, threads: Number(env.WHISPER_THREADS) || 4 });
+}
+if (env.OPENAI_API_KEY) engines.openai = openAIEngine({ apiKey: env.OPENAI_API_KEY, model: env.OPENAI_TRANSCRIBE_MODEL || 'whisper-1' });
+if (env.ASSEMBLYAI_API_KEY) engines.assemblyai = assemblyAIEngine({ apiKey: env.ASSEMBLYAI_API_KEY });
+if (env.NODE_ENV !== 'production') engines.mock = mockTranscriptionEngine();
+const DEFAULT_ENGINE = engines[env.TRANSCRIBE_DEFAULT_ENGINE] ? env.TRANSCRIBE_DEFAULT_ENGINE : Object.keys(engines)[0];
+
+// WAV durations come from the header and other formats need ffprobe; the length the browser reports is never
+// trusted. Null when the file isn't WAV; throws when it claims to be but its chunks don't add up.
+function wavDuration(bytes) {
+  if (bytes.toString('ascii', 0, 4) !== 'RIFF' || bytes.toString('ascii', 8, 12) !== 'WAVE') return null;
+  let byteRate = 0;
+  try {
+    for (let offset = 12; offset + 8 <= bytes.length; offset += 8 + bytes.readUInt32LE(offset + 4) + (bytes.readUInt32LE(offset + 4) % 2)) {
+      const id = bytes.toString('ascii', offset, offset + 4);
+      if (id === 'fmt ') byteRate = bytes.readUInt32LE(offset + 16);
+      if (id === 'data') {
+        if (!byteRate) break;
+        return bytes.readUInt32LE(offset + 4) / byteRate;
+      }
+    }
+  } catch (err) {
+    // readUInt32LE past the end: a chunk size points outside the file
+  }
+  throw new Error('This WAV file is malformed');
+}
+
+async function probeDuration(path) {
+  try {
+    const { stdout } = await promisify(execFile)('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', path], { timeout: 10000 });
+    return Number(stdout.trim()) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const jobQueue = [];
+let runningJobs = 0;
+
+function enqueueJob(job) {
+  jobQueue.push(job.id);
+  pumpJobs();
+}
+
+function pumpJobs() {
+  while (runningJobs < TRANSCRIBE_CONCURRENCY && jobQueue.length) {
+    const job = db.transcription_jobs.find(j => j.id === jobQueue.shift());
+    if (!job || job.status !== 'queued') continue;
+    runningJobs++;
+    runJob(job).finally(() => { runningJobs--; pumpJobs(); });
+  }
+}
+
+async function runJob(job) {
+  Object.assign(job, { status: 'running', progress: 0, startedAt: Date.now() });
+  save(db);
+  let savedAt = Date.now();
+  const onProgress = p => {
+    job.progress = Math.max(job.progress, Math.min(0.99, p));
+    if (Date.now() - savedAt > 1000) { savedAt = Date.now(); save(db); }
+  };
+  try {
+    const engine = engines[job.engine];
+    if (!engine) throw new Error(`Engine ${job.engine} is no longer configured`);
+    const input = { path: `${FILES_DIR}/${job.audioKey}`, type: job.type, name: job.fileName, language: job.language, durationSec: job.durationSec };
+    const result = await engine.transcribe(input, onProgress);
+    const transcript = {
+      id: newId('transcripts'), userId: job.userId, jobId: job.id, title: job.fileName, language: job.language, detectedLanguage: result.language || null,
+      engine: job.engine, audioKey: job.audioKey, durationSec: job.durationSec, text: result.text.trim(), segments: result.segments, createdAt: Date.now()
+    };
+    db.transcripts.push(transcript);
+    Object.assign(job, { status: 'done', progress: 1, transcriptId: transcript.id, finishedAt: Date.now() });
+    notify(job.userId, { type: 'transcription.done', link: '/dashboard/transcripts', title: `Transcript ready: ${job.fileName}`, body: `${transcript.segments.length} segments, ${transcript.text.split(/\s+/).filter(Boolean).length} words` });
+  } catch (err) {
+    console.error(`Transcription job ${job.id} failed: ${err.message}`);
+    Object.assign(job, { status: 'failed', error: err.message, finishedAt: Date.now() });
+    notify(job.userId, { type: 'transcription.failed', link: '/dashboard/transcripts', title: `Transcription failed: ${job.fileName}`, body: err.message });
+  }
+  save(db);
+}
+
+// Everything is checked before the audio reaches the object store, so a rejected upload leaves nothing behind
+async function createTranscriptionJob(req, url) {
+  const user = requireUser(req);
+  const q = Object.fromEntries(url.searchParams);
+  const engine = q.engine || DEFAULT_ENGINE;
+  if (!engines[engine]) throw new Error(`Transcription engine ${engine} is not configured`);
+  const language = q.language || 'auto';
+  if (!/^(auto|[a-z]{2,3}(-[A-Z]{2})?)$/.test(language)) throw new Error('Invalid language');
+  const type = (req.headers['content-type'] || '').split(';')[0];
+  if (!/^(audio|video)\//.test(type)) throw new Error('Upload an audio file');
+  const bytes = await readBuffer(req, MAX_AUDIO_BYTES);
+  const id = newId('transcription_jobs');
+  const audioKey = `audio-${id}`;
+  let durationSec = wavDuration(bytes);
+  if (durationSec === null) {
+    const probePath = `${os.tmpdir()}/writely-${id}`;
+    fs.writeFileSync(probePath, bytes);
+    try {
+      durationSec = await probeDuration(probePath);
+    } finally {
+      fs.rmSync(probePath, { force: true });
+    }
+  }
+  if (!(durationSec > 0)) throw new Error('Could not determine the length of this recording; upload WAV, or install ffprobe on the server');
+  if (durationSec > MAX_AUDIO_SECONDS) throw new Error(`Audio is longer than the ${Math.round(MAX_AUDIO_SECONDS / 60)} minute limit`);
+  writeBlob(audioKey, bytes, type, user.id);
+  const job = {
+    id, userId: user.id, engine, language, fileName: (q.name || 'audio').slice(0, 200), type, size: bytes.length, durationSec, audioKey,
+    status: 'queued', progress: 0, error: null, transcriptId: null, createdAt: Date.now()
+  };
+  db.transcription_jobs.push(job);
+  save(db);
+  enqueueJob(job);
+  return job;
+}
+
+// ---------- Object storage ----------
+// A blob is readable by whoever may see the record that references it: task files (and their extracted text) by the
+// task's student and assigned tutor, sample work by everyone, message attachments by the thread's two participants,
+// transcription audio by its owner; admins see everything. Uploads arrive before their record exists, so the sidecar also keeps the
+// uploader (ownerId), who always has access. Only the owner or an admin may overwrite or delete a key.
+function writeBlob(key, bytes, type, ownerId) {
+  fs.mkdirSync(FILES_DIR, { recursive: true });
+  fs.writeFileSync(`${FILES_DIR}/${key}`, bytes);
+  fs.writeFileSync(`${FILES_DIR}/${key}.json`, JSON.stringify({ type: type || 'application/octet-stream', size: bytes.length, ownerId }));
+}
+
+function blobMeta(key) {
+  const path = `${FILES_DIR}/${key}.json`;
+  return fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : null;
+}
+
+function canSeeFile(user, file) {
+  if (file.kind === 'sample') return true;
+  if (!user) return false;
+  const task = db.tasks.find(t => t.id === file.taskId);
+  return user.role === 'admin' || file.uploadedBy === user.id || (!!task && (user.id === task.studentId || user.id === task.tutorId));
+}
+
+function canSeeMessage(user, message) {
+  return !!user && (user.role === 'admin' || user.id === message.senderId || user.id === message.recipientId);
+}
+
+// ---------- Record access ----------
+// The generic /api/:collection routes serve a record to its owner or a participant of its task, else only to admins.
+// Tasks, reviews, tutor profiles and sample work are public; everything else needs a session to be listed at all.
+// POSTs take the owner field from the session rather than the body, so nothing is created in someone else's name.
+const PUBLIC_COLLECTIONS = ['tasks', 'reviews', 'users', 'files'];
+const OWNER_FIELDS = { tasks: 'studentId', bids: 'tutorId', messages: 'senderId', files: 'uploadedBy', reviews: 'reviewerId', transcripts: 'userId' };
+// Moderation is for admins alone
+const MODERATION_FIELDS = ['hiddenAt', 'hiddenBy'];
+
+const taskById = id => db.tasks.find(t => t.id === id);
+// A task's student, or the tutor whose bid they accepted
+const onTask = (user, task) => !!task && (user.id === task.studentId || (!!task.tutorId && user.id === task.tutorId));
+
+// Ledger rows are read by the account's holder (an escrow account's by the task's student and tutor), together with
+// the other legs of their transactions, such as the fee taken from a tutor's release
+function canSeeAccount(user, account) {
+  const [type, id] = String(account).split(':');
+  return type === 'escrow' ? onTask(user, taskById(id)) : ['student', 'tutor', 'payout_pending'].includes(type) && id === user.id;
+}
+
+function canRead(user, collection, record) {
+  if (collection === 'tasks' || collection === 'reviews') return true;
+  if (collection === 'users') return !!user || record.role === 'tutor';
+  if (collection === 'files') return canSeeFile(user, record);
+  if (collection === 'messages') return canSeeMessage(user, record);
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (collection === 'bids') return user.id === record.tutorId || user.id === taskById(record.taskId)?.studentId;
+  if (collection === 'payments') return user.id === record.studentId || user.id === record.tutorId;
+  if (collection === 'ledger') return db.ledger.some(r => r.txId === record.txId && canSeeAccount(user, r.account));
+  if (collection === 'document_texts' || collection === 'originality_reports') return db.files.some(f => f.id === record.fileId && canSeeFile(user, f));
+  return user.id === record.userId; // notifications, transcripts, transcription jobs
+}
+
+// Why `user` may not create (record null) or PATCH/DELETE `record` in `collection`, or null when they may.
+// Users, payments, the ledger and originality data have their own rules in handle().
+function writeProblem(user, collection, method, record, patch = {}) {
+  if (user.role === 'admin') return null;
+  const changed = fields => Object.keys(patch).filter(f => fields.includes(f) && (record ? patch[f] !== record[f] : patch[f] != null));
+  const moderated = changed(MODERATION_FIELDS);
+  if (moderated.length) return `Only admins can set ${moderated.join(', ')}`;
+  if (collection === 'transcription_jobs') return 'Transcription jobs are started through POST /api/transcriptions';
+  if (collection === 'notifications') {
+    if (!record) return 'Notifications are recorded by the server';
+    return user.id === record.userId && Object.keys(patch).every(f => f === 'readAt') ? null : 'You can only mark your own notifications read';
+  }
+  if (!record) {
+    if (collection === 'tasks' && user.role !== 'student') return 'Only students can post tasks';
+    if (collection === 'tasks' && patch.tutorId) return 'A new task has no tutor yet';
+    if (collection === 'bids' && user.role !== 'tutor') return 'Only tutors can bid';
+    if (collection === 'reviews') return reviewProblem(user, patch);
+    if (collection === 'files' && (patch.taskId ? !onTask(user, taskById(patch.taskId)) : patch.ownerId !== user.id)) return 'You can only add files to your own tasks and profile';
+    if (collection === 'messages') {
+      // A thread is between the task's student and one tutor
+      const task = taskById(patch.taskId);
+      const [from, to] = task && user.id === task.studentId ? [task.studentId, patch.tutorId] : [patch.tutorId, task && task.studentId];
+      if (!task || user.id !== from || patch.recipientId !== to) return "Messages go between a task's student and a tutor";
+    }
+    return null;
+  }
+  if (method === 'DELETE' && (collection === 'tasks' || collection === 'bids' || collection === 'reviews')) return `Only admins can delete ${collection}`;
+  if (collection === 'tasks') {
+    if (!onTask(user, record)) return 'This task belongs to someone else';
+    const locked = changed(user.id === record.studentId ? ['studentId'] : ['studentId', 'tutorId']);
+    return locked.length ? `${locked.join(', ')} can't be changed here` : null;
+  }
+  if (collection === 'bids') {
+    if (user.id !== record.tutorId && user.id !== taskById(record.taskId)?.studentId) return 'This bid belongs to someone else';
+    const locked = changed(['tutorId', 'taskId']);
+    return locked.length ? `${locked.join(', ')} can't be changed here` : null;
+  }
+  if (collection === 'reviews') return "Reviews can't be changed once posted";
+  if (collection === 'messages') {
+    if (method === 'DELETE') return user.id === record.senderId ? null : 'Only the sender can delete a message';
+    return user.id === record.recipientId && Object.keys(patch).every(f => f === 'readAt') ? null : 'Only the recipient can mark a message read';
+  }
+  if (collection === 'files') {
+    if (user.id !== record.uploadedBy) return 'This file belongs to someone else';
+    const locked = changed(['uploadedBy', 'ownerId', 'taskId', 'kind', 'version']);
+    return locked.length ? `${locked.join(', ')} can't be changed here` : null;
+  }
+  return user.id === record.userId && !changed(['userId']).length ? null : 'This record belongs to someone else'; // transcripts
+}
+
+// Same rules as the app's submitReview(): once per completed task, by its student (of the tutor) or tutor (of the
+// student). The rating and text are checked by validate() like any other record.
+function reviewProblem(user, review) {
+  const task = taskById(review.taskId);
+  const role = task && taskActorRole(task, user);
+  if (!task || task.status !== 'completed') return 'Reviews open once the task is completed';
+  if (role !== 'student' && role !== 'tutor') return 'Only the student and assigned tutor can review this task';
+  if (review.reviewerRole !== role || review.revieweeId !== (role === 'student' ? task.tutorId : task.studentId)) return 'A review is of the other side of the task';
+  return db.reviews.some(r => r.taskId === task.id && r.reviewerId === user.id) ? 'You have already reviewed this task' : null;
+}
+
+function canReadBlob(user, key, meta) {
+  if (user && (user.role === 'admin' || meta.ownerId === user.id)) return true;
+  const doc = db.document_texts.find(d => d.textKey === key);
+  const file = db.files.find(f => (doc ? f.id === doc.fileId : f.blobKey === key));
+  if (file) return canSeeFile(user, file);
+  const message = db.messages.find(m => (m.attachments || []).some(a => a.blobKey === key));
+  if (message) return canSeeMessage(user, message);
+  const audio = db.transcripts.find(t => t.audioKey === key) || db.transcription_jobs.find(j => j.audioKey === key);
+  return !!audio && !!user && audio.userId === user.id;
+}
+
+function removeBlob(key) {
+  fs.rmSync(`${FILES_DIR}/${key}`, { force: true });
+  fs.rmSync(`${FILES_DIR}/${key}.json`, { force: true });
+}
+
+async function handleBlobs(req, res, key) {
+  if (!/^[\w-]+$/.test(key || '')) return send(res, 400, { error: 'Invalid file key' });
+  const path = `${FILES_DIR}/${key}`;
+  const user = requestUser(req);
+  const meta = fs.existsSync(path) ? blobMeta(key) || {} : null;
+  const mayChange = !!user && (!meta || meta.ownerId === user.id || user.role === 'admin');
+  if (req.method === 'PUT') {
+    if (!user) return send(res, 401, { error: 'Sign in to continue' });
+    if (!mayChange) return send(res, 403, { error: 'This file belongs to someone else' });
+    const bytes = await readBuffer(req, MAX_UPLOAD_BYTES);
+    writeBlob(key, bytes, req.headers['content-type'], meta ? meta.ownerId : user.id);
+    return send(res, 201, { key, size: bytes.length });
+  }
+  // Files the requester may not read are reported as missing rather than forbidden
+  if (!meta || !canReadBlob(user, key, meta)) return send(res, 404, { error: 'Not found' });
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': meta.type || 'application/octet-stream', 'Access-Control-Allow-Origin': '*' });
+    return fs.createReadStream(path).pipe(res);
+  }
+  if (req.method === 'DELETE') {
+    if (!mayChange) return send(res, 403, { error: 'This file belongs to someone else' });
+    removeBlob(key);
+    return send(res, 204);
+  }
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+// ---------- Originality checks ----------
+// The app's writely_originality.mjs, run here because only the server may read every task's files. Extracted text
+// goes to the object store (text-<fileId>) with a document_texts record pointing at it; flagged work notifies admins.
+async function indexFileText(file) {
+  const record = { id: newId('document_texts'), fileId: file.id, taskId: file.taskId, kind: file.kind, name: file.name, textKey: null, status: 'done', extractedAt: Date.now() };
+  try {
+    const bytes = fs.readFileSync(`${FILES_DIR}/${file.blobKey}`);
+    const text = await extractText(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length), file.name);
+    if (text === null) {
+      record.status = 'unsupported';
+    } else {
+      record.textKey = `text-${file.id}`;
+      writeBlob(record.textKey, Buffer.from(text.slice(0, ORIGINALITY_SETTINGS.maxChars)), 'text/plain; charset=utf-8', file.uploadedBy);
+    }
+  } catch (err) {
+    console.error(`Could not read text from ${file.name}`, err);
+    record.status = 'failed';
+  }
+  db.document_texts.push(record);
+  return record;
+}
+
+// Records the app wrote before the server ran checks may keep the text inline
+function documentText(doc) {
+  if (!doc.textKey) return doc.text || '';
+  const path = `${FILES_DIR}/${doc.textKey}`;
+  return fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : '';
+}
+
+// Briefs, deliverables and descriptions of every other task; files that were never indexed are indexed here
+async function originalitySources(taskId) {
+  const files = db.files.filter(f => f.taskId && f.taskId !== taskId && (f.kind === 'brief' || f.kind === 'deliverable'));
+  const sources = [];
+  for (const file of files) {
+    const doc = db.document_texts.find(d => d.fileId === file.id) || (fs.existsSync(`${FILES_DIR}/${file.blobKey}`) ? await indexFileText(file) : null);
+    const text = doc && doc.status === 'done' ? documentText(doc) : '';
+    if (text) sources.push({ id: doc.fileId, taskId: doc.taskId, kind: doc.kind, name: doc.name, text });
+  }
+  const others = db.tasks.filter(t => t.id !== taskId && t.description)
+    .map(t => ({ id: t.id, taskId: t.id, kind: 'description', name: `Description of "${t.title}"`, text: t.description }));
+  return [...sources, ...others];
+}
+
+// One report per deliverable (a repeated request returns it); failures are recorded on the report
+async function checkOriginality(user, { fileId } = {}) {
+  const file = db.files.find(f => f.id === fileId && f.kind === 'deliverable');
+  if (!file || !canSeeFile(user, file)) throw httpError(404, 'Deliverable not found');
+  if (file.uploadedBy !== user.id && user.role !== 'admin') throw httpError(403, 'Only the tutor who submitted it can have it checked');
+  const existing = db.originality_reports.find(r => r.fileId === file.id);
+  if (existing) return existing;
+  const base = {
+    id: newId('originality_reports'), taskId: file.taskId, fileId: file.id, version: file.version, tutorId: file.uploadedBy,
+    threshold: ORIGINALITY_THRESHOLD, createdAt: Date.now(), review: null
+  };
+  let report;
+  try {
+    const doc = db.document_texts.find(d => d.fileId === file.id) || (await indexFileText(file));
+    const text = doc.status === 'done' ? documentText(doc) : null;
+    report = checkableText(text)
+      ? { ...base, ...originalityFindings(text, await originalitySources(file.taskId), base.threshold) }
+      : { ...base, ...NO_FINDINGS, status: 'unsupported' };
+  } catch (err) {
+    console.error('Originality check failed', err);
+    report = { ...base, ...NO_FINDINGS, status: 'failed' };
+  }
+  db.originality_reports.push(report);
+  const task = db.tasks.find(t => t.id === file.taskId);
+  if (report.flagged && task) publish('originality.flagged', { task, report, admins: db.users.filter(u => u.role === 'admin') });
+  save(db);
+  return report;
+}
+
+// ---------- Calendar feed ----------
+// Built with the app's own writely_calendar.mjs, so subscribed calendar apps see the same events as a downloaded .ics.
+// Null unless `token` matches a user's calendarToken
+function calendarFeed(token) {
+  const user = token && db.users.find(u => u.calendarToken && safeEqual(u.calendarToken, token));
+  if (!user) return null;
+  const field = user.role === 'tutor' ? 'tutorId' : 'studentId';
+  return toICS(calendarEvents(db.tasks.filter(t => t[field] === user.id)), { link: `${APP_URL}/dashboard/calendar`, formatAmount: formatMoney });
+}
+
+// ---------- Backups ----------
+// Whole-store dump and restore for the app's admin backup page. Sessions never leave the server: a backup omits
+// them and a restore keeps the current ones. A restore is checked in full before the one save() that applies it.
+const BACKUP_COLLECTIONS = COLLECTIONS.filter(c => c !== 'sessions');
+
+function requireAdmin(req) {
+  const user = requireUser(req);
+  if (user.role !== 'admin') throw httpError(403, 'Only admins can back up or restore data');
+  return user;
+}
+
+function backupProblem(data) {
+  if (!data || typeof data !== 'object') return 'it is not an object';
+  for (const c of BACKUP_COLLECTIONS) {
+    if (!Array.isArray(data[c])) return `${c} is not an array`;
+    if (data[c].some(r => !r || typeof r !== 'object' || typeof r.id !== 'string')) return `${c} has a record without a string id`;
+    if (new Set(data[c].map(r => r.id)).size !== data[c].length) return `${c} has duplicate ids`;
+  }
+  return null;
+}
+
+// 'replace' swaps in the backup's collections; 'merge' adds the records whose id isn't stored yet
+function restoreBackup({ mode, data } = {}) {
+  if (mode !== 'merge' && mode !== 'replace') throw new Error("Restore mode must be 'merge' or 'replace'");
+  const problem = backupProblem(data);
+  if (problem) throw new Error(`This backup can't be restored: ${problem}`);
+  const written = {};
+  BACKUP_COLLECTIONS.forEach(c => {
+    const kept = mode === 'replace' ? [] : db[c];
+    const ids = new Set(kept.map(r => r.id));
+    const incoming = data[c].filter(r => !ids.has(r.id));
+    db[c] = [...kept, ...incoming];
+    written[c] = incoming.length;
+  });
+  save(db);
+  return written;
+}
+
+// ---------- Routes ----------
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const [, prefix, collection, id] = url.pathname.split('/').map(decodeURIComponent);
+
+  if (prefix === 'webhooks' && req.method === 'POST') {
+    const result = await applyWebhookEvent(collection, await readRaw(req), req.headers, url);
+    return send(res, result.status, result.body);
+  }
+  if (prefix === 'api' && collection === 'auth') return handleAuth(req, res, id);
+  if (prefix === 'api' && collection === 'blobs') return handleBlobs(req, res, id);
+  if (prefix === 'api' && collection === 'config' && req.method === 'GET') {
+    return send(res, 200, { commissionRate: COMMISSION_RATE, originalityThreshold: ORIGINALITY_THRESHOLD });
+  }
+  if (prefix === 'api' && collection === 'backup' && req.method === 'GET') {
+    requireAdmin(req);
+    return send(res, 200, Object.fromEntries(BACKUP_COLLECTIONS.map(c => [c, db[c]])));
+  }
+  if (prefix === 'api' && collection === 'restore' && req.method === 'POST') {
+    requireAdmin(req);
+    return send(res, 200, restoreBackup(await readBody(req)));
+  }
+  if (prefix === 'api' && collection === 'payment-providers' && req.method === 'GET') {
+    return send(res, 200, Object.keys(providers));
+  }
+  if (prefix === 'api' && collection === 'transcription-engines' && req.method === 'GET') {
+    const list = Object.entries(engines).map(([name, engine]) => ({ name, label: engine.label }));
+    return send(res, 200, { engines: list, defaultEngine: DEFAULT_ENGINE || null, maxBytes: MAX_AUDIO_BYTES, maxSeconds: MAX_AUDIO_SECONDS });
+  }
+  if (prefix === 'api' && collection === 'transcriptions' && req.method === 'POST') {
+    return send(res, 202, await createTranscriptionJob(req, url));
+  }
+  if (prefix === 'api' && collection === 'calendar' && req.method === 'GET') {
+    const ics = calendarFeed((id || '').replace(/\.ics$/, ''));
+    if (!ics) return send(res, 404, { error: 'Unknown calendar link' });
+    res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'no-cache', 'Access-Control-Allow-Origin': '*' });
+    return res.end(ics);
+  }
+  if (prefix === 'api' && collection === 'originality-checks' && req.method === 'POST') {
+    return send(res, 201, await checkOriginality(requireUser(req), await readBody(req)));
+  }
+  if (prefix === 'api' && collection === 'checkout' && req.method === 'POST') {
+    return send(res, 200, await startCheckout(requireUser(req), await readBody(req)));
+  }
+  // Diagnostic only: reports what the provider says without changing the payment (webhooks do that)
+  if (prefix === 'api' && collection === 'provider-status' && req.method === 'GET') {
+    const user = requireUser(req);
+    const payment = db.payments.find(p => p.id === id && (p.studentId === user.id || user.role === 'admin'));
+    if (!payment || !payment.providerRef || !providers[payment.provider]) return send(res, 404, { error: 'No checkout for this payment' });
+    return send(res, 200, { status: payment.status, providerStatus: await providers[payment.provider].queryStatus(payment.providerRef) });
+  }
+  if (prefix !== 'api' || !COLLECTIONS.includes(collection) || collection === 'sessions') return send(res, 404, { error: 'Not found' });
+  const rows = db[collection];
+  const viewer = requestUser(req);
+  const visible = record => (collection === 'users' ? visibleUser(record, viewer) : record);
+  const readable = record => canRead(viewer, collection, record);
+
+  if (req.method === 'GET' && !viewer && !PUBLIC_COLLECTIONS.includes(collection)) return send(res, 401, { error: 'Sign in to continue' });
+  if (req.method === 'GET' && id) {
+    const record = rows.find(r => r.id === id);
+    return record && readable(record) ? send(res, 200, visible(record)) : send(res, 404, { error: 'Not found' });
+  }
+  if (req.method === 'GET') {
+    return send(res, 200, rows.filter(r => readable(r) && matches(r, Object.fromEntries(url.searchParams))).map(visible));
+  }
+  // Writes need a signed-in user; accounts are created and their credentials changed only through /api/auth
+  if (!viewer) return send(res, 401, { error: 'Sign in to continue' });
+  if (collection === 'users' && req.method === 'POST') return send(res, 403, { error: 'Accounts are created through /api/auth/register' });
+  if (collection === 'users' && req.method === 'DELETE' && viewer.role !== 'admin') return send(res, 403, { error: 'Only admins can delete accounts' });
+  if (collection === 'ledger') return send(res, 403, { error: 'Ledger rows are posted by the server as payments, tasks and payouts change' });
+  if (collection === 'payments' && req.method === 'DELETE') return send(res, 403, { error: 'Payments are kept for the record; void an unpaid one instead' });
+  // Originality data comes from checkOriginality(); moderators only record their review on a report
+  if (collection === 'document_texts' || (collection === 'originality_reports' && !(req.method === 'PATCH' && viewer.role === 'admin'))) {
+    return send(res, 403, { error: 'Originality checks are run by the server (POST /api/originality-checks)' });
+  }
+  // An array body is inserted all or nothing
+  if (req.method === 'POST' && !id) {
+    const body = await readBody(req);
+    const ownerOf = r => (collection === 'payments' ? { escrow: 'studentId', payout: 'tutorId' }[r.kind] : OWNER_FIELDS[collection]);
+    const records = (Array.isArray(body) ? body : [body]).map(r => ({ ...r, id: r.id || newId(collection), ...(ownerOf(r) ? { [ownerOf(r)]: viewer.id } : {}) }));
+    const forbidden = collection === 'reviews' && records.length > 1 ? 'Post one review at a time' : records.map(r => (collection === 'payments' ? paymentWriteProblem(viewer, r) : writeProblem(viewer, collection, 'POST', null, r))).find(Boolean);
+    if (forbidden) return send(res, 403, { error: forbidden });
+    const duplicate = records.find((r, i) => rows.some(x => x.id === r.id) || records.findIndex(x => x.id === r.id) !== i);
+    if (duplicate) return send(res, 409, { error: `Duplicate id ${duplicate.id}` });
+    records.forEach(r => assertValid(collection, r));
+    // Deliverables are numbered here, after the task's latest one; the version a client sends is ignored
+    if (collection === 'files') {
+      records.forEach((r, i) => {
+        const versions = [...rows, ...records.slice(0, i)].filter(f => f.kind === 'deliverable' && f.taskId === r.taskId).map(f => f.version || 0);
+        r.version = r.kind === 'deliverable' ? Math.max(0, ...versions) + 1 : null;
+      });
+    }
+    // A payout request moves its amount out of the tutor's earnings in the same save
+    const payouts = collection === 'payments' ? records.filter(r => r.kind === 'payout') : [];
+    const entries = payouts.reduce((staged, payout) => [...staged, ...checkedRows([payoutRows('payout_request', payout)], { poster: viewer, payout }, staged)], []);
+    rows.push(...records);
+    db.ledger.push(...entries);
+    records.forEach(r => publishChanges(collection, null, r));
+    save(db);
+    return send(res, 201, Array.isArray(body) ? records : records[0]);
+  }
+  if (req.method === 'PATCH' && id) {
+    const record = rows.find(r => r.id === id);
+    if (!record) return send(res, 404, { error: 'Not found' });
+    const patch = await readBody(req);
+    if (collection === 'users') {
+      const isAdmin = viewer.role === 'admin';
+      if (!isAdmin && viewer.id !== id) return send(res, 403, { error: 'You can only change your own account' });
+      const locked = Object.keys(patch).filter(f => (PRIVATE_USER_FIELDS.includes(f) && !(f === 'calendarToken' && viewer.id === id))
+        || (ADMIN_USER_FIELDS.includes(f) && !isAdmin));
+      if (locked.length) return send(res, 403, { error: `${locked.join(', ')} can't be changed here` });
+      if (patch.profile) assertValid(record.role === 'tutor' ? 'tutorProfile' : 'studentProfile', patch.profile);
+    } else {
+      const forbidden = collection === 'payments' ? paymentWriteProblem(viewer, patch, record) : writeProblem(viewer, collection, 'PATCH', record, patch);
+      if (forbidden) return send(res, 403, { error: forbidden });
+    }
+    assertValid(collection, patch, { partial: true });
+    // Marking a payout sent moves it out of pending payouts in the same save
+    const sent = collection === 'payments' && record.kind === 'payout' && record.status !== 'paid' && patch.status === 'paid'
+      ? checkedRows([payoutRows('payout_paid', record)], { poster: viewer, payout: record }) : [];
+    const before = { ...record };
+    if (collection === 'tasks') applyTaskUpdate(viewer, record, patch);
+    else Object.assign(record, patch, { id });
+    db.ledger.push(...sent);
+    publishChanges(collection, before, record);
+    if (collection === 'users' && patch.suspendedAt) revokeSessions(id);
+    save(db);
+    return send(res, 200, visible(record));
+  }
+  if (req.method === 'DELETE' && id) {
+    const index = rows.findIndex(r => r.id === id);
+    if (index === -1) return send(res, 404, { error: 'Not found' });
+    const forbidden = !['users', 'payments'].includes(collection) && writeProblem(viewer, collection, 'DELETE', rows[index]);
+    if (forbidden) return send(res, 403, { error: forbidden });
+    rows.splice(index, 1);
+    save(db);
+    return send(res, 204);
+  }
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+checkDeadlines();
+setInterval(checkDeadlines, DEADLINE_CHECK_MS);
+
+// Pick up jobs that were queued or running when the server last stopped
+db.transcription_jobs.filter(j => j.status === 'queued' || j.status === 'running').forEach(job => {
+  job.status = 'queued';
+  enqueueJob(job);
+});
+
+http.createServer((req, res) => {
+  handle(req, res).catch(err => send(res, err.status || 400, { error: err.message, fieldErrors: err.fieldErrors }));
+}).listen(PORT, () => console.log(`Writely API listening on http://localhost:${PORT}/api (payment providers: ${Object.keys(providers).join(', ') || 'none'}; transcription engines: ${Object.keys(engines).join(', ') || 'none'})`));
+
+// ---------- Mock payment provider ----------
+// A stand-in for Stripe/M-Pesa during development and tests. POST /checkouts creates a checkout and returns a
+// hosted page URL; the page's buttons send signed webhooks to /webhooks/mock, optionally twice to exercise idempotency.
+if (providers.mock) {
+  const checkouts = new Map();
+
+  async function postWebhook(raw) {
+    const res = await fetch(`http://localhost:${PORT}/webhooks/mock`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-mock-signature': signTimestamped(raw, MOCK_WEBHOOK_SECRET) },
+      body: raw
+    });
+    return res.json();
+  }
+
+  function page(checkout) {
+    const action = (status, label, extra = '') => `<form method="post" action="/checkouts/${checkout.id}/${status}${extra}"><button>${label}</button></form>`;
+    return `<!doctype html><title>Mock checkout</title><body style="font-family:system-ui;max-width:420px;margin:40px auto">
+      <h2>Mock checkout</h2><p>Payment <code>${checkout.paymentId}</code>: ${formatMoney(checkout.amount, checkout.currency)}</p><p>Status: <strong>${checkout.status}</strong></p>
+      ${checkout.status === 'processing' ? action('paid', 'Pay') + action('failed', 'Decline') + action('paid', 'Pay (send webhook twice)', '?duplicate=1') : ''}
+      <p><a href="${checkout.returnUrl}">Return to Writely</a></p></body>`;
+  }
+
+  async function handleMock(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const [, root, id, action] = url.pathname.split('/');
+    if (root !== 'checkouts') return send(res, 404, { error: 'Not found' });
+    if (req.method === 'POST' && !id) {
+      const body = await readBody(req);
+      const checkout = { id: 'mock_cs_' + crypto.randomUUID(), paymentId: body.paymentId, amount: body.amount, currency: body.currency, returnUrl: body.returnUrl, status: 'processing' };
+      checkouts.set(checkout.id, checkout);
+      return send(res, 201, { id: checkout.id, url: `http://localhost:${MOCK_PROVIDER_PORT}/checkouts/${checkout.id}` });
+    }
+    const checkout = checkouts.get(id);
+    if (!checkout) return send(res, 404, { error: 'Unknown checkout' });
+    if (req.method === 'GET' && req.headers.accept && req.headers.accept.includes('text/html')) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(page(checkout));
+    }
+    if (req.method === 'GET') return send(res, 200, { id: checkout.id, status: checkout.status });
+    if (req.method === 'POST' && (action === 'paid' || action === 'failed') && checkout.status === 'processing') {
+      checkout.status = action;
+      const raw = JSON.stringify({ id: 'evt_' + crypto.randomUUID(), checkoutId: checkout.id, status: action });
+      await postWebhook(raw);
+      if (url.searchParams.get('duplicate')) await postWebhook(raw);
+      res.writeHead(303, { Location: `/checkouts/${checkout.id}` });
+      return res.end();
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  http.createServer((req, res) => {
+    handleMock(req, res).catch(err => send(res, 400, { error: err.message }));
+  }).listen(MOCK_PROVIDER_PORT, () => console.log(`Mock payment provider on http://localhost:${MOCK_PROVIDER_PORT}`));
+}
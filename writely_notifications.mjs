@@ -0,0 +1,91 @@
+// Writely notifications — shared by the app and writely_local_server.mjs, so in-app notices and their email copies
+// read the same whichever side records them. The app records them itself with the browser backends; with the http
+// backend the server records them from the changes it stores. Plain JS with no browser or Node APIs.
+import { MILESTONE_KINDS } from './writely_calendar.mjs';
+
+// How long before a deadline or milestone falls due its reminder goes out
+export const DEADLINE_WARNING_MS = 24 * 60 * 60 * 1000;
+
+// 'overdue', 'soon' (within the reminder window) or null
+export function deadlineState(item, now = Date.now(), warnMs = DEADLINE_WARNING_MS) {
+  if (!item || item.done) return null;
+  if (item.at < now) return 'overdue';
+  return item.at - now <= warnMs ? 'soon' : null;
+}
+
+// Each handler returns the notifications to record; the caller's `money` and `deadline` format amounts and due times.
+// `dedupeKey` makes an event fire once per recipient: it becomes the record's id, so a second insert fails even when
+// two tabs publish at the same moment.
+export const NOTIFICATION_EVENTS = {
+  'bid.created': ({ task, bid }, { money }) => [{
+    userId: task.studentId, taskId: task.id, link: '/dashboard/my-tasks',
+    title: `New bid on "${task.title}"`, body: `${bid.tutorName} offered ${money(bid.amount)}`
+  }],
+  'bid.invited': ({ task, tutorId, message }, { money }) => [{
+    userId: tutorId, taskId: task.id, link: '/dashboard/my-bids',
+    title: `${task.studentName} invited you to bid on "${task.title}"`,
+    body: message || `Due ${task.dueDate}${task.budget ? `, budget ${money(task.budget)}` : ''}`
+  }],
+  'bid.withdrawn': ({ task, bid }, { money }) => [{
+    userId: task.studentId, taskId: task.id, link: '/dashboard/my-tasks',
+    title: `${bid.tutorName} withdrew a bid on "${task.title}"`, body: `The ${money(bid.amount)} bid is no longer available`
+  }],
+  'bid.countered': ({ task, bid, amount }, { money }) => [{
+    userId: bid.tutorId, taskId: task.id, link: '/dashboard/my-bids',
+    title: `Counter-offer on "${task.title}"`, body: `${task.studentName} proposed ${money(amount)} instead of ${money(bid.amount)}`
+  }],
+  'bid.counter_answered': ({ task, bid, accepted }, { money }) => [{
+    userId: task.studentId, taskId: task.id, link: '/dashboard/my-tasks',
+    title: `${bid.tutorName} ${accepted ? 'accepted' : 'declined'} your counter-offer`,
+    body: accepted ? `Their bid on "${task.title}" is now ${money(bid.amount)}` : `Their bid on "${task.title}" stays at ${money(bid.amount)}`
+  }],
+  'bid.rejected': ({ task, bid }) => [{
+    userId: bid.tutorId, taskId: task.id, link: '/dashboard/my-bids',
+    title: `Your bid on "${task.title}" was not selected`,
+    body: task.status === 'cancelled' ? 'The student cancelled the task' : 'The student chose another bid'
+  }],
+  'bid.accepted': ({ task, bid }, { money }) => [{
+    userId: bid.tutorId, taskId: task.id, link: '/dashboard/my-tasks',
+    title: `Your bid on "${task.title}" was accepted`, body: `You can start work once the student funds the escrow (${money(bid.amount)}).`
+  }],
+  'payment.changed': ({ task, change, amount }, { money }) => {
+    const text = {
+      funded: [`${money(amount)} is held in escrow until the work is completed`, 'The student has paid; you can start work'],
+      released: [`${money(amount)} released to the tutor`, `${money(amount)} (less the platform fee) was added to your earnings`],
+      refunded: [`${money(amount)} refunded to you`, 'The task was cancelled and the escrow refunded to the student'],
+      split: [`${money(amount)} refunded to you, the rest went to the tutor`, 'The escrow was split; your share was added to your earnings']
+    }[change];
+    return [
+      { userId: task.studentId, taskId: task.id, link: '/dashboard/payments', title: `Payment update for "${task.title}"`, body: text[0] },
+      { userId: task.tutorId, taskId: task.id, link: '/dashboard/payments', title: `Payment update for "${task.title}"`, body: text[1] }
+    ];
+  },
+  'payout.sent': ({ payout }, { money }) => [{
+    userId: payout.tutorId, link: '/dashboard/payments', title: 'Payout sent', body: `${money(payout.amount)} is on its way to you`
+  }],
+  'deadline.approaching': ({ task, userId, item }, { deadline }) => [{
+    userId, taskId: task.id, link: '/dashboard/calendar', dedupeKey: `deadline:${item.id}:${userId}`,
+    title: item.kind === 'deadline' ? `"${task.title}" is due soon` : `${item.label} for "${task.title}" is due soon`,
+    body: `Due ${deadline(item.at)}`
+  }],
+  'deadline.overdue': ({ task, userId, item }, { deadline }) => [{
+    userId, taskId: task.id, link: '/dashboard/calendar', dedupeKey: `overdue:${item.id}:${userId}`,
+    title: item.kind === 'deadline' ? `"${task.title}" is past its deadline` : `${item.label} for "${task.title}" is overdue`,
+    body: `It was due ${deadline(item.at)}`
+  }],
+  'originality.flagged': ({ task, report, admins }) => admins.map(admin => ({
+    userId: admin.id, taskId: task.id, link: '/admin',
+    title: `Deliverable on "${task.title}" flagged for review`,
+    body: `Version ${report.version} is ${report.similarity}% similar to other work on the platform`
+  })),
+  'milestone.submitted': ({ task, milestone }, { money }) => [{
+    userId: task.studentId, taskId: task.id, link: '/dashboard/my-tasks',
+    title: `${MILESTONE_KINDS[milestone.kind]} submitted for "${task.title}"`,
+    body: milestone.amount ? `Approving it releases ${money(milestone.amount)} to the tutor` : 'Review it and approve it on the task'
+  }],
+  'milestone.approved': ({ task, milestone, released }, { money }) => [{
+    userId: task.tutorId, taskId: task.id, link: released ? '/dashboard/payments' : '/dashboard/my-tasks',
+    title: `${MILESTONE_KINDS[milestone.kind]} approved for "${task.title}"`,
+    body: released ? `${money(released)} (less the platform fee) was added to your earnings` : 'The student approved this milestone'
+  }]
+};
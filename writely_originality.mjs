@@ -0,0 +1,268 @@
+// Writely originality checks — shared by the app (browser backends) and writely_local_server.mjs, which runs the
+// check itself on the http backend. Plain JS: needs only TextDecoder, Blob, Response and DecompressionStream.
+//
+// Each brief and deliverable's text is extracted once (TXT, DOCX, ODT and text-based PDFs). A submitted deliverable
+// is compared with the briefs, deliverables and descriptions of every other task: words covered by runs of at least
+// `minRunWords` that share every `shingleWords`-word window (hashed) with a source count as matching.
+export const ORIGINALITY_SETTINGS = {
+  shingleWords: 5,
+  minRunWords: 8,
+  minWords: 30,
+  // Longest extracted text kept, in characters
+  maxChars: 300000
+};
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder();
+
+// Most bytes one document may decompress to. Past it (a ZIP or Flate bomb, or text far longer than maxChars) the
+// document counts as unsupported.
+const MAX_INFLATED_BYTES = ORIGINALITY_SETTINGS.maxChars * 4;
+
+// Throws an error with code 'too_large' once the output passes `limit` bytes, without decompressing the rest
+async function inflate(bytes, format, limit = MAX_INFLATED_BYTES) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let length = 0;
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    length += chunk.value.length;
+    if (length > limit) {
+      await reader.cancel();
+      throw Object.assign(new Error(`Decompresses to more than ${limit} bytes`), { code: 'too_large' });
+    }
+    chunks.push(chunk.value);
+  }
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+// Bytes of one entry of a ZIP archive (stored or deflated), or null when it is missing
+async function unzipEntry(buffer, path) {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a ZIP archive');
+  let p = view.getUint32(end + 16, true);
+  for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Damaged ZIP directory');
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const offset = view.getUint32(p + 42, true);
+    if (utf8.decode(new Uint8Array(buffer, p + 46, nameLength)) === path) {
+      const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+      const data = new Uint8Array(buffer, start, size);
+      if (method === 0) return data;
+      if (method === 8) return inflate(data, 'deflate-raw');
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    }
+    p += 46 + nameLength + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+  }
+  return null;
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+function decodeXml(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => (e[0] !== '#' ? XML_ENTITIES[e] ?? m
+    : String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)))));
+}
+
+// WordprocessingML (DOCX) or ODF (ODT) body XML to text, one line per paragraph
+function officeXmlText(xml) {
+  return decodeXml(xml
+    .replace(/<w:(instrText|delText)\b[^>]*>[^]*?<\/w:\1>/g, '')
+    .replace(/<\/(w:p|text:p|text:h)>/g, '\n')
+    .replace(/<(w:tab|w:br|text:tab|text:s|text:line-break)\b[^>]*\/>/g, ' ')
+    .replace(/<[^>]+>/g, ''));
+}
+
+// Text drawn by the Tj, TJ, ' and " operators of a PDF content stream. Fonts with custom encodings (often CID
+// fonts) come out as noise, which tokenize() then mostly drops.
+function contentStreamText(content) {
+  const lines = [''];
+  const write = text => { lines[lines.length - 1] += text; };
+  const newLine = () => lines.push('');
+  let operands = [];
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+    if (c === '(') {
+      let depth = 1;
+      let text = '';
+      i++;
+      while (i < content.length && depth) {
+        const ch = content[i++];
+        if (ch === '\\') {
+          const next = content[i++];
+          if (/[0-7]/.test(next)) {
+            let octal = next;
+            while (octal.length < 3 && /[0-7]/.test(content[i])) octal += content[i++];
+            text += String.fromCharCode(parseInt(octal, 8));
+          } else {
+            text += { n: '\n', r: '', t: '\t', b: '', f: '', '\r': '', '\n': '' }[next] ?? next;
+          }
+        } else if (ch === '(') {
+          depth++;
+          text += ch;
+        } else if (ch === ')') {
+          if (--depth) text += ch;
+        } else {
+          text += ch;
+        }
+      }
+      operands.push(text);
+    } else if (c === '<' && content[i + 1] !== '<') {
+      const close = content.indexOf('>', i);
+      const hex = content.slice(i + 1, close < 0 ? content.length : close).replace(/\s/g, '');
+      operands.push((hex.match(/../g) || []).map(h => String.fromCharCode(parseInt(h, 16))).join(''));
+      i = close < 0 ? content.length : close + 1;
+    } else if (c === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (/[\s[\]<>]/.test(c)) {
+      i++;
+    } else {
+      const token = /^\/?[^\s()[\]<>/%]*/.exec(content.slice(i, i + 128))[0] || c;
+      i += token.length;
+      if (token[0] === '/' || !Number.isNaN(Number(token))) {
+        operands.push(token[0] === '/' ? token : Number(token));
+        continue;
+      }
+      if (token === "'" || token === '"') newLine();
+      if (token === 'Tj' || token === "'" || token === '"') operands.filter(o => typeof o === 'string' && o[0] !== '/').forEach(write);
+      if (token === 'TJ') operands.forEach(o => (typeof o === 'number' ? o < -200 && write(' ') : o[0] !== '/' && write(o)));
+      if (['Td', 'TD', 'T*', 'ET'].includes(token)) newLine();
+      operands = [];
+    }
+  }
+  return lines.map(l => l.trim()).filter(Boolean).join('\n');
+}
+
+// Best effort: text of the uncompressed and Flate-compressed content streams; font and image streams are skipped
+async function pdfText(buffer) {
+  const raw = latin1.decode(new Uint8Array(buffer));
+  const parts = [];
+  let inflated = 0;
+  const streams = /(?<!end)stream\r?\n/g;
+  let match;
+  while ((match = streams.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    const dict = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+    streams.lastIndex = end;
+    if (/\/(Subtype\s*\/Image|Length1|Length2|Length3|Type\s*\/(XRef|ObjStm|Metadata))\b/.test(dict)) continue;
+    let content = raw.slice(start, end).replace(/\r?\n$/, '');
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        const bytes = await inflate(Uint8Array.from(content, ch => ch.charCodeAt(0)), 'deflate', MAX_INFLATED_BYTES - inflated);
+        inflated += bytes.length;
+        content = latin1.decode(bytes);
+      } catch (err) {
+        if (err.code === 'too_large') throw err;
+        continue;
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue;
+    }
+    const text = contentStreamText(content);
+    if (text) parts.push(text);
+  }
+  return parts.join('\n');
+}
+
+// Plain text of a TXT, DOCX, ODT or PDF file (its bytes as an ArrayBuffer); null for types we can't read and for
+// files that decompress past MAX_INFLATED_BYTES
+export async function extractText(buffer, name) {
+  const ext = name.split('.').pop().toLowerCase();
+  try {
+    if (ext === 'txt') return utf8.decode(buffer);
+    if (ext === 'pdf') return await pdfText(buffer);
+    if (ext === 'docx' || ext === 'odt') {
+      const xml = await unzipEntry(buffer, ext === 'docx' ? 'word/document.xml' : 'content.xml');
+      return xml ? officeXmlText(utf8.decode(xml)) : '';
+    }
+  } catch (err) {
+    if (err.code === 'too_large') return null;
+    throw err;
+  }
+  return null;
+}
+
+// Words with their character ranges, lower-cased
+function tokenize(text) {
+  const tokens = [];
+  const words = /[\p{L}\p{N}]+(?:['’]\p{L}+)*/gu;
+  let m;
+  while ((m = words.exec(text))) tokens.push({ word: m[0].toLowerCase().replace(/’/g, "'"), start: m.index, end: m.index + m[0].length });
+  return tokens;
+}
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  return hash;
+}
+
+// Hash of every n-word window, indexed by its first word
+function shingleHashes(tokens, n) {
+  const hashes = [];
+  for (let i = 0; i + n <= tokens.length; i++) hashes.push(fnv1a(tokens.slice(i, i + n).map(t => t.word).join(' ')));
+  return hashes;
+}
+
+// Pure: how much of `text` appears in `sources` ([{ id, text, ...labels }]). Returns the share of matching words
+// (0-100, one decimal), per-source shares, and the matching passages as character ranges of `text`.
+export function compareTexts(text, sources, { n = ORIGINALITY_SETTINGS.shingleWords, minRun = ORIGINALITY_SETTINGS.minRunWords } = {}) {
+  const tokens = tokenize(text);
+  const hashes = shingleHashes(tokens, n);
+  const percent = count => (tokens.length ? Math.round((count / tokens.length) * 1000) / 10 : 0);
+  // [from, to) word ranges of at least minRun covered words
+  const runsOf = covered => {
+    const runs = [];
+    let from = -1;
+    for (let i = 0; i <= tokens.length; i++) {
+      if (covered[i] && from < 0) from = i;
+      if (!covered[i] && from >= 0) {
+        if (i - from >= minRun) runs.push([from, i]);
+        from = -1;
+      }
+    }
+    return runs;
+  };
+  const overall = new Array(tokens.length).fill(false);
+  const matches = sources.map(source => {
+    const theirs = new Set(shingleHashes(tokenize(source.text), n));
+    const covered = new Array(tokens.length).fill(false);
+    hashes.forEach((hash, i) => { if (theirs.has(hash)) covered.fill(true, i, i + n); });
+    const runs = runsOf(covered);
+    runs.forEach(([from, to]) => overall.fill(true, from, to));
+    return { source, runs, words: runs.reduce((sum, [from, to]) => sum + to - from, 0) };
+  }).filter(m => m.words > 0).sort((a, b) => b.words - a.words);
+  return {
+    words: tokens.length,
+    similarity: percent(overall.filter(Boolean).length),
+    sources: matches.map(({ source: { id, taskId, kind, name }, words }) => ({ id, taskId, kind, name, similarity: percent(words) })),
+    passages: runsOf(overall).map(([from, to]) => ({
+      start: tokens[from].start,
+      end: tokens[to - 1].end,
+      sourceIds: matches.filter(m => m.runs.some(([a, b]) => a < to && b > from)).map(m => m.source.id)
+    }))
+  };
+}
+
+// Whether extracted `text` (null when none could be read) has enough words to be judged
+export const checkableText = text => text !== null && text !== undefined && tokenize(text).length >= ORIGINALITY_SETTINGS.minWords;
+
+// Report fields of a check that found nothing to compare
+export const NO_FINDINGS = { similarity: null, words: 0, sources: [], passages: [], flagged: false };
+
+// Pure: the report fields for checkable `text` compared with `sources` — the similarity, the ten closest sources and
+// up to 50 matching passages with excerpts — flagged at or above `threshold` percent (0 turns flagging off)
+export function originalityFindings(text, sources, threshold) {
+  const result = compareTexts(text, sources);
+  return {
+    ...result, status: 'done', flagged: threshold > 0 && result.similarity >= threshold,
+    sources: result.sources.slice(0, 10),
+    passages: result.passages.slice(0, 50).map(p => ({ ...p, excerpt: text.slice(p.start, Math.min(p.end, p.start + 300)) }))
+  };
+}
@@ -0,0 +1,147 @@
+// Writely record schemas — shared by the app's forms and repository and by writely_local_server.mjs, which runs the
+// same validate() on every record it stores, so a direct HTTP write is held to the app's rules. Plain JS with no
+// browser or Node APIs beyond Intl.
+import { MILESTONE_KINDS, dueTimestamp } from './writely_calendar.mjs';
+
+// ---------- Currencies & locales ----------
+// Amounts are stored as integer minor units (cents) next to an ISO 4217 `currency` code; tasks, bids and the ledger
+// are priced in BASE_CURRENCY.
+export const BASE_CURRENCY = 'KES';
+export const CURRENCIES = ['KES', 'USD', 'EUR', 'GBP', 'UGX', 'TZS'];
+// UI languages; `tag` is the BCP 47 tag used for number, date and plural formatting
+export const LOCALES = { en: { label: 'English', tag: 'en-KE' }, sw: { label: 'Kiswahili', tag: 'sw-KE' } };
+
+// Digits after the decimal point: 2 for KES, 0 for UGX
+export function minorDigits(currency = BASE_CURRENCY) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+export const toMajor = (amount, currency = BASE_CURRENCY) => amount / 10 ** minorDigits(currency);
+
+export function formatMoney(amount, currency = BASE_CURRENCY, locale = LOCALES.en.tag) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency, trailingZeroDisplay: 'stripIfInteger' }).format(toMajor(amount, currency));
+}
+
+// Local YYYY-MM-DD
+export function isoDay(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// ---------- Validation ----------
+// Field schemas for the app's forms (inline errors) and repository and for the server. validate() returns
+// { field: message }; an empty object means the record is valid.
+export const SUBJECTS = ['Essay writing', 'Research', 'Literature', 'History', 'Business', 'Economics', 'Sciences', 'Mathematics', 'Computing', 'Law', 'Nursing', 'Other'];
+export const ACADEMIC_LEVELS = ['High school', 'Diploma', 'Undergraduate', "Master's", 'PhD'];
+// In major units of the amount's currency
+export const MAX_AMOUNT = 10000000;
+export const SCHEMAS = {
+  users: {
+    name: { label: 'Name', required: true, maxLength: 80 },
+    email: { label: 'Email', required: true, maxLength: 254, format: 'email' },
+    role: { label: 'Role', required: true, oneOf: ['student', 'tutor', 'admin'] },
+    locale: { label: 'Language', oneOf: Object.keys(LOCALES) },
+    currency: { label: 'Display currency', oneOf: CURRENCIES }
+  },
+  tasks: {
+    title: { label: 'Title', required: true, minLength: 5, maxLength: 120 },
+    description: { label: 'Description', maxLength: 5000 },
+    subject: { label: 'Subject', oneOf: SUBJECTS },
+    dueDate: { label: 'Due date', required: true, format: 'futureDate' },
+    deadline: { label: 'Deadline', format: 'futureTime' },
+    budget: { label: 'Budget', format: 'amount' },
+    currency: { label: 'Currency', oneOf: CURRENCIES },
+    milestones: { label: 'Milestones', maxItems: 3, format: 'milestones' }
+  },
+  bids: {
+    amount: { label: 'Bid amount', required: true, format: 'amount' },
+    currency: { label: 'Currency', oneOf: CURRENCIES },
+    message: { label: 'Message', maxLength: 500 },
+    expiresAt: { label: 'Expiry date', format: 'futureDate' },
+    status: { label: 'Status', oneOf: ['active', 'accepted', 'rejected', 'withdrawn'] }
+  },
+  reviews: {
+    rating: { label: 'Rating', required: true, oneOf: [1, 2, 3, 4, 5] },
+    text: { label: 'Review', maxLength: 2000 }
+  },
+  // Not collections: the `profile` object on a user record, checked by updateProfile()
+  tutorProfile: {
+    subjects: { label: 'Subjects', required: true, oneOf: SUBJECTS, maxItems: 6 },
+    level: { label: 'Academic level', oneOf: ACADEMIC_LEVELS },
+    languages: { label: 'Languages', maxItems: 8, maxLength: 40 },
+    hourlyRate: { label: 'Hourly rate', format: 'amount' },
+    pageRate: { label: 'Per-page rate', format: 'amount' },
+    currency: { label: 'Currency', oneOf: CURRENCIES },
+    bio: { label: 'Bio', maxLength: 2000 },
+    availability: { label: 'Availability', maxLength: 200 }
+  },
+  studentProfile: {
+    institution: { label: 'Institution', maxLength: 120 },
+    level: { label: 'Level of study', oneOf: ACADEMIC_LEVELS }
+  }
+};
+
+// Each returns the problem (completed with the field label) or null; `record` is what is being saved
+export const FORMATS = {
+  email: v => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? null : 'must be a valid email address'),
+  futureDate: v => {
+    const due = /^\d{4}-\d{2}-\d{2}$/.test(v) ? dueTimestamp({ dueDate: v }) : null;
+    if (due === null) return 'must be a date (YYYY-MM-DD)';
+    return due < Date.now() ? 'must be today or later' : null;
+  },
+  futureTime: v => {
+    if (typeof v !== 'number' || !Number.isFinite(v)) return 'must be a date and time';
+    return v < Date.now() ? 'must be in the future' : null;
+  },
+  milestones: (v, record) => milestoneProblem(v, record),
+  // Minor units of the record's currency
+  amount: (v, record = {}) => {
+    const currency = record.currency || BASE_CURRENCY;
+    if (typeof v !== 'number' || !Number.isFinite(v) || v <= 0) return 'must be a positive number';
+    if (!Number.isInteger(v)) return minorDigits(currency) ? `can have at most ${minorDigits(currency)} decimal places` : 'must be a whole number';
+    return toMajor(v, currency) > MAX_AMOUNT ? `must be at most ${formatMoney(MAX_AMOUNT * 10 ** minorDigits(currency), currency)}` : null;
+  }
+};
+
+// `partial` checks only the fields present, for updates. For list fields, oneOf / maxLength apply to each item.
+export function validate(collection, record, { partial = false } = {}) {
+  const errors = {};
+  Object.entries(SCHEMAS[collection] || {}).forEach(([field, rule]) => {
+    if (partial && !(field in record)) return;
+    const value = record[field];
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length)) {
+      if (rule.required) errors[field] = `${rule.label} is required`;
+      return;
+    }
+    let problem = null;
+    if (Array.isArray(value)) {
+      if (rule.maxItems && value.length > rule.maxItems) problem = `can have at most ${rule.maxItems} entries`;
+      else if (rule.oneOf && value.some(v => !rule.oneOf.includes(v))) problem = 'includes an unknown option';
+      else if (rule.maxLength && value.some(v => typeof v !== 'string' || v.length > rule.maxLength)) problem = `entries must be at most ${rule.maxLength} characters`;
+      else if (rule.format) problem = FORMATS[rule.format](value, record);
+    } else if (rule.maxItems) problem = 'must be a list';
+    else if ((rule.minLength || rule.maxLength) && typeof value !== 'string') problem = 'must be text';
+    else if (rule.minLength && value.trim().length < rule.minLength) problem = `must be at least ${rule.minLength} characters`;
+    else if (rule.maxLength && value.length > rule.maxLength) problem = `must be at most ${rule.maxLength} characters`;
+    else if (rule.oneOf && !rule.oneOf.includes(value)) problem = 'is not one of the available options';
+    else if (rule.format) problem = FORMATS[rule.format](value, record);
+    if (problem) errors[field] = `${rule.label} ${problem}`;
+  });
+  return errors;
+}
+
+// For FORMATS.milestones. The deadline and budget bounds apply when the record carries them (i.e. on insert).
+export function milestoneProblem(milestones, task = {}) {
+  const order = Object.keys(MILESTONE_KINDS);
+  if (milestones.some(m => !m || !MILESTONE_KINDS[m.kind] || !['pending', 'submitted', 'approved'].includes(m.status || 'pending'))) return 'include an unknown kind or status';
+  if (new Set(milestones.map(m => m.kind)).size !== milestones.length) return 'can include each kind only once';
+  if (milestones.some(m => !/^\d{4}-\d{2}-\d{2}$/.test(m.dueDate || '') || dueTimestamp({ dueDate: m.dueDate }) === null)) return 'each need a date (YYYY-MM-DD)';
+  if (milestones.some(m => m.amount !== null && m.amount !== undefined && FORMATS.amount(m.amount, task))) return 'must have valid positive payments';
+  const sorted = milestones.slice().sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+  if (sorted.some((m, i) => i > 0 && m.dueDate < sorted[i - 1].dueDate)) return 'must be due in order: outline, draft, final';
+  if (task.deadline && milestones.some(m => m.dueDate > isoDay(task.deadline))) return 'must be due by the task deadline';
+  if (task.budget && milestoneTotal(milestones) > task.budget) return 'cannot pay out more than the budget';
+  return null;
+}
+
+export const milestoneTotal = milestones => (milestones || []).reduce((sum, m) => sum + (m.amount || 0), 0);
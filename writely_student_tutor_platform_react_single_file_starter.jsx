@@ -1,5 +1,14 @@
-import React, { useEffect, useState, createContext, useContext } from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, useNavigate, Navigate } from 'react-router-dom';
+import React, { useEffect, useRef, useState, createContext, useContext } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, useNavigate, useLocation, useSearchParams, useParams, Navigate } from 'react-router-dom';
+import { MILESTONE_KINDS, dueTimestamp, taskDeadlines, calendarEvents, toICS } from './writely_calendar.mjs';
+import { rangeBounds, tutorAnalytics, studentAnalytics } from './writely_analytics.mjs';
+import { ORIGINALITY_SETTINGS, NO_FINDINGS, extractText, checkableText, originalityFindings } from './writely_originality.mjs';
+import { taskActorRole, allowedTransitions, milestoneStep, releaseLegs, refundLegs, cancellationSplit } from './writely_tasks.mjs';
+import { NOTIFICATION_EVENTS, deadlineState } from './writely_notifications.mjs';
+import {
+  BASE_CURRENCY, CURRENCIES, LOCALES, minorDigits, toMajor, formatMoney, isoDay, SUBJECTS, ACADEMIC_LEVELS, SCHEMAS, FORMATS, validate,
+  milestoneTotal
+} from './writely_schemas.mjs';
 
 // ---------- Simple CSS reset for preview (if no Tailwind) ----------
 const appStyle = {
@@ -10,123 +19,1704 @@ const appStyle = {
 };
 const cardStyle = { background: 'white', padding: '16px', borderRadius: 12, boxShadow: '0 6px 18px rgba(2,6,23,0.06)' };
 
+// ---------- Schema & migrations ----------
+// The stored blob is { version, users, tasks, bids, payments }. To change its shape, bump SCHEMA_VERSION
+// and append a migration: MIGRATIONS[n] upgrades a v(n) store to v(n + 1). Never edit a shipped migration.
+const COLLECTIONS = ['users', 'tasks', 'bids', 'payments', 'sessions', 'ledger', 'messages', 'files', 'reviews', 'notifications', 'transcription_jobs', 'transcripts', 'document_texts', 'originality_reports'];
+const SCHEMA_VERSION = 14;
+const MIGRATIONS = [
+  // v0 -> v1: pre-versioning blobs; make sure every collection exists
+  db => {
+    const next = { ...db };
+    COLLECTIONS.forEach(c => { if (!Array.isArray(next[c])) next[c] = []; });
+    return next;
+  },
+  // v1 -> v2: login sessions. Plaintext passwords can't be hashed synchronously here; login() upgrades them.
+  db => ({ ...db, sessions: db.sessions || [] }),
+  // v2 -> v3: explicit task status and transition history; accepted tasks become in_progress
+  db => ({
+    ...db,
+    tasks: db.tasks.map(t => {
+      if (t.status) return t;
+      const status = t.acceptedBid ? 'in_progress' : 'open';
+      return { ...t, status, tutorId: t.acceptedBid ? t.acceptedBid.tutorId : null, history: [{ from: null, to: status, by: null, at: Date.now(), note: 'Migrated' }] };
+    })
+  }),
+  // v3 -> v4: escrow ledger. Payments gain a kind and their parties; already-paid payments are posted as escrow funding.
+  db => {
+    const ledger = [];
+    const payments = db.payments.map(p => {
+      const task = db.tasks.find(t => t.id === p.taskId) || {};
+      const next = { ...p, kind: p.kind || 'escrow', amount: Number(p.amount), studentId: p.studentId || task.studentId, tutorId: p.tutorId || task.tutorId || null };
+      if (next.studentPaid) {
+        const base = { txId: newId('tx'), kind: 'fund', paymentId: p.id, taskId: p.taskId, at: p.paidAt || Date.now() };
+        ledger.push({ ...base, id: newId('l'), account: `student:${next.studentId}`, amount: -next.amount });
+        ledger.push({ ...base, id: newId('l'), account: `escrow:${p.taskId}`, amount: next.amount });
+      }
+      return next;
+    });
+    return { ...db, payments, ledger: db.ledger || ledger };
+  },
+  // v4 -> v5: provider-driven payment status (pending -> processing -> paid | failed)
+  db => ({
+    ...db,
+    payments: db.payments.map(p => (p.kind !== 'escrow' || p.status ? p : { ...p, status: p.studentPaid ? 'paid' : 'pending' }))
+  }),
+  // v5 -> v6: per-task message threads
+  db => ({ ...db, messages: db.messages || [] }),
+  // v6 -> v7: file metadata for task briefs and deliverables (the bytes live in the blob store)
+  db => ({ ...db, files: db.files || [] }),
+  // v7 -> v8: post-completion reviews
+  db => ({ ...db, reviews: db.reviews || [] }),
+  // v8 -> v9: in-app notifications
+  db => ({ ...db, notifications: db.notifications || [] }),
+  // v9 -> v10: bid status. Bids on tasks that were already assigned (or cancelled) are settled.
+  db => ({
+    ...db,
+    bids: db.bids.map(b => {
+      if (b.status) return b;
+      const task = db.tasks.find(t => t.id === b.taskId);
+      const winner = task && task.acceptedBid && task.acceptedBid.id === b.id;
+      const status = !task || (task.status || 'open') === 'open' ? 'active' : winner ? 'accepted' : 'rejected';
+      return { ...b, status, counterOffer: b.counterOffer || null };
+    })
+  }),
+  // v10 -> v11: server transcription jobs and saved transcripts
+  db => ({ ...db, transcription_jobs: db.transcription_jobs || [], transcripts: db.transcripts || [] }),
+  // v11 -> v12: deadlines as timestamps (the end of the old due day) and optional milestones
+  db => ({
+    ...db,
+    tasks: db.tasks.map(t => ({ ...t, deadline: t.deadline || dueTimestamp(t), milestones: t.milestones || [] }))
+  }),
+  // v12 -> v13: extracted file text and originality reports; files from before are indexed on the next check
+  db => ({ ...db, document_texts: db.document_texts || [], originality_reports: db.originality_reports || [] }),
+  // v13 -> v14: amounts become integer minor units (cents) tagged with a currency code; everything so far was KES
+  db => {
+    const cents = v => (typeof v === 'number' ? Math.round(v * 100) : v);
+    const priced = r => ({ ...r, amount: cents(r.amount), currency: r.currency || 'KES' });
+    const bid = b => ({ ...priced(b), counterOffer: b.counterOffer ? { ...b.counterOffer, amount: cents(b.counterOffer.amount) } : null });
+    return {
+      ...db,
+      tasks: db.tasks.map(t => ({
+        ...t, budget: cents(t.budget), currency: t.currency || 'KES', acceptedBid: t.acceptedBid && bid(t.acceptedBid),
+        milestones: (t.milestones || []).map(m => ({ ...m, amount: cents(m.amount) }))
+      })),
+      bids: db.bids.map(bid),
+      payments: db.payments.map(priced),
+      ledger: db.ledger.map(priced),
+      users: db.users.map(u => (!u.profile ? u : {
+        ...u, profile: { ...u.profile, hourlyRate: cents(u.profile.hourlyRate), pageRate: cents(u.profile.pageRate), currency: u.profile.currency || 'KES' }
+      }))
+    };
+  }
+];
+
+function seedDB() {
+  const seed = { version: SCHEMA_VERSION };
+  COLLECTIONS.forEach(c => { seed[c] = []; });
+  return seed;
+}
+
+function migrateDB(db) {
+  if (!db || typeof db !== 'object' || Array.isArray(db)) throw new Error('store is not an object');
+  let version = db.version || 0;
+  if (version > SCHEMA_VERSION) {
+    throw Object.assign(new Error(`store is schema v${version}, newer than this app (v${SCHEMA_VERSION})`), { code: 'newer_store' });
+  }
+  while (version < SCHEMA_VERSION) {
+    db = { ...MIGRATIONS[version](db), version: version + 1 };
+    version += 1;
+  }
+  return db;
+}
+
+// Returns a list of problems; empty means the store is safe to use
+function validateDB(db) {
+  if (!db || typeof db !== 'object' || Array.isArray(db)) return ['store is not an object'];
+  const problems = [];
+  if (db.version !== SCHEMA_VERSION) problems.push(`expected schema v${SCHEMA_VERSION}, got v${db.version}`);
+  COLLECTIONS.forEach(c => {
+    if (!Array.isArray(db[c])) { problems.push(`${c} is not an array`); return; }
+    db[c].forEach((r, i) => {
+      if (!r || typeof r !== 'object' || typeof r.id !== 'string') problems.push(`${c}[${i}] has no string id`);
+    });
+  });
+  return problems;
+}
+
 // ---------- Mock DB helpers (localStorage) ----------
 const DB_KEY = 'writely_db_v1';
+const RECOVERY_KEY = 'writely_db_recovery';
 function getDB() {
   const raw = localStorage.getItem(DB_KEY);
   if (!raw) {
-    const seed = { users: [], tasks: [], bids: [], payments: [] };
-    localStorage.setItem(DB_KEY, JSON.stringify(seed));
+    const seed = seedDB();
+    saveDB(seed);
     return seed;
   }
-  return JSON.parse(raw);
+  try {
+    const stored = JSON.parse(raw);
+    const db = migrateDB(stored);
+    const problems = validateDB(db);
+    if (problems.length) throw new Error(problems.join('; '));
+    if (stored.version !== db.version) saveDB(db);
+    return db;
+  } catch (err) {
+    return recoverDB(raw, err);
+  }
 }
 function saveDB(db) { localStorage.setItem(DB_KEY, JSON.stringify(db)); }
 
+// Unreadable store: keep the raw blob under a backup key, leave a note for AppShell, and start fresh. A store from a
+// newer app version (still valid there) or one that can't be backed up is never overwritten: the error is rethrown.
+function recoverDB(raw, err) {
+  if (err.code === 'newer_store') throw err;
+  const backupKey = `${DB_KEY}_backup_${Date.now()}`;
+  try {
+    localStorage.setItem(backupKey, raw);
+  } catch (e) {
+    throw Object.assign(new Error(`${err.message}; it could not be backed up (${e.message})`), { code: 'backup_failed' });
+  }
+  localStorage.setItem(RECOVERY_KEY, JSON.stringify({ backupKey, reason: err.message, at: Date.now() }));
+  console.error(`Stored data could not be loaded (${err.message}); backed up to ${backupKey} and reseeded.`);
+  const seed = seedDB();
+  saveDB(seed);
+  return seed;
+}
+
+// ---------- Storage adapters ----------
+// Every adapter exposes the same async API: get(collection, id), query(collection, match),
+// insert(collection, record), insertMany(collection, records) (one write: all stored or none), update(collection, id, patch),
+// remove(collection, id). `match` is a plain { field: value } object. Inserting an id that is already stored fails with
+// duplicateIdError(), so a deterministic id makes an insert happen at most once. Whole-store backups use dump() and
+// restore(data, { mode }), which writes everything in one go or, on failure, nothing.
+// Switch backends with localStorage.setItem('writely_storage', 'local' | 'indexeddb' | 'http').
+const STORAGE_CONFIG = {
+  backend: localStorage.getItem('writely_storage') || 'local',
+  apiBase: localStorage.getItem('writely_api_base') || 'http://localhost:4000/api'
+};
+const ID_PREFIX = {
+  users: 'u', tasks: 't', bids: 'b', payments: 'p', sessions: 's', ledger: 'l', messages: 'm', files: 'f', reviews: 'r', notifications: 'n',
+  transcription_jobs: 'j', transcripts: 'tr', document_texts: 'dt', originality_reports: 'or'
+};
+
+const toHex = buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+function randomToken(bytes = 32) { return toHex(window.crypto.getRandomValues(new Uint8Array(bytes))); }
+
+// Collision-safe IDs (replaces the old 't_' + Date.now() scheme)
+function newId(prefix) {
+  if (window.crypto && window.crypto.randomUUID) return prefix + '_' + window.crypto.randomUUID();
+  return prefix + '_' + randomToken(16);
+}
+
+// Strict equality per field; undefined values are left out of the match. The http adapter sends each value
+// JSON-encoded and the server's matches() applies the same rule.
+function matches(record, match) {
+  return Object.keys(match || {}).every(k => match[k] === undefined || record[k] === match[k]);
+}
+
+function duplicateIdError(collection, id) {
+  return Object.assign(new Error(`Duplicate id ${id} in ${collection}`), { code: 'duplicate' });
+}
+
+// Pure: `store` with the collections of backup `data` restored over it ('replace' swaps them in; 'merge' adds the
+// records whose id isn't stored yet), and the number of records written per collection
+function restoredStore(store, data, mode) {
+  const next = { ...store };
+  const written = {};
+  COLLECTIONS.forEach(c => {
+    const kept = mode === 'replace' ? [] : store[c] || [];
+    const ids = new Set(kept.map(r => r.id));
+    const incoming = data[c].filter(r => !ids.has(r.id));
+    next[c] = [...kept, ...incoming];
+    written[c] = incoming.length;
+  });
+  return { next, written };
+}
+
+function localStorageAdapter() {
+  return {
+    async get(collection, id) { return (getDB()[collection] || []).find(r => r.id === id) || null; },
+    async query(collection, match) { return (getDB()[collection] || []).filter(r => matches(r, match)); },
+    async insert(collection, record) {
+      const db = getDB();
+      db[collection] = db[collection] || [];
+      if (db[collection].some(r => r.id === record.id)) throw duplicateIdError(collection, record.id);
+      db[collection].push(record);
+      saveDB(db);
+      return record;
+    },
+    async insertMany(collection, records) {
+      const db = getDB();
+      const taken = new Set((db[collection] || []).map(r => r.id));
+      const duplicate = records.find(r => taken.has(r.id) || !taken.add(r.id));
+      if (duplicate) throw duplicateIdError(collection, duplicate.id);
+      db[collection] = [...(db[collection] || []), ...records];
+      saveDB(db);
+      return records;
+    },
+    async update(collection, id, patch) {
+      const db = getDB();
+      const record = (db[collection] || []).find(r => r.id === id);
+      if (!record) throw new Error(`No ${collection} record with id ${id}`);
+      Object.assign(record, patch);
+      saveDB(db);
+      return record;
+    },
+    async remove(collection, id) {
+      const db = getDB();
+      db[collection] = (db[collection] || []).filter(r => r.id !== id);
+      saveDB(db);
+    },
+    async dump() { return getDB(); },
+    // The restored store is checked like a loaded one and saved in a single write
+    async restore(data, { mode }) {
+      const { next, written } = restoredStore(getDB(), data, mode);
+      const problems = validateDB(next);
+      if (problems.length) throw new Error(`This backup can't be restored: ${problems.join('; ')}`);
+      saveDB(next);
+      return written;
+    }
+  };
+}
+
+function indexedDBAdapter(name = 'writely') {
+  let opening;
+  function open() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        // The IndexedDB version tracks SCHEMA_VERSION, so upgrades run the same MIGRATIONS as localStorage
+        const req = indexedDB.open(name, SCHEMA_VERSION);
+        req.onupgradeneeded = e => {
+          const tx = req.transaction;
+          COLLECTIONS.forEach(c => { if (!req.result.objectStoreNames.contains(c)) req.result.createObjectStore(c, { keyPath: 'id' }); });
+          if (e.oldVersion === 0) return;
+          const stored = { version: e.oldVersion };
+          let pending = COLLECTIONS.length;
+          COLLECTIONS.forEach(c => {
+            const all = tx.objectStore(c).getAll();
+            all.onsuccess = () => {
+              stored[c] = all.result;
+              if (--pending > 0) return;
+              const db = migrateDB(stored);
+              COLLECTIONS.forEach(name => {
+                const store = tx.objectStore(name);
+                store.clear();
+                db[name].forEach(r => store.put(r));
+              });
+            };
+          });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return opening;
+  }
+  // Runs fn against the collection's object store and resolves with `.result` of whatever fn returns
+  async function run(collection, mode, fn) {
+    const idb = await open();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction(collection, mode);
+      const out = fn(tx.objectStore(collection));
+      tx.oncomplete = () => resolve(out.result);
+      // The failing request's error (tx.error is only set once the transaction has aborted)
+      tx.onerror = e => reject(e.target.error || tx.error);
+      tx.onabort = () => reject(tx.error || new Error(`No ${collection} record found`));
+    });
+  }
+  // Like run() over every collection at once; resolves with whatever fn returns once the transaction commits
+  async function runAll(mode, fn) {
+    const idb = await open();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction(COLLECTIONS, mode);
+      const out = fn(tx);
+      tx.oncomplete = () => resolve(out);
+      tx.onerror = e => reject(e.target.error || tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  // add() of a stored key fails with ConstraintError
+  const duplicate = (collection, id) => err => { throw err && err.name === 'ConstraintError' ? duplicateIdError(collection, id) : err; };
+  return {
+    get: (collection, id) => run(collection, 'readonly', s => s.get(id)).then(r => r || null),
+    query: (collection, match) => run(collection, 'readonly', s => s.getAll()).then(rows => rows.filter(r => matches(r, match))),
+    insert: (collection, record) => run(collection, 'readwrite', s => s.add(record)).then(() => record, duplicate(collection, record.id)),
+    insertMany: (collection, records) => run(collection, 'readwrite', s => { records.forEach(r => s.add(r)); return {}; })
+      .then(() => records, duplicate(collection, records.map(r => r.id).join(', '))),
+    update: (collection, id, patch) => run(collection, 'readwrite', s => {
+      const out = {};
+      const req = s.get(id);
+      req.onsuccess = () => {
+        if (!req.result) { s.transaction.abort(); return; }
+        out.result = { ...req.result, ...patch };
+        s.put(out.result);
+      };
+      return out;
+    }),
+    remove: (collection, id) => run(collection, 'readwrite', s => s.delete(id)).then(() => undefined),
+    dump: () => runAll('readonly', tx => {
+      const data = {};
+      COLLECTIONS.forEach(c => {
+        const req = tx.objectStore(c).getAll();
+        req.onsuccess = () => { data[c] = req.result; };
+      });
+      return data;
+    }),
+    // One transaction: a failed add() aborts it and the store is left as it was
+    restore: (data, { mode }) => runAll('readwrite', tx => {
+      const written = {};
+      COLLECTIONS.forEach(c => {
+        const store = tx.objectStore(c);
+        const add = records => {
+          records.forEach(r => store.add(r));
+          written[c] = records.length;
+        };
+        if (mode === 'replace') {
+          store.clear();
+          add(data[c]);
+          return;
+        }
+        const keys = store.getAllKeys();
+        keys.onsuccess = () => {
+          const kept = new Set(keys.result);
+          add(data[c].filter(r => !kept.has(r.id)));
+        };
+      });
+      return written;
+    })
+  };
+}
+
+// The API server identifies the signed-in user by the session token its /auth routes handed out
+function authHeaders() {
+  const token = localStorage.getItem(SESSION_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// JSON calls to writely_local_server.mjs; a GET that finds nothing resolves with null, and errors carry the
+// server's message plus `fieldErrors` when it sends them
+function apiClient(base) {
+  return async function call(method, path, body) {
+    const res = await fetch(base + path, {
+      method,
+      headers: { ...authHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (res.status === 404 && method === 'GET') return null;
+    if (res.status === 204) return undefined;
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      const err = new Error(payload.error || `Request failed (${res.status})`);
+      if (res.status === 409) err.code = 'duplicate';
+      throw payload.fieldErrors ? Object.assign(err, { fieldErrors: payload.fieldErrors }) : err;
+    }
+    return res.json();
+  };
+}
+
+// Talks to writely_local_server.mjs (or any server exposing the same /api/:collection routes)
+function httpAdapter(base) {
+  const call = apiClient(base);
+  const encode = match => new URLSearchParams(Object.entries(match || {}).filter(([, v]) => v !== undefined).map(([k, v]) => [k, JSON.stringify(v)]));
+  return {
+    get: (collection, id) => call('GET', `/${collection}/${encodeURIComponent(id)}`),
+    query: (collection, match) => call('GET', `/${collection}?${encode(match)}`),
+    insert: (collection, record) => call('POST', `/${collection}`, record),
+    insertMany: (collection, records) => call('POST', `/${collection}`, records),
+    update: (collection, id, patch) => call('PATCH', `/${collection}/${encodeURIComponent(id)}`, patch),
+    remove: (collection, id) => call('DELETE', `/${collection}/${encodeURIComponent(id)}`),
+    // Admin-only routes; the server validates and saves a restore in one write
+    dump: () => call('GET', '/backup'),
+    restore: (data, { mode }) => call('POST', '/restore', { mode, data })
+  };
+}
+
+function createStorageAdapter({ backend, apiBase }) {
+  if (backend === 'indexeddb') return indexedDBAdapter();
+  if (backend === 'http') return httpAdapter(apiBase);
+  return localStorageAdapter();
+}
+
+// ---------- Currencies & locales ----------
+// Amounts, CURRENCIES and LOCALES are defined in writely_schemas.mjs, shared with the API server. Tasks, bids and the
+// ledger are priced in CURRENCY_CONFIG.base; a user's display currency only changes how amounts are shown (converted
+// and marked ≈). Rates are units of each currency per unit of the base; override them with localStorage
+// 'writely_currency_rates', e.g. {"USD":0.0078}.
+const CURRENCY_CONFIG = {
+  base: BASE_CURRENCY,
+  rates: { KES: 1, USD: 0.0077, EUR: 0.0071, GBP: 0.006, UGX: 28.6, TZS: 20.4, ...storedRates() }
+};
+
+// Overrides that aren't readable JSON are ignored, and so is anything but a positive rate for a non-base currency
+function storedRates() {
+  try {
+    const rates = JSON.parse(localStorage.getItem('writely_currency_rates') || '{}');
+    return Object.fromEntries(Object.entries(rates || {})
+      .filter(([code, rate]) => CURRENCIES.includes(code) && code !== BASE_CURRENCY && typeof rate === 'number' && Number.isFinite(rate) && rate > 0));
+  } catch (err) {
+    console.warn(`Ignoring writely_currency_rates: ${err.message}`);
+    return {};
+  }
+}
+
+// Typed text ("1,250.50") to minor units. Blank is null; extra decimals leave a fraction for FORMATS.amount to report.
+function parseAmount(text, currency = CURRENCY_CONFIG.base) {
+  const value = String(text ?? '').replace(/[\s,]/g, '');
+  if (value === '') return null;
+  return Math.round(Number(value) * 10 ** minorDigits(currency) * 1e6) / 1e6;
+}
+
+// Pure: minor units of `from` to minor units of `to`
+function convertAmount(amount, from, to, rates = CURRENCY_CONFIG.rates) {
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) throw new Error(`No conversion rate from ${from} to ${to}`);
+  return Math.round((toMajor(amount, from) / rates[from]) * rates[to] * 10 ** minorDigits(to));
+}
+
+// `amount` shown in the `display` currency when that differs from its own, e.g. "≈ US$11.55"
+function displayMoney(amount, currency = CURRENCY_CONFIG.base, display = null, locale) {
+  if (amount === null || amount === undefined) return '';
+  if (!display || display === currency || !CURRENCY_CONFIG.rates[display]) return formatMoney(amount, currency, locale);
+  return `≈ ${formatMoney(convertAmount(amount, currency, display), display, locale)}`;
+}
+
+// Plain decimal text for CSV and PDF columns ("1250.50")
+const amountText = (amount, currency = CURRENCY_CONFIG.base) => toMajor(amount, currency).toFixed(minorDigits(currency));
+
+// ---------- Validation ----------
+// SCHEMAS and validate() live in writely_schemas.mjs: the forms show their inline errors, the repository rejects
+// invalid writes whatever the backend, and the API server runs them again on every record it stores.
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  if (password.length > 128) return 'Password must be at most 128 characters';
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return 'Password must contain both letters and numbers';
+  return null;
+}
+
+// An Error whose message lists every problem; forms read `fieldErrors` to show them inline
+function validationError(errors) {
+  return Object.assign(new Error(Object.values(errors).join('. ')), { fieldErrors: errors });
+}
+
+function assertValid(collection, record, options) {
+  const errors = validate(collection, record, options);
+  if (Object.keys(errors).length) throw validationError(errors);
+}
+
+// For catch blocks: field errors when validation failed, otherwise the message under `form`
+const fieldErrorsOf = error => error.fieldErrors || { form: error.message };
+
+// Local YYYY-MM-DD, for date inputs' `min`
+function todayISO() {
+  return isoDay(Date.now());
+}
+
+function FieldError({ error }) {
+  return error ? <div style={{ color: 'crimson', fontSize: 12 }}>{error}</div> : null;
+}
+
+// ---------- Repository ----------
+// repo.tasks.query({ studentId }) etc. Components read through useQuery so they refresh on writes,
+// including writes made in other open tabs (BroadcastChannel, or storage events where it is missing).
+function createRepository(adapter) {
+  const listeners = new Set();
+  const notify = collection => listeners.forEach(fn => fn(collection));
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('writely_changes') : null;
+  const emit = collection => {
+    notify(collection);
+    if (channel) channel.postMessage(collection);
+  };
+  if (channel) channel.onmessage = e => notify(e.data);
+  else window.addEventListener('storage', e => { if (e.key === DB_KEY) COLLECTIONS.forEach(notify); });
+  function collection(name) {
+    return {
+      get: id => adapter.get(name, id),
+      query: match => adapter.query(name, match),
+      async insert(record) {
+        assertValid(name, record);
+        const saved = await adapter.insert(name, { id: newId(ID_PREFIX[name]), ...record });
+        emit(name);
+        return saved;
+      },
+      async insertMany(records) {
+        records.forEach(record => assertValid(name, record));
+        const saved = await adapter.insertMany(name, records.map(record => ({ id: newId(ID_PREFIX[name]), ...record })));
+        emit(name);
+        return saved;
+      },
+      async update(id, patch) {
+        assertValid(name, patch, { partial: true });
+        const saved = await adapter.update(name, id, patch);
+        emit(name);
+        return saved;
+      },
+      async remove(id) {
+        await adapter.remove(name, id);
+        emit(name);
+      }
+    };
+  }
+  const api = {
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    // Re-run queries for collections changed outside this tab (e.g. by the server)
+    refresh(...names) { names.forEach(notify); },
+    // Backups read and write the whole store through the adapter, skipping validate(): restored records passed it
+    // when first saved, and older ones (past due dates, say) no longer would.
+    async dump() {
+      return { ...(await adapter.dump()), version: SCHEMA_VERSION };
+    },
+    // 'replace' swaps in the backup's collections; 'merge' adds only records whose id is not already stored.
+    // All or nothing; returns the number of records written per collection.
+    async restore(data, { mode }) {
+      const written = await adapter.restore(data, { mode });
+      COLLECTIONS.forEach(emit);
+      return written;
+    }
+  };
+  COLLECTIONS.forEach(name => { api[name] = collection(name); });
+  return api;
+}
+
+const repo = createRepository(createStorageAdapter(STORAGE_CONFIG));
+// Run localStorage migrations (and recovery) on load rather than on the first query. storeError is set when the
+// stored data was left untouched because it can't be used; AppShell shows it instead of the app.
+let storeError = null;
+if (STORAGE_CONFIG.backend === 'local') {
+  try { getDB(); } catch (err) { storeError = err; }
+}
+
+// ---------- Blob storage ----------
+// File bytes are kept apart from the JSON records: put(key, blob), get(key) -> Blob | null, remove(key).
+// IndexedDB serves both browser backends (localStorage can't hold blobs); the http backend uses the server's
+// /blobs route, which writes to its object store directory.
+function indexedDBBlobStore(name = 'writely_files') {
+  let opening;
+  function open() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const req = indexedDB.open(name, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('blobs');
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return opening;
+  }
+  async function run(mode, fn) {
+    const idb = await open();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction('blobs', mode);
+      const req = fn(tx.objectStore('blobs'));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+  return {
+    put: (key, blob) => run('readwrite', s => s.put(blob, key)).then(() => key),
+    get: key => run('readonly', s => s.get(key)).then(b => b || null),
+    remove: key => run('readwrite', s => s.delete(key)).then(() => undefined)
+  };
+}
+
+function httpBlobStore(base) {
+  const url = key => `${base}/blobs/${encodeURIComponent(key)}`;
+  return {
+    async put(key, blob) {
+      const res = await fetch(url(key), { method: 'PUT', headers: { ...authHeaders(), 'Content-Type': blob.type || 'application/octet-stream' }, body: blob });
+      if (!res.ok) throw new Error(`Upload failed (${res.status})`);
+      return key;
+    },
+    async get(key) {
+      const res = await fetch(url(key), { headers: authHeaders() });
+      return res.ok ? res.blob() : null;
+    },
+    async remove(key) { await fetch(url(key), { method: 'DELETE', headers: authHeaders() }); }
+  };
+}
+
+const blobStore = STORAGE_CONFIG.backend === 'http' ? httpBlobStore(STORAGE_CONFIG.apiBase) : indexedDBBlobStore();
+
+function useQuery(collection, match) {
+  const [rows, setRows] = useState([]);
+  const key = JSON.stringify(match || {});
+  useEffect(() => {
+    let alive = true;
+    const load = () => repo[collection].query(JSON.parse(key)).then(r => { if (alive) setRows(r); });
+    load();
+    const unsubscribe = repo.subscribe(changed => { if (changed === collection) load(); });
+    return () => { alive = false; unsubscribe(); };
+  }, [collection, key]);
+  return rows;
+}
+
+// ---------- Credentials & sessions ----------
+const AUTH_CONFIG = {
+  pbkdf2Iterations: 210000,
+  sessionTtlMs: 7 * 24 * 60 * 60 * 1000,
+  idleTimeoutMs: 30 * 60 * 1000,
+  touchEveryMs: 60 * 1000,
+  maxFailedLogins: 5,
+  lockoutMs: 15 * 60 * 1000,
+  resetTokenTtlMs: 30 * 60 * 1000
+};
+const SESSION_KEY = 'writely_session';
+// Roles a visitor may pick at registration. Admins are promoted from the console; the first ones are bootstrapped
+// from deploy configuration users can't edit: ADMIN_EMAILS here for the browser-only backends, the server's
+// ADMIN_EMAILS env var for the http backend. Listed accounts become admins when they log in.
+const SELF_SERVICE_ROLES = ['student', 'tutor'];
+const ADMIN_EMAILS = [];
+
+async function sha256(text) {
+  return toHex(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// PBKDF2-SHA256 with a per-user salt; the iteration count is stored so it can be raised later
+async function hashPassword(password, salt = randomToken(16), iterations = AUTH_CONFIG.pbkdf2Iterations) {
+  const enc = new TextEncoder();
+  const key = await window.crypto.subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: enc.encode(salt), iterations }, key, 256);
+  return { passwordHash: toHex(bits), passwordSalt: salt, passwordIterations: iterations };
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function verifyPassword(user, password) {
+  if (!user.passwordHash) return safeEqual(user.password, password); // legacy plaintext record, upgraded on login
+  const { passwordHash } = await hashPassword(password, user.passwordSalt, user.passwordIterations);
+  return safeEqual(passwordHash, user.passwordHash);
+}
+
+function publicUser(u) { return { id: u.id, name: u.name, email: u.email, role: u.role, locale: u.locale || null, currency: u.currency || null }; }
+
+// The browser keeps only the raw token; the sessions collection stores its SHA-256
+async function startSession(userId) {
+  const token = randomToken();
+  const now = Date.now();
+  await repo.sessions.insert({ userId, tokenHash: await sha256(token), createdAt: now, lastSeenAt: now, expiresAt: now + AUTH_CONFIG.sessionTtlMs });
+  localStorage.setItem(SESSION_KEY, token);
+}
+
+async function currentSession() {
+  const token = localStorage.getItem(SESSION_KEY);
+  if (!token) return null;
+  const [session] = await repo.sessions.query({ tokenHash: await sha256(token) });
+  const now = Date.now();
+  if (!session || session.revokedAt || session.expiresAt < now || now - session.lastSeenAt > AUTH_CONFIG.idleTimeoutMs) {
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+  return session;
+}
+
+async function revokeSessions(userId, keepId) {
+  const sessions = await repo.sessions.query({ userId });
+  await Promise.all(sessions.filter(s => s.id !== keepId && !s.revokedAt).map(s => repo.sessions.update(s.id, { revokedAt: Date.now() })));
+}
+
+// Browser-only backends keep credentials and sessions in the store itself
+const localAuth = {
+  async resume() {
+    const session = await currentSession();
+    return session && repo.users.get(session.userId);
+  },
+  async active(touch) {
+    const session = await currentSession();
+    if (session && touch) await repo.sessions.update(session.id, { lastSeenAt: Date.now() });
+    return !!session;
+  },
+
+  async register({ name, email, password, role }) {
+    [name, email] = [name.trim(), email.trim()];
+    const errors = validate('users', { name, email, role });
+    if (!SELF_SERVICE_ROLES.includes(role)) errors.role = 'Choose either student or tutor';
+    if (passwordProblem(password)) errors.password = passwordProblem(password);
+    if (Object.keys(errors).length) throw validationError(errors);
+    const existing = await repo.users.query({ email });
+    if (existing.length) throw validationError({ email: 'Email already in use' });
+    const newUser = await repo.users.insert({ name, email, role, ...(await hashPassword(password)) });
+    await startSession(newUser.id);
+    return newUser;
+  },
+
+  async login({ email, password }) {
+    const [found] = await repo.users.query({ email });
+    if (found && found.lockedUntil > Date.now()) {
+      throw new Error(`Too many failed attempts. Try again in ${Math.ceil((found.lockedUntil - Date.now()) / 60000)} min.`);
+    }
+    if (!found || !(await verifyPassword(found, password))) {
+      if (found) {
+        const failed = (found.failedLogins || 0) + 1;
+        await repo.users.update(found.id, failed >= AUTH_CONFIG.maxFailedLogins
+          ? { failedLogins: 0, lockedUntil: Date.now() + AUTH_CONFIG.lockoutMs }
+          : { failedLogins: failed });
+      }
+      throw new Error('Invalid credentials');
+    }
+    if (found.suspendedAt) throw new Error('This account has been suspended. Contact support.');
+    const patch = { failedLogins: 0, lockedUntil: null };
+    if (!found.passwordHash) Object.assign(patch, await hashPassword(password), { password: null });
+    if (ADMIN_EMAILS.includes(found.email) && found.role !== 'admin') patch.role = 'admin';
+    const updated = await repo.users.update(found.id, patch);
+    await startSession(found.id);
+    return updated;
+  },
+
+  async logout() {
+    const session = await currentSession();
+    if (session) await repo.sessions.update(session.id, { revokedAt: Date.now() });
+  },
+
+  async changePassword(userId, { currentPassword, newPassword }) {
+    const found = await repo.users.get(userId);
+    if (!(await verifyPassword(found, currentPassword))) throw new Error('Current password is incorrect');
+    if (passwordProblem(newPassword)) throw new Error(passwordProblem(newPassword));
+    await repo.users.update(found.id, { ...(await hashPassword(newPassword)), password: null });
+    const session = await currentSession();
+    await revokeSessions(found.id, session && session.id);
+  },
+
+  // No mail server here, so this resolves with the token and the UI shows the link that would have been emailed
+  async requestPasswordReset(email) {
+    const [found] = await repo.users.query({ email });
+    if (!found) return null;
+    const token = randomToken();
+    await repo.users.update(found.id, { resetTokenHash: await sha256(token), resetExpiresAt: Date.now() + AUTH_CONFIG.resetTokenTtlMs });
+    return token;
+  },
+
+  async resetPassword({ email, token, newPassword }) {
+    const [found] = await repo.users.query({ email });
+    if (!found || !found.resetTokenHash || found.resetExpiresAt < Date.now() || !safeEqual(await sha256(token), found.resetTokenHash)) {
+      throw new Error('This reset link is invalid or has expired');
+    }
+    if (passwordProblem(newPassword)) throw new Error(passwordProblem(newPassword));
+    await repo.users.update(found.id, {
+      ...(await hashPassword(newPassword)), password: null, resetTokenHash: null, resetExpiresAt: null, failedLogins: 0, lockedUntil: null
+    });
+    await revokeSessions(found.id);
+  },
+
+  revokeSessions: userId => revokeSessions(userId)
+};
+
+// The http backend leaves credentials to the server's /api/auth routes, which never send password hashes or
+// session records to the browser; it only keeps the session token for authHeaders()
+function httpAuth(base) {
+  const call = apiClient(base);
+  async function signedIn(request) {
+    const { token, user } = await request;
+    localStorage.setItem(SESSION_KEY, token);
+    return user;
+  }
+  return {
+    async resume() {
+      if (!localStorage.getItem(SESSION_KEY)) return null;
+      return call('GET', '/auth/session').then(r => r.user, () => null);
+    },
+    async active(touch) {
+      const alive = await call(touch ? 'POST' : 'GET', '/auth/session', touch ? {} : undefined).then(() => true, () => false);
+      if (!alive) localStorage.removeItem(SESSION_KEY);
+      return alive;
+    },
+    register: fields => signedIn(call('POST', '/auth/register', fields)),
+    login: fields => signedIn(call('POST', '/auth/login', fields)),
+    logout: () => call('POST', '/auth/logout', {}).catch(() => {}),
+    changePassword: (userId, fields) => call('POST', '/auth/password', fields),
+    // The server sends the link out itself
+    requestPasswordReset: email => call('POST', '/auth/reset-request', { email }).then(() => null),
+    resetPassword: fields => call('POST', '/auth/reset', fields),
+    // Suspending an account through PATCH /api/users revokes its sessions on the server
+    revokeSessions: async () => {}
+  };
+}
+
+const auth = STORAGE_CONFIG.backend === 'http' ? httpAuth(STORAGE_CONFIG.apiBase) : localAuth;
+
 // ---------- Auth Context ----------
 const AuthContext = createContext();
 function useAuth() { return useContext(AuthContext); }
 
 function AuthProvider({ children }) {
-  const [user, setUser] = useState(() => {
-    const u = localStorage.getItem('writely_current_user');
-    return u ? JSON.parse(u) : null;
-  });
+  const [user, setUser] = useState(null);
+  const [ready, setReady] = useState(false);
 
+  // Resume a stored session on load; older builds kept the whole user object in writely_current_user
   useEffect(() => {
-    if (user) localStorage.setItem('writely_current_user', JSON.stringify(user));
-    else localStorage.removeItem('writely_current_user');
+    localStorage.removeItem('writely_current_user');
+    auth.resume()
+      .then(found => setUser(found && !found.suspendedAt ? publicUser(found) : null))
+      .finally(() => setReady(true));
+  }, []);
+
+  // Idle timeout: refresh lastSeenAt on activity (at most once a minute) and drop expired sessions
+  useEffect(() => {
+    if (!user) return;
+    let lastTouch = Date.now();
+    async function check(touch) {
+      const alive = await auth.active(touch);
+      if (!alive) setUser(null);
+    }
+    function onActivity() {
+      if (Date.now() - lastTouch < AUTH_CONFIG.touchEveryMs) return;
+      lastTouch = Date.now();
+      check(true);
+    }
+    const timer = setInterval(() => check(false), AUTH_CONFIG.touchEveryMs);
+    ['click', 'keydown'].forEach(ev => window.addEventListener(ev, onActivity));
+    return () => {
+      clearInterval(timer);
+      ['click', 'keydown'].forEach(ev => window.removeEventListener(ev, onActivity));
+    };
   }, [user]);
 
-  const register = ({ name, email, password, role }) => {
-    const db = getDB();
-    if (db.users.find(u => u.email === email)) throw new Error('Email already in use');
-    const newUser = { id: 'u_' + Date.now(), name, email, password, role }; // NOTE: do not store plaintext passwords in production
-    db.users.push(newUser);
-    saveDB(db);
-    setUser({ id: newUser.id, name: newUser.name, email: newUser.email, role: newUser.role });
+  const register = async ({ name, email, password, role }) => {
+    if (!SELF_SERVICE_ROLES.includes(role)) throw new Error('Choose either student or tutor');
+    const newUser = await auth.register({ name, email, password, role });
+    setUser(publicUser(newUser));
     return newUser;
   };
 
-  const login = ({ email, password }) => {
-    const db = getDB();
-    const found = db.users.find(u => u.email === email && u.password === password);
-    if (!found) throw new Error('Invalid credentials');
-    setUser({ id: found.id, name: found.name, email: found.email, role: found.role });
+  const login = async ({ email, password }) => {
+    const found = await auth.login({ email, password });
+    setUser(publicUser(found));
     return found;
   };
 
-  const logout = () => setUser(null);
+  const logout = async () => {
+    await auth.logout();
+    localStorage.removeItem(SESSION_KEY);
+    setUser(null);
+  };
+
+  // Name plus the role's profile (SCHEMAS.tutorProfile / studentProfile), stored as users.profile
+  const updateProfile = async ({ name, profile }) => {
+    const schema = user.role === 'tutor' ? 'tutorProfile' : 'studentProfile';
+    const errors = { ...validate('users', { name }, { partial: true }), ...validate(schema, profile) };
+    if (Object.keys(errors).length) throw validationError(errors);
+    const updated = await repo.users.update(user.id, { name: name.trim(), profile: { ...profile, updatedAt: Date.now() } });
+    setUser(publicUser(updated));
+    return updated;
+  };
+
+  // Display settings kept on the account: `locale` and `currency` (null for the base currency)
+  const updatePreferences = async patch => {
+    const updated = await repo.users.update(user.id, patch);
+    setUser(publicUser(updated));
+    return updated;
+  };
+
+  // Signs out every other device once the password changes
+  const changePassword = fields => auth.changePassword(user.id, fields);
+
+  // Browser-only backends have no mail server, so they resolve with the reset token for the UI to show as a link;
+  // the http backend resolves with null once the server has taken the request.
+  const requestPasswordReset = email => auth.requestPasswordReset(email);
+
+  const resetPassword = fields => auth.resetPassword(fields);
 
   return (
-    <AuthContext.Provider value={{ user, register, login, logout }}>
+    <AuthContext.Provider value={{ user, ready, register, login, logout, updateProfile, updatePreferences, changePassword, requestPasswordReset, resetPassword }}>
       {children}
     </AuthContext.Provider>
   );
 }
 
+// ---------- Localization ----------
+// UI text comes from CATALOGS by key: t('task.viewBids', { count }). A message is a string with {placeholders}, or an
+// object of Intl.PluralRules categories ({ one, other }) chosen by `count`. Keys missing from a catalog fall back to
+// English. Notification and validation texts are still English-only.
+const LOCALE_KEY = 'writely_locale';
+const CATALOGS = {
+  en: {
+    'app.tagline': 'Students & Tutors marketplace',
+    'app.footer': '© {year} Writely — prototype',
+    'nav.home': 'Home',
+    'nav.tasks': 'Tasks',
+    'nav.tutors': 'Tutors',
+    'nav.dashboard': 'Dashboard',
+    'nav.admin': 'Admin',
+    'nav.greeting': 'Hi, {name}',
+    'nav.logout': 'Logout',
+    'nav.login': 'Login / Register',
+    'nav.language': 'Language',
+    'nav.profile': 'Profile',
+    'nav.myTasks': 'My Tasks',
+    'nav.calendar': 'Calendar',
+    'nav.browse': 'Browse Tasks',
+    'nav.myBids': 'My Bids',
+    'nav.messages': 'Messages',
+    'nav.payments': 'Payments',
+    'nav.transcripts': 'Transcripts',
+    'role.student': 'Student',
+    'role.tutor': 'Tutor',
+    'role.admin': 'Admin',
+    'common.previous': 'Previous',
+    'common.next': 'Next',
+    'common.edit': 'Edit',
+    'common.cancel': 'Cancel',
+    'home.welcome': 'Welcome to Writely',
+    'home.intro': 'This is a marketplace where students post writing tasks and tutors bid to complete them. You can register as a Student or Tutor.',
+    'home.students': 'Students: post tasks, choose tutors, pay securely.',
+    'home.tutors': 'Tutors: browse tasks, submit bids, chat with students about each task.',
+    'home.transcription': 'Transcription: upload audio for server-side transcription in several languages, or use the browser mic.',
+    'home.quickActions': 'Quick actions',
+    'home.step1': 'Register as student/tutor',
+    'home.step2': 'Post your first task',
+    'home.step3': 'Tutors bid on tasks',
+    'home.step4': 'Student accepts bid and pays',
+    'login.login': 'Login',
+    'login.register': 'Register',
+    'login.resetTitle': 'Reset password',
+    'login.back': 'Back to Login',
+    'login.fullName': 'Full name',
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.passwordHint': 'At least 8 characters, with letters and numbers.',
+    'login.switchTo': 'Switch to {mode}',
+    'login.forgot': 'Forgot password?',
+    'login.why': 'Why register?',
+    'login.whyText': 'Students get access to tutors and a managed payment flow. Tutors get access to tasks and bidding tools.',
+    'dashboard.title': "{name}'s dashboard",
+    'dashboard.role': 'Role',
+    'dashboard.overview': 'Overview',
+    'prefs.language': 'Language',
+    'prefs.currency': 'Show amounts in',
+    'prefs.currencyNote': 'Prices are set in {base}; other currencies are converted at the configured rates and marked ≈.',
+    'status.open': 'Open',
+    'status.in_progress': 'In progress',
+    'status.delivered': 'Delivered',
+    'status.revision_requested': 'Revision requested',
+    'status.completed': 'Completed',
+    'status.cancelled': 'Cancelled',
+    'status.disputed': 'Disputed',
+    'sort.newest': 'Newest',
+    'sort.budget_desc': 'Budget: high to low',
+    'sort.budget_asc': 'Budget: low to high',
+    'sort.deadline': 'Deadline: soonest',
+    'sort.bids': 'Most bids',
+    'tasks.all': 'All Tasks',
+    'tasks.post': 'Post a task (students)',
+    'tasks.none': 'No tasks yet — be the first to post one!',
+    'tasks.noMatch': 'No tasks match these filters',
+    'tasks.range': '{from}–{to} of {total}',
+    'filters.search': 'Search title or description',
+    'filters.allSubjects': 'All subjects',
+    'filters.allStatuses': 'All statuses',
+    'filters.budget': 'Budget ({currency})',
+    'filters.min': 'min',
+    'filters.max': 'max',
+    'filters.due': 'Due',
+    'task.hidden': 'Hidden by a moderator',
+    'task.invited': "You're invited to bid",
+    'task.byline': 'By {name}{subject} — due {due}',
+    'task.budgetTbd': 'Budget: TBD',
+    'task.viewBids': { one: 'View bid ({count})', other: 'View bids ({count})' },
+    'task.hideBids': { one: 'Hide bid ({count})', other: 'Hide bids ({count})' },
+    'task.showHistory': 'Show history',
+    'task.hideHistory': 'Hide history',
+    'task.showMessages': 'Show messages',
+    'task.hideMessages': 'Hide messages',
+    'task.newMessages': { one: '({count} new)', other: '({count} new)' },
+    'task.assigned': 'Assigned to {name} for {amount}',
+    'task.messages': 'Messages',
+    'task.history': 'History',
+    'task.bids': 'Bids',
+    'task.noBids': 'No bids yet',
+    'bid.created': 'Created {date}',
+    'bid.validUntil': 'valid until {date}',
+    'bid.yours': 'Your bid:',
+    'bid.withdraw': 'Withdraw',
+    'bid.withdrawConfirm': 'Withdraw your bid?',
+    'bid.amount': 'Amount ({currency})',
+    'bid.message': 'Short message',
+    'bid.validUntilLabel': 'Valid until',
+    'bid.save': 'Save bid',
+    'bid.submit': 'Bid',
+    'bid.submitted': 'Bid submitted',
+    'accept.choose': 'Choose bid to accept',
+    'accept.button': 'Accept',
+    'accept.selectFirst': 'Select a bid first',
+    'accept.done': 'Bid accepted. Fund the escrow from Payments so the tutor can start.',
+    'payments.title': 'Payments',
+    'payments.none': 'No payments yet',
+    'payments.task': 'Task',
+    'payments.amount': 'Amount',
+    'payments.status': 'Status',
+    'payments.paidAt': 'paid {date}',
+    'checkout.unavailable': 'Online payment is unavailable right now.',
+    'checkout.phone': 'M-Pesa phone (07...)',
+    'checkout.pay': 'Pay into escrow',
+    'checkout.retry': 'Retry payment',
+    'checkout.started': 'Payment started',
+    'checkout.simulated': 'Simulated payment received; the escrow is funded.',
+    'earnings.title': 'Earnings',
+    'earnings.available': 'Available',
+    'earnings.pending': 'Payouts pending',
+    'earnings.total': 'Total earned after {rate}% platform fee: {amount}',
+    'earnings.amount': 'Payout amount ({currency})',
+    'earnings.request': 'Request payout',
+    'earnings.sent': 'sent {date}',
+    'earnings.requested': 'requested {date}',
+    'analytics.title': 'Analytics',
+    'analytics.last30': 'Last 30 days',
+    'analytics.last90': 'Last 90 days',
+    'analytics.last365': 'Last 12 months',
+    'analytics.all': 'All time',
+    'analytics.custom': 'Custom dates',
+    'analytics.from': 'From',
+    'analytics.to': 'To',
+    'analytics.earnings': 'Earnings',
+    'analytics.winRate': 'Bid win rate',
+    'analytics.winRateDetail': { one: '{won} won of {count} decided bid', other: '{won} won of {count} decided bids' },
+    'analytics.bidVsAccepted': 'Average bid',
+    'analytics.averageAccepted': 'average accepted',
+    'analytics.bidsPlaced': { one: '{count} bid placed', other: '{count} bids placed' },
+    'analytics.turnaround': 'Turnaround (accepted to delivered)',
+    'analytics.deliveries': { one: '{count} delivery', other: '{count} deliveries' },
+    'analytics.ratings': 'Rating trend',
+    'analytics.reviews': { one: '{count} review', other: '{count} reviews' },
+    'analytics.spend': 'Spend',
+    'analytics.tasksPosted': { one: '{count} task posted', other: '{count} tasks posted' },
+    'analytics.bidsPerTask': 'Average bids per task',
+    'analytics.firstBid': 'Time to first bid',
+    'analytics.hours': '{n} h',
+    'analytics.days': '{n} days',
+    'common.save': 'Save',
+    'common.saved': 'Saved',
+    'common.delete': 'Delete',
+    'common.remove': 'Remove',
+    'profile.title': 'Profile',
+    'profile.account': 'Email: {email} · Role: {role}',
+    'profile.publicLink': 'View your public profile',
+    'profile.samples': 'Sample work',
+    'profile.noSamples': 'No sample work yet',
+    'profile.removeSample': 'Remove {name}?',
+    'profile.reviews': 'Reviews',
+    'profile.changePassword': 'Change password',
+    'profile.forgot': 'Forgot your current password?',
+    'profile.name': 'Name',
+    'profile.levelTutor': 'Highest academic level',
+    'profile.levelStudent': 'Level of study',
+    'profile.institution': 'Institution',
+    'profile.subjects': 'Subjects (up to {max})',
+    'profile.languages': 'Languages',
+    'profile.hourlyRate': 'Hourly rate ({currency})',
+    'profile.pageRate': 'Per page ({currency})',
+    'profile.bio': 'Bio: experience, specialities, how you work',
+    'profile.availability': 'Availability, e.g. weekdays 6–10pm EAT',
+    'profile.accepting': 'Accepting new work',
+    'profile.save': 'Save profile',
+    'prefs.emailCopy': 'Email me a copy of notifications',
+    'prefs.needsMailer': "(needs the API server's mailer)",
+    'export.download': 'Download my data',
+    'export.preparing': 'Preparing…',
+    'export.note': 'Your profile, tasks, bids, messages, payments and reviews as JSON',
+    'password.current': 'Current password',
+    'password.new': 'New password',
+    'password.confirm': 'Confirm new password',
+    'password.mismatch': 'New passwords do not match',
+    'password.changed': 'Password changed. Other devices have been signed out.',
+    'password.chooseNew': 'Choose a new password',
+    'password.resetDone': 'Your password has been reset and all sessions were signed out.',
+    'password.sendReset': 'Send reset link',
+    'password.resetSent': 'If an account exists for {email}, a reset link valid for 30 minutes has been sent.',
+    'password.prototypeEmail': 'Prototype email:',
+    'password.openLink': 'open reset link',
+    'history.by': 'by {role}',
+    'milestone.outline': 'Outline',
+    'milestone.draft': 'Draft',
+    'milestone.final': 'Final version',
+    'milestoneStatus.pending': 'Pending',
+    'milestoneStatus.submitted': 'Submitted for review',
+    'milestoneStatus.approved': 'Approved',
+    'milestones.title': 'Milestones',
+    'milestones.optional': 'Milestones (optional)',
+    'milestones.due': 'due {date}',
+    'milestones.onApproval': '{amount} on approval',
+    'milestones.pay': 'Pay on approval ({currency})',
+    'milestones.submit': 'Mark submitted',
+    'milestones.approve': 'Approve',
+    'milestones.approveRelease': 'Approve & release {amount}',
+    'deadline.overdue': 'Overdue',
+    'deadline.soon': 'Due soon',
+    'calendar.deadline': 'Deadline',
+    'calendar.upcoming': 'Upcoming',
+    'calendar.nothingDue': 'Nothing due. Deadlines and milestones of your active tasks show up here.',
+    'calendar.previousMonth': 'Previous month',
+    'calendar.nextMonth': 'Next month',
+    'calendar.add': 'Add to your calendar',
+    'calendar.download': 'Download .ics',
+    'calendar.downloadNote': 'A one-off copy for Google Calendar, Outlook or Apple Calendar',
+    'calendar.needsServer': "Calendar subscriptions need the API server (storage backend 'http').",
+    'calendar.createFeed': 'Create a subscription link',
+    'calendar.resetConfirm': 'Calendars subscribed to the current link will stop updating. Create a new link?',
+    'calendar.feedNote': 'Subscribe with this private link to keep your calendar app in sync. Anyone with the link can see your deadlines.',
+    'calendar.open': 'Open in calendar app',
+    'calendar.resetLink': 'Reset link',
+    'calendar.turnOff': 'Turn off',
+    'admin.title': 'Moderation console',
+    'admin.tab.users': 'Users',
+    'admin.tab.tasks': 'Tasks',
+    'admin.tab.bids': 'Bids',
+    'admin.tab.payments': 'Payments',
+    'admin.tab.originality': 'Originality',
+    'admin.tab.backup': 'Backup',
+    'admin.search': 'Search',
+    'admin.name': 'Name',
+    'admin.email': 'Email',
+    'admin.role': 'Role',
+    'admin.status': 'Status',
+    'admin.active': 'Active',
+    'admin.suspended': 'Suspended {date}',
+    'admin.suspend': 'Suspend',
+    'admin.reinstate': 'Reinstate',
+    'admin.makeAdmin': 'Make admin',
+    'admin.makeAdminConfirm': 'Make {name} an admin?',
+    'admin.task': 'Task',
+    'admin.student': 'Student',
+    'admin.tutor': 'Tutor',
+    'admin.bid': 'Bid',
+    'admin.hidden': 'Hidden',
+    'admin.visible': 'Visible',
+    'admin.hide': 'Hide',
+    'admin.unhide': 'Unhide',
+    'admin.deletedTask': '(deleted task)',
+    'admin.deleteTaskConfirm': 'Delete "{title}" and its bids?',
+    'admin.deleteBidConfirm': 'Delete this bid?',
+    'admin.fees': 'Platform fees collected:',
+    'admin.commission': '({rate}% commission)',
+    'admin.payment': 'Payment',
+    'admin.for': 'For',
+    'admin.amount': 'Amount',
+    'admin.payoutTo': 'Payout to {name}',
+    'admin.sent': 'Sent {date}',
+    'admin.markSent': 'Mark payout sent',
+    'admin.threshold': 'Submissions at or above {threshold}% similarity are flagged.',
+    'admin.showAll': 'Show all checked submissions',
+    'admin.noneChecked': 'No submissions have been checked yet',
+    'admin.nothingWaiting': 'Nothing waiting for review',
+    'admin.submission': 'Submission',
+    'admin.similarity': 'Similarity',
+    'admin.passages': 'Matching passages',
+    'admin.morePassages': '+{count} more',
+    'admin.clear': 'Clear',
+    'admin.confirmCopied': 'Confirm copied',
+    'admin.clearPrompt': 'Clear this flag — note (optional)',
+    'admin.confirmPrompt': 'Confirm copied work — note for the student and tutor',
+    'admin.download': 'Download full backup (JSON)',
+    'admin.backupNote': 'Includes every collection. Uploaded file contents live in the blob store and are not included.',
+    'admin.restore': 'Restore',
+    'admin.backupFile': '{name}: schema v{version}',
+    'admin.upgraded': ' (upgraded to v{version})',
+    'admin.exported': ', exported {date}',
+    'admin.merge': 'Merge (add records that are missing, keep current ones)',
+    'admin.replace': 'Replace everything',
+    'admin.replaceConfirm': 'Replace ALL current data with this backup? Records that are not in the backup will be deleted, and you may be signed out.',
+    'admin.restored': { one: 'Restored {count} record ({mode}).', other: 'Restored {count} records ({mode}).' },
+    'admin.restoreFailed': 'Nothing was restored: {error}',
+    'transcript.notFound': 'Transcript not found',
+    'transcript.backToList': 'Back to transcripts',
+    'transcript.back': '← Transcripts',
+    'transcript.titleRequired': 'Title is required',
+    'transcript.segments': { one: '{count} segment', other: '{count} segments' },
+    'transcript.unsaved': 'unsaved changes',
+    'transcript.noAudio': 'The audio for this transcript is not available.',
+    'transcript.find': 'Find',
+    'transcript.replaceWith': 'Replace with',
+    'transcript.matchCase': 'Match case',
+    'transcript.replaceAll': 'Replace all',
+    'transcript.matches': { one: '{count} match', other: '{count} matches' },
+    'transcript.export': 'Export:',
+    'transcript.playFrom': 'Play from here',
+    'transcript.speaker': 'Speaker',
+    'transcript.insertAfter': 'Insert segment after'
+  },
+  sw: {
+    'app.tagline': 'Soko la wanafunzi na wakufunzi',
+    'app.footer': '© {year} Writely — toleo la majaribio',
+    'nav.home': 'Mwanzo',
+    'nav.tasks': 'Kazi',
+    'nav.tutors': 'Wakufunzi',
+    'nav.dashboard': 'Dashibodi',
+    'nav.admin': 'Msimamizi',
+    'nav.greeting': 'Habari, {name}',
+    'nav.logout': 'Toka',
+    'nav.login': 'Ingia / Jisajili',
+    'nav.language': 'Lugha',
+    'nav.profile': 'Wasifu',
+    'nav.myTasks': 'Kazi zangu',
+    'nav.calendar': 'Kalenda',
+    'nav.browse': 'Tafuta kazi',
+    'nav.myBids': 'Zabuni zangu',
+    'nav.messages': 'Ujumbe',
+    'nav.payments': 'Malipo',
+    'nav.transcripts': 'Manukuu',
+    'role.student': 'Mwanafunzi',
+    'role.tutor': 'Mkufunzi',
+    'role.admin': 'Msimamizi',
+    'common.previous': 'Iliyotangulia',
+    'common.next': 'Inayofuata',
+    'common.edit': 'Hariri',
+    'common.cancel': 'Ghairi',
+    'home.welcome': 'Karibu Writely',
+    'home.intro': 'Hili ni soko ambapo wanafunzi huweka kazi za uandishi na wakufunzi hutoa zabuni kuzikamilisha. Unaweza kujisajili kama Mwanafunzi au Mkufunzi.',
+    'home.students': 'Wanafunzi: weka kazi, chagua wakufunzi, lipa kwa usalama.',
+    'home.tutors': 'Wakufunzi: tafuta kazi, toa zabuni, zungumza na wanafunzi kuhusu kila kazi.',
+    'home.transcription': 'Unukuzi: pakia sauti inukuliwe kwenye seva kwa lugha mbalimbali, au tumia kipaza sauti cha kivinjari.',
+    'home.quickActions': 'Hatua za haraka',
+    'home.step1': 'Jisajili kama mwanafunzi/mkufunzi',
+    'home.step2': 'Weka kazi yako ya kwanza',
+    'home.step3': 'Wakufunzi hutoa zabuni kwa kazi',
+    'home.step4': 'Mwanafunzi anakubali zabuni na kulipa',
+    'login.login': 'Ingia',
+    'login.register': 'Jisajili',
+    'login.resetTitle': 'Weka upya nenosiri',
+    'login.back': 'Rudi kwenye kuingia',
+    'login.fullName': 'Jina kamili',
+    'login.email': 'Barua pepe',
+    'login.password': 'Nenosiri',
+    'login.passwordHint': 'Angalau vibambo 8, vikiwemo herufi na nambari.',
+    'login.switchTo': 'Badili hadi {mode}',
+    'login.forgot': 'Umesahau nenosiri?',
+    'login.why': 'Kwa nini ujisajili?',
+    'login.whyText': 'Wanafunzi wanapata wakufunzi na mfumo wa malipo unaosimamiwa. Wakufunzi wanapata kazi na zana za kutoa zabuni.',
+    'dashboard.title': 'Dashibodi ya {name}',
+    'dashboard.role': 'Jukumu',
+    'dashboard.overview': 'Muhtasari',
+    'prefs.language': 'Lugha',
+    'prefs.currency': 'Onyesha kiasi kwa',
+    'prefs.currencyNote': 'Bei zimewekwa kwa {base}; sarafu nyingine zinabadilishwa kwa viwango vilivyowekwa na kuwekewa alama ≈.',
+    'status.open': 'Wazi',
+    'status.in_progress': 'Inaendelea',
+    'status.delivered': 'Imewasilishwa',
+    'status.revision_requested': 'Marekebisho yameombwa',
+    'status.completed': 'Imekamilika',
+    'status.cancelled': 'Imeghairiwa',
+    'status.disputed': 'Ina mzozo',
+    'sort.newest': 'Mpya zaidi',
+    'sort.budget_desc': 'Bajeti: juu hadi chini',
+    'sort.budget_asc': 'Bajeti: chini hadi juu',
+    'sort.deadline': 'Muda wa mwisho: karibu zaidi',
+    'sort.bids': 'Zabuni nyingi zaidi',
+    'tasks.all': 'Kazi zote',
+    'tasks.post': 'Weka kazi (wanafunzi)',
+    'tasks.none': 'Bado hakuna kazi — kuwa wa kwanza kuweka moja!',
+    'tasks.noMatch': 'Hakuna kazi zinazolingana na vichujio hivi',
+    'tasks.range': '{from}–{to} kati ya {total}',
+    'filters.search': 'Tafuta kwenye kichwa au maelezo',
+    'filters.allSubjects': 'Masomo yote',
+    'filters.allStatuses': 'Hali zote',
+    'filters.budget': 'Bajeti ({currency})',
+    'filters.min': 'chini',
+    'filters.max': 'juu',
+    'filters.due': 'Mwisho',
+    'task.hidden': 'Imefichwa na msimamizi',
+    'task.invited': 'Umealikwa kutoa zabuni',
+    'task.byline': 'Na {name}{subject} — mwisho {due}',
+    'task.budgetTbd': 'Bajeti: bado haijawekwa',
+    'task.viewBids': { one: 'Ona zabuni moja', other: 'Ona zabuni ({count})' },
+    'task.hideBids': { one: 'Ficha zabuni moja', other: 'Ficha zabuni ({count})' },
+    'task.showHistory': 'Onyesha historia',
+    'task.hideHistory': 'Ficha historia',
+    'task.showMessages': 'Onyesha ujumbe',
+    'task.hideMessages': 'Ficha ujumbe',
+    'task.newMessages': { one: '(ujumbe {count} mpya)', other: '(jumbe {count} mpya)' },
+    'task.assigned': 'Imekabidhiwa {name} kwa {amount}',
+    'task.messages': 'Ujumbe',
+    'task.history': 'Historia',
+    'task.bids': 'Zabuni',
+    'task.noBids': 'Bado hakuna zabuni',
+    'bid.created': 'Iliwekwa {date}',
+    'bid.validUntil': 'inadumu hadi {date}',
+    'bid.yours': 'Zabuni yako:',
+    'bid.withdraw': 'Ondoa',
+    'bid.withdrawConfirm': 'Ungependa kuondoa zabuni yako?',
+    'bid.amount': 'Kiasi ({currency})',
+    'bid.message': 'Ujumbe mfupi',
+    'bid.validUntilLabel': 'Inadumu hadi',
+    'bid.save': 'Hifadhi zabuni',
+    'bid.submit': 'Toa zabuni',
+    'bid.submitted': 'Zabuni imetumwa',
+    'accept.choose': 'Chagua zabuni ya kukubali',
+    'accept.button': 'Kubali',
+    'accept.selectFirst': 'Chagua zabuni kwanza',
+    'accept.done': 'Zabuni imekubaliwa. Weka pesa kwenye escrow kupitia Malipo ili mkufunzi aanze kazi.',
+    'payments.title': 'Malipo',
+    'payments.none': 'Bado hakuna malipo',
+    'payments.task': 'Kazi',
+    'payments.amount': 'Kiasi',
+    'payments.status': 'Hali',
+    'payments.paidAt': 'imelipwa {date}',
+    'checkout.unavailable': 'Malipo ya mtandaoni hayapatikani kwa sasa.',
+    'checkout.phone': 'Simu ya M-Pesa (07...)',
+    'checkout.pay': 'Lipa kwenye escrow',
+    'checkout.retry': 'Jaribu kulipa tena',
+    'checkout.started': 'Malipo yameanzishwa',
+    'checkout.simulated': 'Malipo ya majaribio yamepokelewa; escrow imejazwa.',
+    'earnings.title': 'Mapato',
+    'earnings.available': 'Yanayopatikana',
+    'earnings.pending': 'Malipo yanayosubiri',
+    'earnings.total': 'Jumla ya mapato baada ya ada ya jukwaa ya {rate}%: {amount}',
+    'earnings.amount': 'Kiasi cha kutoa ({currency})',
+    'earnings.request': 'Omba malipo',
+    'earnings.sent': 'yametumwa {date}',
+    'earnings.requested': 'yaliombwa {date}',
+    'analytics.title': 'Takwimu',
+    'analytics.last30': 'Siku 30 zilizopita',
+    'analytics.last90': 'Siku 90 zilizopita',
+    'analytics.last365': 'Miezi 12 iliyopita',
+    'analytics.all': 'Muda wote',
+    'analytics.custom': 'Tarehe maalum',
+    'analytics.from': 'Kuanzia',
+    'analytics.to': 'Hadi',
+    'analytics.earnings': 'Mapato',
+    'analytics.winRate': 'Kiwango cha kushinda zabuni',
+    'analytics.winRateDetail': { one: 'Umeshinda {won} kati ya zabuni {count} iliyoamuliwa', other: 'Umeshinda {won} kati ya zabuni {count} zilizoamuliwa' },
+    'analytics.bidVsAccepted': 'Wastani wa zabuni',
+    'analytics.averageAccepted': 'wastani uliokubaliwa',
+    'analytics.bidsPlaced': { one: 'zabuni {count} imewasilishwa', other: 'zabuni {count} zimewasilishwa' },
+    'analytics.turnaround': 'Muda wa kukamilisha (kukubaliwa hadi kuwasilishwa)',
+    'analytics.deliveries': { one: 'uwasilishaji {count}', other: 'mawasilisho {count}' },
+    'analytics.ratings': 'Mwenendo wa ukadiriaji',
+    'analytics.reviews': { one: 'tathmini {count}', other: 'tathmini {count}' },
+    'analytics.spend': 'Matumizi',
+    'analytics.tasksPosted': { one: 'kazi {count} imechapishwa', other: 'kazi {count} zimechapishwa' },
+    'analytics.bidsPerTask': 'Wastani wa zabuni kwa kila kazi',
+    'analytics.firstBid': 'Muda hadi zabuni ya kwanza',
+    'analytics.hours': 'saa {n}',
+    'analytics.days': 'siku {n}',
+    'common.save': 'Hifadhi',
+    'common.saved': 'Imehifadhiwa',
+    'common.delete': 'Futa',
+    'common.remove': 'Ondoa',
+    'profile.title': 'Wasifu',
+    'profile.account': 'Barua pepe: {email} · Jukumu: {role}',
+    'profile.publicLink': 'Tazama wasifu wako wa umma',
+    'profile.samples': 'Mifano ya kazi',
+    'profile.noSamples': 'Bado hakuna mifano ya kazi',
+    'profile.removeSample': 'Ungependa kuondoa {name}?',
+    'profile.reviews': 'Tathmini',
+    'profile.changePassword': 'Badilisha nenosiri',
+    'profile.forgot': 'Umesahau nenosiri lako la sasa?',
+    'profile.name': 'Jina',
+    'profile.levelTutor': 'Kiwango cha juu cha elimu',
+    'profile.levelStudent': 'Kiwango cha masomo',
+    'profile.institution': 'Taasisi',
+    'profile.subjects': 'Masomo (hadi {max})',
+    'profile.languages': 'Lugha',
+    'profile.hourlyRate': 'Malipo kwa saa ({currency})',
+    'profile.pageRate': 'Kwa ukurasa ({currency})',
+    'profile.bio': 'Wasifu: uzoefu, utaalamu, jinsi unavyofanya kazi',
+    'profile.availability': 'Upatikanaji, k.m. siku za kazi saa 12–4 usiku EAT',
+    'profile.accepting': 'Ninapokea kazi mpya',
+    'profile.save': 'Hifadhi wasifu',
+    'prefs.emailCopy': 'Nitumie nakala ya arifa kwa barua pepe',
+    'prefs.needsMailer': '(inahitaji huduma ya barua ya seva ya API)',
+    'export.download': 'Pakua data yangu',
+    'export.preparing': 'Inaandaa…',
+    'export.note': 'Wasifu, kazi, zabuni, ujumbe, malipo na tathmini zako kama JSON',
+    'password.current': 'Nenosiri la sasa',
+    'password.new': 'Nenosiri jipya',
+    'password.confirm': 'Thibitisha nenosiri jipya',
+    'password.mismatch': 'Manenosiri mapya hayalingani',
+    'password.changed': 'Nenosiri limebadilishwa. Vifaa vingine vimeondolewa kwenye akaunti.',
+    'password.chooseNew': 'Chagua nenosiri jipya',
+    'password.resetDone': 'Nenosiri lako limewekwa upya na vipindi vyote vimefungwa.',
+    'password.sendReset': 'Tuma kiungo cha kuweka upya',
+    'password.resetSent': 'Ikiwa kuna akaunti ya {email}, kiungo cha kuweka upya kinachodumu dakika 30 kimetumwa.',
+    'password.prototypeEmail': 'Barua pepe ya majaribio:',
+    'password.openLink': 'fungua kiungo cha kuweka upya',
+    'history.by': 'na {role}',
+    'milestone.outline': 'Muhtasari',
+    'milestone.draft': 'Rasimu',
+    'milestone.final': 'Toleo la mwisho',
+    'milestoneStatus.pending': 'Inasubiri',
+    'milestoneStatus.submitted': 'Imewasilishwa kwa ukaguzi',
+    'milestoneStatus.approved': 'Imeidhinishwa',
+    'milestones.title': 'Hatua',
+    'milestones.optional': 'Hatua (si lazima)',
+    'milestones.due': 'mwisho {date}',
+    'milestones.onApproval': '{amount} baada ya kuidhinishwa',
+    'milestones.pay': 'Malipo baada ya kuidhinishwa ({currency})',
+    'milestones.submit': 'Weka kama imewasilishwa',
+    'milestones.approve': 'Idhinisha',
+    'milestones.approveRelease': 'Idhinisha na utoe {amount}',
+    'deadline.overdue': 'Imechelewa',
+    'deadline.soon': 'Mwisho unakaribia',
+    'calendar.deadline': 'Tarehe ya mwisho',
+    'calendar.upcoming': 'Zinazokuja',
+    'calendar.nothingDue': 'Hakuna kinachodaiwa. Tarehe za mwisho na hatua za kazi zako zinazoendelea huonekana hapa.',
+    'calendar.previousMonth': 'Mwezi uliopita',
+    'calendar.nextMonth': 'Mwezi ujao',
+    'calendar.add': 'Ongeza kwenye kalenda yako',
+    'calendar.download': 'Pakua .ics',
+    'calendar.downloadNote': 'Nakala ya mara moja kwa Google Calendar, Outlook au Apple Calendar',
+    'calendar.needsServer': "Usajili wa kalenda unahitaji seva ya API (hifadhi 'http').",
+    'calendar.createFeed': 'Unda kiungo cha usajili',
+    'calendar.resetConfirm': 'Kalenda zilizosajiliwa kwa kiungo cha sasa hazitasasishwa tena. Unda kiungo kipya?',
+    'calendar.feedNote': 'Jisajili kwa kiungo hiki cha faragha ili programu yako ya kalenda ibaki imesasishwa. Yeyote mwenye kiungo anaweza kuona tarehe zako za mwisho.',
+    'calendar.open': 'Fungua kwenye programu ya kalenda',
+    'calendar.resetLink': 'Badilisha kiungo',
+    'calendar.turnOff': 'Zima',
+    'admin.title': 'Dashibodi ya usimamizi',
+    'admin.tab.users': 'Watumiaji',
+    'admin.tab.tasks': 'Kazi',
+    'admin.tab.bids': 'Zabuni',
+    'admin.tab.payments': 'Malipo',
+    'admin.tab.originality': 'Uasilia',
+    'admin.tab.backup': 'Nakala rudufu',
+    'admin.search': 'Tafuta',
+    'admin.name': 'Jina',
+    'admin.email': 'Barua pepe',
+    'admin.role': 'Jukumu',
+    'admin.status': 'Hali',
+    'admin.active': 'Hai',
+    'admin.suspended': 'Imesimamishwa {date}',
+    'admin.suspend': 'Simamisha',
+    'admin.reinstate': 'Rejesha',
+    'admin.makeAdmin': 'Fanya msimamizi',
+    'admin.makeAdminConfirm': 'Ungependa kumfanya {name} msimamizi?',
+    'admin.task': 'Kazi',
+    'admin.student': 'Mwanafunzi',
+    'admin.tutor': 'Mkufunzi',
+    'admin.bid': 'Zabuni',
+    'admin.hidden': 'Imefichwa',
+    'admin.visible': 'Inaonekana',
+    'admin.hide': 'Ficha',
+    'admin.unhide': 'Onyesha',
+    'admin.deletedTask': '(kazi iliyofutwa)',
+    'admin.deleteTaskConfirm': 'Ungependa kufuta "{title}" na zabuni zake?',
+    'admin.deleteBidConfirm': 'Ungependa kufuta zabuni hii?',
+    'admin.fees': 'Ada za jukwaa zilizokusanywa:',
+    'admin.commission': '(kamisheni ya {rate}%)',
+    'admin.payment': 'Malipo',
+    'admin.for': 'Kwa ajili ya',
+    'admin.amount': 'Kiasi',
+    'admin.payoutTo': 'Malipo kwa {name}',
+    'admin.sent': 'Yametumwa {date}',
+    'admin.markSent': 'Weka kama malipo yametumwa',
+    'admin.threshold': 'Kazi zenye ufanano wa {threshold}% au zaidi huwekewa alama.',
+    'admin.showAll': 'Onyesha kazi zote zilizokaguliwa',
+    'admin.noneChecked': 'Bado hakuna kazi iliyokaguliwa',
+    'admin.nothingWaiting': 'Hakuna kinachosubiri ukaguzi',
+    'admin.submission': 'Kazi iliyowasilishwa',
+    'admin.similarity': 'Ufanano',
+    'admin.passages': 'Vifungu vinavyofanana',
+    'admin.morePassages': '+{count} zaidi',
+    'admin.clear': 'Ondoa alama',
+    'admin.confirmCopied': 'Thibitisha kunakiliwa',
+    'admin.clearPrompt': 'Ondoa alama hii — maelezo (si lazima)',
+    'admin.confirmPrompt': 'Thibitisha kazi iliyonakiliwa — maelezo kwa mwanafunzi na mkufunzi',
+    'admin.download': 'Pakua nakala rudufu kamili (JSON)',
+    'admin.backupNote': 'Inajumuisha mikusanyiko yote. Maudhui ya faili zilizopakiwa yako kwenye hifadhi ya faili na hayajajumuishwa.',
+    'admin.restore': 'Rejesha',
+    'admin.backupFile': '{name}: toleo la muundo v{version}',
+    'admin.upgraded': ' (imeboreshwa hadi v{version})',
+    'admin.exported': ', ilihamishwa {date}',
+    'admin.merge': 'Unganisha (ongeza rekodi zinazokosekana, baki na zilizopo)',
+    'admin.replace': 'Badilisha kila kitu',
+    'admin.replaceConfirm': 'Ungependa kubadilisha data YOTE ya sasa kwa nakala hii? Rekodi zisizo kwenye nakala zitafutwa, na huenda ukaondolewa kwenye akaunti.',
+    'admin.restored': { one: 'Rekodi {count} imerejeshwa ({mode}).', other: 'Rekodi {count} zimerejeshwa ({mode}).' },
+    'admin.restoreFailed': 'Hakuna kilichorejeshwa: {error}',
+    'transcript.notFound': 'Manukuu hayakupatikana',
+    'transcript.backToList': 'Rudi kwenye manukuu',
+    'transcript.back': '← Manukuu',
+    'transcript.titleRequired': 'Kichwa kinahitajika',
+    'transcript.segments': { one: 'kipande {count}', other: 'vipande {count}' },
+    'transcript.unsaved': 'mabadiliko hayajahifadhiwa',
+    'transcript.noAudio': 'Sauti ya manukuu haya haipatikani.',
+    'transcript.find': 'Tafuta',
+    'transcript.replaceWith': 'Badilisha kwa',
+    'transcript.matchCase': 'Zingatia herufi kubwa na ndogo',
+    'transcript.replaceAll': 'Badilisha zote',
+    'transcript.matches': { one: 'inayolingana {count}', other: 'zinazolingana {count}' },
+    'transcript.export': 'Hamisha:',
+    'transcript.playFrom': 'Cheza kuanzia hapa',
+    'transcript.speaker': 'Mzungumzaji',
+    'transcript.insertAfter': 'Ongeza kipande baadaye'
+  }
+};
+
+// Pure: the `locale` message for `key` with `vars` filled in
+function translate(locale, key, vars = {}) {
+  let message = (CATALOGS[locale] || {})[key] ?? CATALOGS.en[key] ?? key;
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules((LOCALES[locale] || LOCALES.en).tag).select(vars.count)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+const I18nContext = createContext();
+function useI18n() { return useContext(I18nContext); }
+
+// Signed-in users keep their language and display currency on their account; visitors' language lives in localStorage
+function I18nProvider({ children }) {
+  const { user, updatePreferences } = useAuth();
+  const [saved, setSaved] = useState(() => localStorage.getItem(LOCALE_KEY) || (navigator.language.startsWith('sw') ? 'sw' : 'en'));
+  const locale = [user && user.locale, saved].find(l => LOCALES[l]) || 'en';
+  const tag = LOCALES[locale].tag;
+  useEffect(() => { document.documentElement.lang = locale; }, [locale]);
+
+  async function setLocale(next) {
+    localStorage.setItem(LOCALE_KEY, next);
+    setSaved(next);
+    if (user) await updatePreferences({ locale: next });
+  }
+
+  const value = {
+    locale,
+    setLocale,
+    t: (key, vars) => translate(locale, key, vars),
+    date: time => new Date(time).toLocaleDateString(tag, { dateStyle: 'medium' }),
+    dateTime: time => new Date(time).toLocaleString(tag, { dateStyle: 'medium', timeStyle: 'short' }),
+    // Minor units in the user's display currency
+    money: (amount, currency) => displayMoney(amount, currency, user && user.currency, tag)
+  };
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <select value={locale} onChange={e => setLocale(e.target.value)} aria-label={t('nav.language')}>
+      {Object.entries(LOCALES).map(([key, l]) => <option key={key} value={key}>{l.label}</option>)}
+    </select>
+  );
+}
+
+// Profile: language and the currency amounts are shown in
+function DisplayPreferences() {
+  const { user, updatePreferences } = useAuth();
+  const { t } = useI18n();
+  const [err, setErr] = useState(null);
+
+  async function setCurrency(e) {
+    try {
+      await updatePreferences({ currency: e.target.value || null });
+      setErr(null);
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  return (
+    <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', margin: '8px 0', fontSize: 14 }}>
+      <label>{t('prefs.language')} <LanguageSwitcher /></label>
+      <label>
+        {t('prefs.currency')}{' '}
+        <select value={user.currency || ''} onChange={setCurrency}>
+          <option value="">{CURRENCY_CONFIG.base}</option>
+          {CURRENCIES.filter(c => c !== CURRENCY_CONFIG.base).map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </label>
+      <span style={{ fontSize: 12, color: '#64748b' }}>{t('prefs.currencyNote', { base: CURRENCY_CONFIG.base })}</span>
+      <FieldError error={err} />
+    </div>
+  );
+}
+
 // ---------- Protected Route ----------
-function RequireAuth({ children }) {
-  const { user } = useAuth();
-  if (!user) return <Navigate to="/login" replace />;
+// Pass `roles` to restrict a route further, e.g. <RequireAuth roles={['admin']}>
+function RequireAuth({ children, roles }) {
+  const { user, ready } = useAuth();
+  const location = useLocation();
+  if (!ready) return null;
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  if (roles && !roles.includes(user.role)) {
+    return <div style={cardStyle}><h2>Not authorized</h2><p>This page is only available to {roles.join(' / ')} accounts.</p><Link to="/dashboard">Back to dashboard</Link></div>;
+  }
   return children;
 }
 
 // ---------- App Layout ----------
 function AppShell({ children }) {
   const { user, logout } = useAuth();
+  const { t } = useI18n();
+  const [recovery, setRecovery] = useState(() => JSON.parse(localStorage.getItem(RECOVERY_KEY) || 'null'));
+  useNotificationChecks();
+
+  function dismissRecovery() {
+    localStorage.removeItem(RECOVERY_KEY);
+    setRecovery(null);
+  }
+
+  if (storeError) {
+    return (
+      <div style={appStyle}>
+        <div style={{ ...cardStyle, background: '#fee2e2' }}>
+          Your saved data could not be opened ({storeError.message}), so it was left exactly as it is in localStorage under <code>{DB_KEY}</code>.
+          {storeError.code === 'newer_store' ? ' Open Writely with the newer version that wrote it.' : ' Free up browser storage and reload to try again.'}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={appStyle}>
+      {recovery && (
+        <div style={{ ...cardStyle, marginBottom: 16, background: '#fef3c7' }}>
+          Your saved data could not be read ({recovery.reason}) and was reset. The original was kept in localStorage under <code>{recovery.backupKey}</code>.
+          <button onClick={dismissRecovery} style={{ marginLeft: 8 }}>Dismiss</button>
+        </div>
+      )}
       <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
         <div>
           <Link to="/" style={{ textDecoration: 'none' }}><h1 style={{ margin: 0, color: '#0f172a' }}>Writely</h1></Link>
-          <div style={{ fontSize: 12, color: '#475569' }}>Students & Tutors marketplace</div>
+          <div style={{ fontSize: 12, color: '#475569' }}>{t('app.tagline')}</div>
         </div>
         <nav style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
-          <Link to="/">Home</Link>
-          <Link to="/tasks">Tasks</Link>
-          {user ? <Link to="/dashboard">Dashboard</Link> : null}
+          <Link to="/">{t('nav.home')}</Link>
+          <Link to="/tasks">{t('nav.tasks')}</Link>
+          <Link to="/tutors">{t('nav.tutors')}</Link>
+          {user ? <Link to="/dashboard">{t('nav.dashboard')}</Link> : null}
+          {user && user.role === 'admin' ? <Link to="/admin">{t('nav.admin')}</Link> : null}
+          {user ? <NotificationBadge /> : null}
+          <LanguageSwitcher />
           {user ? (
             <>
-              <span style={{ fontSize: 14 }}>Hi, {user.name}</span>
-              <button onClick={logout} style={{ padding: '8px 12px', borderRadius: 8 }}>Logout</button>
+              <span style={{ fontSize: 14 }}>{t('nav.greeting', { name: user.name })}</span>
+              <button onClick={logout} style={{ padding: '8px 12px', borderRadius: 8 }}>{t('nav.logout')}</button>
             </>
           ) : (
-            <Link to="/login">Login / Register</Link>
+            <Link to="/login">{t('nav.login')}</Link>
           )}
         </nav>
       </header>
       <main>{children}</main>
-      <footer style={{ marginTop: 32, color: '#94a3b8' }}>© {new Date().getFullYear()} Writely — prototype</footer>
+      <footer style={{ marginTop: 32, color: '#94a3b8' }}>{t('app.footer', { year: new Date().getFullYear() })}</footer>
     </div>
   );
 }
 
 // ---------- Pages ----------
 function Home() {
+  const { t } = useI18n();
   return (
     <div style={{ display: 'grid', gridTemplateColumns: '1fr 360px', gap: 20 }}>
       <section style={cardStyle}>
-        <h2>Welcome to Writely</h2>
-        <p>This is a marketplace where students post writing tasks and tutors bid to complete them. You can register as a <strong>Student</strong> or <strong>Tutor</strong>.</p>
+        <h2>{t('home.welcome')}</h2>
+        <p>{t('home.intro')}</p>
         <ul>
-          <li>Students: post tasks, choose tutors, pay securely.</li>
-          <li>Tutors: browse tasks, submit bids, chat with students (future).</li>
-          <li>Transcription: upload audio or use the browser mic for quick transcription (client-side demo).</li>
+          <li>{t('home.students')}</li>
+          <li>{t('home.tutors')}</li>
+          <li>{t('home.transcription')}</li>
         </ul>
         <div style={{ marginTop: 12 }}>
-          <Link to="/tasks"><button style={{ padding: '10px 14px', borderRadius: 8 }}>Browse Tasks</button></Link>
-          <Link to="/login" style={{ marginLeft: 8 }}><button style={{ padding: '10px 14px', borderRadius: 8 }}>Login / Register</button></Link>
+          <Link to="/tasks"><button style={{ padding: '10px 14px', borderRadius: 8 }}>{t('nav.browse')}</button></Link>
+          <Link to="/login" style={{ marginLeft: 8 }}><button style={{ padding: '10px 14px', borderRadius: 8 }}>{t('nav.login')}</button></Link>
         </div>
       </section>
 
       <aside style={cardStyle}>
-        <h3>Quick actions</h3>
+        <h3>{t('home.quickActions')}</h3>
         <ol>
-          <li>Register as student/tutor</li>
-          <li>Post your first task</li>
-          <li>Tutors bid on tasks</li>
-          <li>Student accepts bid and pays</li>
+          {['home.step1', 'home.step2', 'home.step3', 'home.step4'].map(key => <li key={key}>{t(key)}</li>)}
         </ol>
         <div style={{ marginTop: 12 }}>
           <TranscriptionCard />
@@ -138,58 +1728,84 @@ function Home() {
 
 function LoginPage() {
   const { register, login } = useAuth();
-  const [mode, setMode] = useState('login'); // login | register
+  const { t } = useI18n();
+  const [mode, setMode] = useState('login'); // login | register | forgot
   const [form, setForm] = useState({ name: '', email: '', password: '', role: 'student' });
-  const [err, setErr] = useState(null);
+  const [errors, setErrors] = useState({});
   const navigate = useNavigate();
+  const location = useLocation();
+  // RequireAuth passes the route the user was trying to open
+  const from = (location.state && location.state.from) || '/dashboard';
 
   async function handleSubmit(e) {
     e.preventDefault();
-    setErr(null);
+    setErrors({});
     try {
       if (mode === 'register') {
         await register(form);
       } else {
-        await login({ email: form.email, password: form.password });
+        await login({ email: form.email.trim(), password: form.password });
       }
-      navigate('/dashboard');
+      navigate(from, { replace: true });
     } catch (error) {
-      setErr(error.message);
+      setErrors(fieldErrorsOf(error));
     }
   }
 
+  if (mode === 'forgot') {
+    return (
+      <div style={{ maxWidth: 760, margin: '0 auto' }}>
+        <section style={cardStyle}>
+          <h2>{t('login.resetTitle')}</h2>
+          <PasswordResetRequest initialEmail={form.email} />
+          <button type="button" onClick={() => setMode('login')} style={{ marginTop: 12, padding: '10px 14px', borderRadius: 8 }}>{t('login.back')}</button>
+        </section>
+      </div>
+    );
+  }
+
   return (
     <div style={{ maxWidth: 760, margin: '0 auto', display: 'grid', gridTemplateColumns: '1fr 360px', gap: 20 }}>
       <section style={cardStyle}>
-        <h2>{mode === 'login' ? 'Login' : 'Register'}</h2>
-        {err && <div style={{ color: 'crimson' }}>{err}</div>}
-        <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 12 }}>
+        <h2>{t(`login.${mode}`)}</h2>
+        {errors.form && <div style={{ color: 'crimson' }}>{errors.form}</div>}
+        <form onSubmit={handleSubmit} noValidate style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 12 }}>
           {mode === 'register' && (
-            <input placeholder="Full name" value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} required />
+            <>
+              <input placeholder={t('login.fullName')} maxLength={SCHEMAS.users.name.maxLength} value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} required />
+              <FieldError error={errors.name} />
+            </>
           )}
-          <input placeholder="Email" value={form.email} onChange={e => setForm(f => ({ ...f, email: e.target.value }))} required />
-          <input placeholder="Password" type="password" value={form.password} onChange={e => setForm(f => ({ ...f, password: e.target.value }))} required />
+          <input placeholder={t('login.email')} type="email" maxLength={SCHEMAS.users.email.maxLength} value={form.email} onChange={e => setForm(f => ({ ...f, email: e.target.value }))} required />
+          <FieldError error={errors.email} />
+          <input placeholder={t('login.password')} type="password" value={form.password} onChange={e => setForm(f => ({ ...f, password: e.target.value }))} required />
+          <FieldError error={errors.password} />
+          {mode === 'register' && <div style={{ fontSize: 12, color: '#64748b' }}>{t('login.passwordHint')}</div>}
           {mode === 'register' && (
             <div>
               <label>
-                <input type="radio" name="role" value="student" checked={form.role === 'student'} onChange={() => setForm(f => ({ ...f, role: 'student' }))} /> Student
+                <input type="radio" name="role" value="student" checked={form.role === 'student'} onChange={() => setForm(f => ({ ...f, role: 'student' }))} /> {t('role.student')}
               </label>
               <label style={{ marginLeft: 12 }}>
-                <input type="radio" name="role" value="tutor" checked={form.role === 'tutor'} onChange={() => setForm(f => ({ ...f, role: 'tutor' }))} /> Tutor
+                <input type="radio" name="role" value="tutor" checked={form.role === 'tutor'} onChange={() => setForm(f => ({ ...f, role: 'tutor' }))} /> {t('role.tutor')}
               </label>
+              <FieldError error={errors.role} />
             </div>
           )}
 
           <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
-            <button type="submit" style={{ padding: '10px 14px', borderRadius: 8 }}>{mode === 'login' ? 'Login' : 'Register'}</button>
-            <button type="button" onClick={() => setMode(mode === 'login' ? 'register' : 'login')} style={{ padding: '10px 14px', borderRadius: 8 }}>Switch to {mode === 'login' ? 'Register' : 'Login'}</button>
+            <button type="submit" style={{ padding: '10px 14px', borderRadius: 8 }}>{t(`login.${mode}`)}</button>
+            <button type="button" onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setErrors({}); }} style={{ padding: '10px 14px', borderRadius: 8 }}>{t('login.switchTo', { mode: t(mode === 'login' ? 'login.register' : 'login.login') })}</button>
           </div>
+          {mode === 'login' && (
+            <button type="button" onClick={() => setMode('forgot')} style={{ alignSelf: 'flex-start', background: 'none', border: 'none', color: '#2563eb', padding: 0, cursor: 'pointer' }}>{t('login.forgot')}</button>
+          )}
         </form>
       </section>
 
       <aside style={cardStyle}>
-        <h3>Why register?</h3>
-        <p>Students get access to tutors and a managed payment flow. Tutors get access to tasks and bidding tools.</p>
+        <h3>{t('login.why')}</h3>
+        <p>{t('login.whyText')}</p>
       </aside>
     </div>
   );
@@ -197,26 +1813,38 @@ function LoginPage() {
 
 function Dashboard() {
   const { user } = useAuth();
+  const { t } = useI18n();
+  const unread = useUnreadMessages();
   if (!user) return null;
   return (
     <div style={{ display: 'grid', gridTemplateColumns: '280px 1fr', gap: 16 }}>
       <aside style={cardStyle}>
-        <h3>{user.name}'s dashboard</h3>
-        <div>Role: <strong>{user.role}</strong></div>
+        <h3>{t('dashboard.title', { name: user.name })}</h3>
+        <div>{t('dashboard.role')}: <strong>{t(`role.${user.role}`)}</strong></div>
         <nav style={{ marginTop: 12, display: 'flex', flexDirection: 'column', gap: 8 }}>
-          <Link to="/dashboard/profile">Profile</Link>
-          {user.role === 'student' ? <Link to="/dashboard/my-tasks">My Tasks</Link> : <Link to="/dashboard/browse">Browse Tasks</Link>}
-          <Link to="/dashboard/payments">Payments</Link>
+          <Link to="/dashboard/profile">{t('nav.profile')}</Link>
+          <Link to="/dashboard/my-tasks">{t('nav.myTasks')}</Link>
+          <Link to="/dashboard/calendar">{t('nav.calendar')}</Link>
+          {user.role !== 'student' && <Link to="/dashboard/browse">{t('nav.browse')}</Link>}
+          {user.role === 'tutor' && <Link to="/dashboard/my-bids">{t('nav.myBids')}</Link>}
+          <Link to="/dashboard/messages">{t('nav.messages')}{unread.length ? ` (${unread.length})` : ''}</Link>
+          <Link to="/dashboard/payments">{t('nav.payments')}</Link>
+          <Link to="/dashboard/transcripts">{t('nav.transcripts')}</Link>
         </nav>
       </aside>
 
       <section style={cardStyle}>
         <Routes>
-          <Route path="" element={<div><h2>Overview</h2><p>Quick summary and notifications (prototype)</p></div>} />
+          <Route path="" element={<div><h2>{t('dashboard.overview')}</h2><AnalyticsPanel /><NotificationList /></div>} />
           <Route path="profile" element={<Profile />} />
           <Route path="my-tasks" element={<MyTasks />} />
+          <Route path="calendar" element={<CalendarPage />} />
           <Route path="browse" element={<BrowseTasksForTutors />} />
+          <Route path="my-bids" element={<MyBids />} />
+          <Route path="messages" element={<MessagesPage />} />
           <Route path="payments" element={<PaymentsPage />} />
+          <Route path="transcripts" element={<TranscriptsPage />} />
+          <Route path="transcripts/:id" element={<TranscriptEditor />} />
         </Routes>
       </section>
     </div>
@@ -225,82 +1853,805 @@ function Dashboard() {
 
 function Profile() {
   const { user } = useAuth();
+  const { t } = useI18n();
   return (
     <div>
-      <h2>Profile</h2>
-      <p>Name: {user.name}</p>
-      <p>Email: {user.email}</p>
-      <p>Role: {user.role}</p>
+      <h2>{t('profile.title')}</h2>
+      <p>{t('profile.account', { email: user.email, role: t(`role.${user.role}`) })}</p>
+      {user.role === 'tutor' && <p><Link to={`/tutors/${user.id}`}>{t('profile.publicLink')}</Link></p>}
+      {user.role !== 'admin' && <ProfileForm />}
+      <DisplayPreferences />
+      <EmailPreference />
+      <DataExport />
+
+      {user.role === 'tutor' && (
+        <>
+          <h3>{t('profile.samples')}</h3>
+          <SampleWork tutorId={user.id} editable />
+          <h3>{t('profile.reviews')}</h3>
+          <TutorReviews tutorId={user.id} />
+        </>
+      )}
+
+      <h3>{t('profile.changePassword')}</h3>
+      <ChangePasswordForm />
+
+      <h3>{t('profile.forgot')}</h3>
+      <PasswordResetRequest initialEmail={user.email} />
     </div>
   );
 }
 
-// ---------- Tasks & Bids (core features) ----------
-function TasksPage() {
+function ChangePasswordForm() {
+  const { changePassword } = useAuth();
+  const { t } = useI18n();
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirm: '' });
+  const [msg, setMsg] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (form.newPassword !== form.confirm) { setMsg({ error: true, text: t('password.mismatch') }); return; }
+    try {
+      await changePassword(form);
+      setForm({ currentPassword: '', newPassword: '', confirm: '' });
+      setMsg({ text: t('password.changed') });
+    } catch (error) {
+      setMsg({ error: true, text: error.message });
+    }
+  }
+
   return (
-    <div style={{ display: 'grid', gridTemplateColumns: '1fr 360px', gap: 20 }}>
+    <form onSubmit={submit} style={{ display: 'flex', flexDirection: 'column', gap: 8, maxWidth: 360 }}>
+      {msg && <div style={{ color: msg.error ? 'crimson' : '#15803d' }}>{msg.text}</div>}
+      <input type="password" placeholder={t('password.current')} value={form.currentPassword} onChange={e => setForm(f => ({ ...f, currentPassword: e.target.value }))} required />
+      <input type="password" placeholder={t('password.new')} value={form.newPassword} onChange={e => setForm(f => ({ ...f, newPassword: e.target.value }))} required />
+      <input type="password" placeholder={t('password.confirm')} value={form.confirm} onChange={e => setForm(f => ({ ...f, confirm: e.target.value }))} required />
+      <button type="submit" style={{ padding: '8px 12px', borderRadius: 8, alignSelf: 'flex-start' }}>{t('profile.changePassword')}</button>
+    </form>
+  );
+}
+
+function PasswordResetRequest({ initialEmail = '' }) {
+  const { requestPasswordReset } = useAuth();
+  const { t } = useI18n();
+  const [email, setEmail] = useState(initialEmail);
+  const [sent, setSent] = useState(false);
+  const [link, setLink] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    const token = await requestPasswordReset(email);
+    // No mail server on browser-only backends, so surface the link that would have been emailed
+    setLink(token ? `/reset-password?${new URLSearchParams({ email, token })}` : null);
+    setSent(true);
+  }
+
+  return (
+    <form onSubmit={submit} style={{ display: 'flex', flexDirection: 'column', gap: 8, maxWidth: 360 }}>
+      <input placeholder={t('login.email')} value={email} onChange={e => setEmail(e.target.value)} required />
+      <button type="submit" style={{ padding: '8px 12px', borderRadius: 8, alignSelf: 'flex-start' }}>{t('password.sendReset')}</button>
+      {sent && <div style={{ fontSize: 13 }}>{t('password.resetSent', { email })}</div>}
+      {link && <div style={{ fontSize: 13 }}>{t('password.prototypeEmail')} <Link to={link}>{t('password.openLink')}</Link></div>}
+    </form>
+  );
+}
+
+function ResetPasswordPage() {
+  const { resetPassword } = useAuth();
+  const { t } = useI18n();
+  const [params] = useSearchParams();
+  const [form, setForm] = useState({ newPassword: '', confirm: '' });
+  const [err, setErr] = useState(null);
+  const [done, setDone] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setErr(null);
+    if (form.newPassword !== form.confirm) { setErr(t('password.mismatch')); return; }
+    try {
+      await resetPassword({ email: params.get('email'), token: params.get('token') || '', newPassword: form.newPassword });
+      setDone(true);
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  return (
+    <div style={{ maxWidth: 480, margin: '0 auto' }}>
       <section style={cardStyle}>
-        <h2>All Tasks</h2>
-        <TasksList />
+        <h2>{t('password.chooseNew')}</h2>
+        {done ? (
+          <p>{t('password.resetDone')} <Link to="/login">{t('login.login')}</Link></p>
+        ) : (
+          <form onSubmit={submit} style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+            {err && <div style={{ color: 'crimson' }}>{err}</div>}
+            <input type="password" placeholder={t('password.new')} value={form.newPassword} onChange={e => setForm(f => ({ ...f, newPassword: e.target.value }))} required />
+            <input type="password" placeholder={t('password.confirm')} value={form.confirm} onChange={e => setForm(f => ({ ...f, confirm: e.target.value }))} required />
+            <button type="submit" style={{ padding: '10px 14px', borderRadius: 8, alignSelf: 'flex-start' }}>{t('login.resetTitle')}</button>
+          </form>
+        )}
       </section>
-      <aside style={cardStyle}>
-        <h3>Post a task (students)</h3>
-        <PostTaskCard />
-        <div style={{ marginTop: 12 }}>
-          <TranscriptionCard small />
-        </div>
-      </aside>
     </div>
   );
 }
 
-function TasksList() {
-  const [tasks, setTasks] = useState(() => getDB().tasks || []);
-  useEffect(() => { setTasks(getDB().tasks || []); }, []);
+// ---------- Task lifecycle ----------
+// The only place task status may change. Who may make each change (TASK_TRANSITIONS) lives in writely_tasks.mjs,
+// which the API server checks task PATCHes against.
+const TASK_STATUS = {
+  open: { label: 'Open', color: '#2563eb' },
+  in_progress: { label: 'In progress', color: '#7c3aed' },
+  delivered: { label: 'Delivered', color: '#0891b2' },
+  revision_requested: { label: 'Revision requested', color: '#d97706' },
+  completed: { label: 'Completed', color: '#15803d' },
+  cancelled: { label: 'Cancelled', color: '#64748b' },
+  disputed: { label: 'Disputed', color: '#dc2626' }
+};
+// Button labels for each target status
+const TRANSITION_LABELS = {
+  in_progress: 'Start', delivered: 'Mark delivered', completed: 'Approve & complete',
+  revision_requested: 'Request revision', cancelled: 'Cancel task', disputed: 'Open dispute'
+};
+
+// Re-reads the task so concurrent edits can't skip a state. `patch` carries data that travels with the
+// transition (e.g. the accepted bid); `note` is kept in the history entry.
+// Completing releases the escrow to the tutor; cancelling refunds it (an admin's `refund`, kept on the history entry,
+// overrides the full-refund default). The ledger is posted before the status is saved, so a failed post leaves the
+// task where it was; the API server settles in the same save as the PATCH.
+async function transitionTask(taskId, to, user, { patch = {}, note = '', refund } = {}) {
+  const task = await repo.tasks.get(taskId);
+  if (!task) throw new Error('Task not found');
+  const from = task.status || 'open';
+  if (!allowedTransitions(task, user).includes(to)) {
+    throw new Error(`Cannot move task from ${TASK_STATUS[from].label} to ${TASK_STATUS[to].label}`);
+  }
+  // Paid milestones may already have emptied the escrow, so this checks the payment rather than the balance
+  if (to === 'completed' && !(await escrowFunded(taskId))) throw new Error('The escrow payment must be funded before the task can be completed');
+  const entry = { from, to, by: user.id, byRole: taskActorRole(task, user), at: Date.now(), note, ...(refund === undefined ? {} : { refund }) };
+  const held = await escrowBalance(taskId);
+  if (!LEDGER_CONFIG.server && to === 'completed') await releaseEscrow({ ...task, ...patch }, held);
+  if (!LEDGER_CONFIG.server && to === 'cancelled') await settleCancellation({ ...task, ...patch }, held, refund);
+  const updated = await repo.tasks.update(taskId, { ...patch, status: to, history: [...(task.history || []), entry] });
+  if (to === 'completed' || to === 'cancelled') await publishSettlement(updated, held, refund);
+  if (to === 'cancelled' && from === 'open') await rejectOpenBids(updated);
+  return updated;
+}
+
+function StatusBadge({ status }) {
+  const { t } = useI18n();
+  const key = status || 'open';
+  return <span style={{ marginLeft: 8, fontSize: 12, padding: '2px 8px', borderRadius: 999, color: 'white', background: TASK_STATUS[key].color }}>{t(`status.${key}`)}</span>;
+}
+
+function StatusFilter({ value, onChange }) {
+  const { t } = useI18n();
   return (
-    <div style={{ display: 'grid', gap: 12 }}>
-      {tasks.length === 0 && <div>No tasks yet — be the first to post one!</div>}
-      {tasks.slice().reverse().map(task => (
-        <TaskCard key={task.id} task={task} />
-      ))}
-    </div>
+    <select value={value} onChange={e => onChange(e.target.value)}>
+      <option value="">{t('filters.allStatuses')}</option>
+      {Object.keys(TASK_STATUS).map(s => <option key={s} value={s}>{t(`status.${s}`)}</option>)}
+    </select>
   );
 }
 
-function TaskCard({ task }) {
+function TaskActions({ task }) {
   const { user } = useAuth();
-  const [showBids, setShowBids] = useState(false);
-  const db = getDB();
-  const bids = db.bids.filter(b => b.taskId === task.id);
+  // Starting work happens through AcceptBidUI, which attaches the chosen bid
+  const options = allowedTransitions(task, user).filter(to => to !== 'in_progress');
+  if (options.length === 0) return null;
+
+  async function run(to) {
+    const needsNote = to === 'revision_requested' || to === 'disputed' || to === 'cancelled';
+    const note = needsNote ? window.prompt(`${TRANSITION_LABELS[to]}: add a reason`) : '';
+    if (note === null) return;
+    // Admins settling a dispute may split the escrow; everyone else cancels with a full refund
+    let refund;
+    if (to === 'cancelled' && user.role === 'admin') {
+      const held = await escrowBalance(task.id);
+      const answer = held > 0 ? window.prompt(`Refund to student (${CURRENCY_CONFIG.base}, 0-${amountText(held)}); the rest is released to the tutor`, amountText(held)) : '0';
+      if (answer === null) return;
+      refund = parseAmount(answer) ?? 0;
+    }
+    try {
+      await transitionTask(task.id, to, user, { note, refund });
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div style={{ display: 'flex', gap: 8 }}>
+      {options.map(to => <button key={to} onClick={() => run(to)} style={{ padding: '8px 10px', borderRadius: 8 }}>{TRANSITION_LABELS[to]}</button>)}
+    </div>
+  );
+}
+
+function TaskHistory({ history }) {
+  const { t, dateTime } = useI18n();
+  return (
+    <ol style={{ fontSize: 13, margin: 0, paddingLeft: 18 }}>
+      {(history || []).map((h, i) => (
+        <li key={i}>
+          {dateTime(h.at)} — {h.from ? `${t(`status.${h.from}`)} → ` : ''}{t(`status.${h.to}`)}
+          {h.byRole ? ` ${t('history.by', { role: t(`role.${h.byRole}`) })}` : ''}{h.note ? `: ${h.note}` : ''}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ---------- Escrow ledger ----------
+// Double-entry: every transaction is a set of ledger rows sharing a txId whose amounts sum to zero, so any
+// balance is just the sum of an account's rows. Accounts:
+//   student:<userId>         money in from / refunded to the student (negative = net paid in)
+//   escrow:<taskId>          funds held for a task
+//   tutor:<userId>           tutor earnings available for payout
+//   payout_pending:<userId>  payouts requested, not yet sent
+//   platform:fees            platform commission
+//   external:payouts         money sent out to tutors
+// The commission and the originality review threshold (percent similarity; 0 turns flagging off) are platform
+// configuration: on the http backend the server's COMMISSION_RATE and ORIGINALITY_THRESHOLD replace these defaults
+// once /api/config has loaded (platformConfigLoaded).
+const PLATFORM_CONFIG = { commissionRate: 0.1, originalityThreshold: 25 };
+const platformConfigLoaded = STORAGE_CONFIG.backend === 'http'
+  ? fetch(`${STORAGE_CONFIG.apiBase}/config`).then(r => r.json()).then(c => { Object.assign(PLATFORM_CONFIG, c); }).catch(() => {})
+  : Promise.resolve();
+const PLATFORM_FEES_ACCOUNT = 'platform:fees';
+
+// With the http backend the API server writes every ledger row itself: funding from payment webhooks, releases and
+// refunds in the task PATCH that completes or cancels a task or approves a paid milestone, and payout rows with the
+// payout records. The browser backends post the same legs (writely_tasks.mjs) through postTransaction().
+const LEDGER_CONFIG = { server: STORAGE_CONFIG.backend === 'http' };
+
+// Amounts are integer minor units, so fees and splits round to the nearest cent
+const roundMoney = n => Math.round(n);
+
+function balanceOf(entries, account) {
+  return roundMoney(entries.filter(e => e.account === account).reduce((sum, e) => sum + e.amount, 0));
+}
+
+async function escrowBalance(taskId) {
+  return balanceOf(await repo.ledger.query({ account: `escrow:${taskId}` }), `escrow:${taskId}`);
+}
+
+// `refs` (paymentId, taskId) are copied onto every row; zero legs are dropped. All legs are written in one adapter
+// call, so a failure can't leave a half-posted transaction.
+async function postTransaction(kind, refs, legs) {
+  const total = roundMoney(legs.reduce((sum, l) => sum + l.amount, 0));
+  if (total !== 0) throw new Error(`Unbalanced ${kind} transaction (off by ${total})`);
+  const txId = newId('tx');
+  const at = Date.now();
+  await repo.ledger.insertMany(legs.filter(l => l.amount !== 0)
+    .map(leg => ({ txId, kind, ...refs, account: leg.account, amount: roundMoney(leg.amount), currency: CURRENCY_CONFIG.base, at })));
+}
+
+// Legs that pay `amount` out of escrow to the tutor, minus commission
+async function tutorReleaseLegs(task, amount) {
+  await platformConfigLoaded;
+  return releaseLegs(task, amount, PLATFORM_CONFIG.commissionRate);
+}
+
+async function escrowPayment(taskId) {
+  const [payment] = await repo.payments.query({ taskId, kind: 'escrow' });
+  return payment || null;
+}
+
+async function escrowFunded(taskId) {
+  const payment = await escrowPayment(taskId);
+  return Boolean(payment && payment.studentPaid);
+}
+
+// Funding ('fund' rows: student:<id> -> escrow:<taskId>) is posted by the API server when a verified
+// provider webhook marks the payment paid (applyWebhookEvent in writely_local_server.mjs), or by
+// fundEscrowLocally() on the browser-only backends.
+
+// Releases the `held` escrow to the tutor
+async function releaseEscrow(task, held) {
+  if (held <= 0) return;
+  const payment = await escrowPayment(task.id);
+  await postTransaction('release', { paymentId: payment && payment.id, taskId: task.id }, await tutorReleaseLegs(task, held));
+}
+
+// Refunds `refund` (default: everything held) to the student and releases any remainder to the tutor.
+// An unpaid escrow payment is voided so the student is no longer asked to pay.
+async function settleCancellation(task, held, refund) {
+  const payment = await escrowPayment(task.id);
+  if (payment && !payment.studentPaid) await repo.payments.update(payment.id, { cancelledAt: Date.now() });
+  if (held <= 0) return;
+  const { toStudent, rest } = cancellationSplit(held, refund);
+  const refs = { paymentId: payment && payment.id, taskId: task.id };
+  if (toStudent > 0) await postTransaction('refund', refs, refundLegs(task, toStudent));
+  if (rest > 0) await postTransaction('release', refs, await tutorReleaseLegs(task, rest));
+}
+
+// Tells both sides how the `held` escrow of a completed or cancelled task was settled
+async function publishSettlement(task, held, refund) {
+  if (held <= 0) return;
+  if (task.status === 'completed') return publish('payment.changed', { task, change: 'released', amount: held });
+  const { toStudent, rest } = cancellationSplit(held, refund);
+  return publish('payment.changed', { task, change: rest > 0 ? 'split' : 'refunded', amount: toStudent });
+}
+
+// `amount` in minor units of the base currency. The API server checks the balance again and posts the rows itself.
+async function requestPayout(tutorId, amount) {
+  const available = balanceOf(await repo.ledger.query({ account: `tutor:${tutorId}` }), `tutor:${tutorId}`);
+  amount = roundMoney(amount);
+  if (!(amount > 0) || amount > available) throw new Error(`Enter an amount up to ${formatMoney(available)}`);
+  const payout = await repo.payments.insert({ kind: 'payout', tutorId, amount, currency: CURRENCY_CONFIG.base, status: 'requested', createdAt: Date.now() });
+  if (LEDGER_CONFIG.server) return payout;
+  await postTransaction('payout_request', { paymentId: payout.id }, [
+    { account: `tutor:${tutorId}`, amount: -amount },
+    { account: `payout_pending:${tutorId}`, amount }
+  ]);
+  return payout;
+}
+
+async function markPayoutSent(payout) {
+  await repo.payments.update(payout.id, { status: 'paid', paidAt: Date.now() });
+  if (LEDGER_CONFIG.server) return;
+  await postTransaction('payout_paid', { paymentId: payout.id }, [
+    { account: `payout_pending:${payout.tutorId}`, amount: -payout.amount },
+    { account: 'external:payouts', amount: payout.amount }
+  ]);
+  await publish('payout.sent', { payout });
+}
+
+// Human-readable state of an escrow payment, derived from its ledger rows
+function escrowStatus(payment, entries) {
+  if (!payment.studentPaid) {
+    if (payment.cancelledAt) return 'Cancelled';
+    return { processing: 'Processing payment', failed: 'Payment failed' }[payment.status] || 'Awaiting payment';
+  }
+  const rows = entries.filter(e => e.paymentId === payment.id);
+  const released = rows.some(e => e.kind === 'release');
+  const refunded = rows.some(e => e.kind === 'refund');
+  if (released && refunded) return 'Partially refunded';
+  if (refunded) return 'Refunded';
+  if (released && balanceOf(rows, `escrow:${payment.taskId}`) > 0) return 'Milestones paid, rest held in escrow';
+  if (released) return 'Released to tutor';
+  return 'Held in escrow';
+}
+
+// ---------- Deadlines & milestones ----------
+// Deadlines, milestone kinds and calendar events live in writely_calendar.mjs, shared with the API server's feed.
+// The tutor submits a milestone, the student approves it, and approval pays its optional `amount` out of escrow
+// ahead of completion. Kind and status labels are in CATALOGS (milestone.*, milestoneStatus.*).
+
+const formatDeadline = time => new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+// Re-reads the task like transitionTask(). The assigned tutor submits a pending milestone; the student approves a
+// submitted one, which releases its payment (first, like a transition's settlement).
+async function advanceMilestone(taskId, kind, user) {
+  const task = await repo.tasks.get(taskId);
+  if (!task) throw new Error('Task not found');
+  const milestone = (task.milestones || []).find(m => m.kind === kind);
+  const next = milestoneStep(task, kind, taskActorRole(task, user));
+  if (next.status === 'approved' && milestone.amount && !(await escrowFunded(taskId))) throw new Error('The escrow payment must be funded before a paid milestone can be approved');
+  // Its amount, at most what is still held
+  const released = next.status === 'approved' ? Math.max(0, Math.min(milestone.amount || 0, await escrowBalance(taskId))) : 0;
+  if (released > 0 && !LEDGER_CONFIG.server) await releaseMilestone(task, milestone, released);
+  const updated = await repo.tasks.update(taskId, { milestones: task.milestones.map(m => (m.kind === kind ? { ...m, ...next } : m)) });
+  if (next.status === 'submitted') await publish('milestone.submitted', { task: updated, milestone });
+  else await publish('milestone.approved', { task: updated, milestone, released });
+  return updated;
+}
+
+async function releaseMilestone(task, milestone, amount) {
+  const payment = await escrowPayment(task.id);
+  await postTransaction('release', { paymentId: payment && payment.id, taskId: task.id, milestone: milestone.kind }, await tutorReleaseLegs(task, amount));
+}
+
+function DeadlineBadge({ item }) {
+  const { t } = useI18n();
+  const state = deadlineState(item);
+  if (!state) return null;
+  const [text, color] = state === 'overdue' ? [t('deadline.overdue'), '#dc2626'] : [t('deadline.soon'), '#d97706'];
+  return <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 600, color }}>{text}</span>;
+}
+
+function TaskMilestones({ task }) {
+  const { user } = useAuth();
+  const { t, money } = useI18n();
+  const [err, setErr] = useState(null);
+  const role = taskActorRole(task, user);
+  const working = ['in_progress', 'revision_requested', 'delivered'].includes(task.status);
+  const items = taskDeadlines(task);
+
+  async function advance(kind) {
+    setErr(null);
+    try {
+      await advanceMilestone(task.id, kind, user);
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <h4 style={{ margin: '8px 0 4px' }}>{t('milestones.title')}</h4>
+      <ul style={{ fontSize: 13, margin: 0, paddingLeft: 18 }}>
+        {task.milestones.map(m => {
+          const status = m.status || 'pending';
+          return (
+            <li key={m.kind}>
+              <strong>{t(`milestone.${m.kind}`)}</strong> — {t('milestones.due', { date: m.dueDate })}
+              {m.amount ? ` · ${t('milestones.onApproval', { amount: money(m.amount, task.currency) })}` : ''} · {t(`milestoneStatus.${status}`)}
+              <DeadlineBadge item={items.find(i => i.kind === m.kind)} />
+              {working && role === 'tutor' && status === 'pending' && <button onClick={() => advance(m.kind)} style={{ marginLeft: 8, fontSize: 12 }}>{t('milestones.submit')}</button>}
+              {working && role === 'student' && status === 'submitted' && (
+                <button onClick={() => advance(m.kind)} style={{ marginLeft: 8, fontSize: 12 }}>
+                  {m.amount ? t('milestones.approveRelease', { amount: money(m.amount, task.currency) }) : t('milestones.approve')}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <FieldError error={err} />
+    </div>
+  );
+}
+
+// Milestone rows for PostTaskCard; `value` maps each chosen kind to { dueDate, amount } as typed
+function MilestoneFields({ value, onChange, maxDate }) {
+  const { t } = useI18n();
+  function toggle(kind, on) {
+    const next = { ...value };
+    if (on) next[kind] = { dueDate: '', amount: '' };
+    else delete next[kind];
+    onChange(next);
+  }
+  const set = (kind, key) => e => onChange({ ...value, [kind]: { ...value[kind], [key]: e.target.value } });
+
+  return (
+    <fieldset style={{ fontSize: 13, marginTop: 8 }}>
+      <legend>{t('milestones.optional')}</legend>
+      {Object.keys(MILESTONE_KINDS).map(kind => (
+        <div key={kind} style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 4 }}>
+          <label style={{ width: 110 }}><input type="checkbox" checked={!!value[kind]} onChange={e => toggle(kind, e.target.checked)} /> {t(`milestone.${kind}`)}</label>
+          {value[kind] && <input type="date" min={todayISO()} max={maxDate || undefined} value={value[kind].dueDate} onChange={set(kind, 'dueDate')} />}
+          {value[kind] && <input type="number" min="1" step="any" placeholder={t('milestones.pay', { currency: CURRENCY_CONFIG.base })} value={value[kind].amount} onChange={set(kind, 'amount')} style={{ width: 150 }} />}
+        </div>
+      ))}
+    </fieldset>
+  );
+}
+
+// ---------- Calendar ----------
+// Upcoming deadlines for both roles, downloadable as iCalendar (.ics). With the API server, users can also create
+// a private feed URL (users.calendarToken) that calendar apps subscribe to; writely_local_server.mjs serves it.
+const CALENDAR_CONFIG = { feeds: STORAGE_CONFIG.backend === 'http', apiBase: STORAGE_CONFIG.apiBase };
+
+// Pure: the Monday-first weeks covering a month, each an array of 7 Dates
+function monthWeeks(year, month) {
+  const first = new Date(year, month, 1);
+  const day = new Date(year, month, 1 - ((first.getDay() + 6) % 7));
+  const weeks = [];
+  do {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(new Date(day));
+      day.setDate(day.getDate() + 1);
+    }
+    weeks.push(week);
+  } while (day.getMonth() === month);
+  return weeks;
+}
+
+function CalendarPage() {
+  const { user } = useAuth();
+  const { t, locale, dateTime, money } = useI18n();
+  const tasks = useQuery('tasks', user.role === 'tutor' ? { tutorId: user.id } : { studentId: user.id });
+  const [shown, setShown] = useState(() => ({ year: new Date().getFullYear(), month: new Date().getMonth() }));
+  const events = calendarEvents(tasks);
+  const now = Date.now();
+  const today = todayISO();
+  const overdue = events.filter(e => deadlineState(e, now) === 'overdue');
+  const upcoming = events.filter(e => !e.done && e.at >= now).slice(0, 10);
+  const byDay = {};
+  events.forEach(e => { (byDay[isoDay(e.at)] = byDay[isoDay(e.at)] || []).push(e); });
+  const move = delta => setShown(({ year, month }) => {
+    const d = new Date(year, month + delta, 1);
+    return { year: d.getFullYear(), month: d.getMonth() };
+  });
+  const eventColor = e => (deadlineState(e, now) === 'overdue' ? '#dc2626' : e.done ? '#94a3b8' : '#2563eb');
+  const label = e => t(e.kind === 'deadline' ? 'calendar.deadline' : `milestone.${e.kind}`);
+  const item = e => (
+    <li key={e.id} style={{ color: eventColor(e) }}>
+      {dateTime(e.at)} — {label(e)}: <Link to="/dashboard/my-tasks">{e.taskTitle}</Link>{e.amount ? ` (${t('milestones.onApproval', { amount: money(e.amount) })})` : ''}
+    </li>
+  );
+  const weeks = monthWeeks(shown.year, shown.month);
+
+  return (
+    <div>
+      <h2>{t('nav.calendar')}</h2>
+      {overdue.length > 0 && (
+        <>
+          <h4 style={{ color: '#dc2626' }}>{t('deadline.overdue')}</h4>
+          <ul style={{ fontSize: 13 }}>{overdue.map(item)}</ul>
+        </>
+      )}
+      <h4>{t('calendar.upcoming')}</h4>
+      {upcoming.length === 0 ? <p style={{ fontSize: 13, color: '#64748b' }}>{t('calendar.nothingDue')}</p> : <ul style={{ fontSize: 13 }}>{upcoming.map(item)}</ul>}
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', margin: '12px 0 8px' }}>
+        <button onClick={() => move(-1)} aria-label={t('calendar.previousMonth')}>‹</button>
+        <strong style={{ minWidth: 140, textAlign: 'center' }}>{new Date(shown.year, shown.month, 1).toLocaleDateString(LOCALES[locale].tag, { month: 'long', year: 'numeric' })}</strong>
+        <button onClick={() => move(1)} aria-label={t('calendar.nextMonth')}>›</button>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+        <thead><tr>{weeks[0].map(d => <th key={d.getDay()} style={{ fontSize: 12, color: '#64748b' }}>{d.toLocaleDateString(LOCALES[locale].tag, { weekday: 'short' })}</th>)}</tr></thead>
+        <tbody>
+          {weeks.map(week => (
+            <tr key={isoDay(week[0])}>
+              {week.map(day => {
+                const key = isoDay(day);
+                return (
+                  <td key={key} style={{ verticalAlign: 'top', height: 72, border: '1px solid #e6eef6', padding: 4, fontSize: 12, background: key === today ? '#eff6ff' : undefined, color: day.getMonth() === shown.month ? undefined : '#94a3b8' }}>
+                    <div>{day.getDate()}</div>
+                    {(byDay[key] || []).map(e => (
+                      <div key={e.id} title={`${dateTime(e.at)} — ${label(e)}: ${e.taskTitle}`} style={{ color: eventColor(e), overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {label(e)}: {e.taskTitle}
+                      </div>
+                    ))}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <CalendarExport events={events} />
+    </div>
+  );
+}
+
+function CalendarExport({ events }) {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [me] = useQuery('users', { id: user.id });
+  const feed = me && me.calendarToken ? `${CALENDAR_CONFIG.apiBase}/calendar/${me.calendarToken}.ics` : null;
+
+  function download() {
+    const ics = toICS(events, { link: `${window.location.origin}/dashboard/calendar`, formatAmount: formatMoney });
+    saveBlobAs(new Blob([ics], { type: 'text/calendar' }), 'writely-deadlines.ics');
+  }
+
+  async function createFeed() {
+    if (feed && !window.confirm(t('calendar.resetConfirm'))) return;
+    await repo.users.update(user.id, { calendarToken: randomToken(24) });
+  }
+
+  return (
+    <div style={{ marginTop: 16, fontSize: 13 }}>
+      <h4>{t('calendar.add')}</h4>
+      <button onClick={download}>{t('calendar.download')}</button>
+      <span style={{ color: '#64748b', marginLeft: 8 }}>{t('calendar.downloadNote')}</span>
+      {!CALENDAR_CONFIG.feeds && <div style={{ color: '#64748b', marginTop: 8 }}>{t('calendar.needsServer')}</div>}
+      {CALENDAR_CONFIG.feeds && !feed && <div style={{ marginTop: 8 }}><button onClick={createFeed}>{t('calendar.createFeed')}</button></div>}
+      {CALENDAR_CONFIG.feeds && feed && (
+        <div style={{ marginTop: 8, display: 'flex', flexDirection: 'column', gap: 6, maxWidth: 560 }}>
+          <div>{t('calendar.feedNote')}</div>
+          <input readOnly value={feed} onFocus={e => e.target.select()} />
+          <div style={{ display: 'flex', gap: 8 }}>
+            <a href={feed.replace(/^https?:/, 'webcal:')}>{t('calendar.open')}</a>
+            <button onClick={createFeed}>{t('calendar.resetLink')}</button>
+            <button onClick={() => repo.users.update(user.id, { calendarToken: null })}>{t('calendar.turnOff')}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Tasks & Bids (core features) ----------
+function TasksPage() {
+  const { t } = useI18n();
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 360px', gap: 20 }}>
+      <section style={cardStyle}>
+        <h2>{t('tasks.all')}</h2>
+        <TasksList />
+      </section>
+      <aside style={cardStyle}>
+        <h3>{t('tasks.post')}</h3>
+        <PostTaskCard />
+        <div style={{ marginTop: 12 }}>
+          <TranscriptionCard small />
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+// ---------- Task search ----------
+// Filters live in the URL query string (?q=essay&subject=History&sort=budget_desc&page=2) so searches can be shared.
+const TASK_SORTS = {
+  newest: { label: 'Newest', compare: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) },
+  budget_desc: { label: 'Budget: high to low', compare: (a, b) => (Number(b.budget) || 0) - (Number(a.budget) || 0) },
+  budget_asc: { label: 'Budget: low to high', compare: (a, b) => (Number(a.budget) || 0) - (Number(b.budget) || 0) },
+  deadline: { label: 'Deadline: soonest', compare: (a, b) => (dueTimestamp(a) || Infinity) - (dueTimestamp(b) || Infinity) },
+  bids: { label: 'Most bids', compare: (a, b, bidCounts) => (bidCounts[b.id] || 0) - (bidCounts[a.id] || 0) }
+};
+const TASKS_PAGE_SIZE = 20;
+
+function readTaskFilters(params, defaults = {}) {
+  const get = key => (params.has(key) ? params.get(key) : defaults[key] || '');
+  return {
+    q: get('q'), subject: get('subject'), status: get('status'),
+    minBudget: get('minBudget'), maxBudget: get('maxBudget'), dueFrom: get('dueFrom'), dueTo: get('dueTo'),
+    sort: TASK_SORTS[get('sort')] ? get('sort') : 'newest',
+    page: Math.max(1, Number(get('page')) || 1)
+  };
+}
+
+// Pure: every word of `q` must appear in the title or description; empty filters are ignored
+function searchTasks(tasks, filters, bidCounts = {}) {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const dayStart = d => new Date(`${d}T00:00:00`).getTime();
+  const dayEnd = d => new Date(`${d}T23:59:59`).getTime();
+  const matched = tasks.filter(t => {
+    const text = `${t.title || ''} ${t.description || ''}`.toLowerCase();
+    if (words.some(w => !text.includes(w))) return false;
+    if (filters.subject && t.subject !== filters.subject) return false;
+    if (filters.status && (t.status || 'open') !== filters.status) return false;
+    const budget = Number(t.budget) || 0;
+    if (filters.minBudget && budget < parseAmount(filters.minBudget, t.currency)) return false;
+    if (filters.maxBudget && budget > parseAmount(filters.maxBudget, t.currency)) return false;
+    const due = dueTimestamp(t);
+    if ((filters.dueFrom || filters.dueTo) && due === null) return false;
+    if (filters.dueFrom && !(due >= dayStart(filters.dueFrom))) return false;
+    if (filters.dueTo && !(due <= dayEnd(filters.dueTo))) return false;
+    return true;
+  });
+  // Reverse first so tasks without createdAt keep newest-posted-first order under a stable sort
+  const compare = TASK_SORTS[filters.sort].compare;
+  return matched.reverse().sort((a, b) => compare(a, b, bidCounts));
+}
+
+function TaskFilters({ filters, onChange }) {
+  const { t } = useI18n();
+  const field = (key, props) => <input value={filters[key]} onChange={e => onChange({ [key]: e.target.value })} {...props} />;
+  return (
+    <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+      {field('q', { placeholder: t('filters.search'), style: { flex: '1 1 220px' } })}
+      <select value={filters.subject} onChange={e => onChange({ subject: e.target.value })}>
+        <option value="">{t('filters.allSubjects')}</option>
+        {SUBJECTS.map(s => <option key={s} value={s}>{s}</option>)}
+      </select>
+      <StatusFilter value={filters.status} onChange={status => onChange({ status })} />
+      <select value={filters.sort} onChange={e => onChange({ sort: e.target.value })}>
+        {Object.keys(TASK_SORTS).map(k => <option key={k} value={k}>{t(`sort.${k}`)}</option>)}
+      </select>
+      <span style={{ fontSize: 13 }}>{t('filters.budget', { currency: CURRENCY_CONFIG.base })}</span>
+      {field('minBudget', { placeholder: t('filters.min'), type: 'number', min: 0, style: { width: 80 } })}
+      {field('maxBudget', { placeholder: t('filters.max'), type: 'number', min: 0, style: { width: 80 } })}
+      <span style={{ fontSize: 13 }}>{t('filters.due')}</span>
+      {field('dueFrom', { type: 'date' })}
+      {field('dueTo', { type: 'date' })}
+    </div>
+  );
+}
+
+// `defaultStatus` applies until the user picks a status (including "All statuses") in the URL
+function TasksList({ defaultStatus = '' }) {
+  const { t } = useI18n();
+  const allTasks = useQuery('tasks');
+  const users = useQuery('users');
+  const bids = useQuery('bids');
+  const [params, setParams] = useSearchParams();
+  const filters = readTaskFilters(params, { status: defaultStatus });
+
+  function update(patch) {
+    const next = new URLSearchParams(params);
+    Object.entries(patch).forEach(([k, v]) => next.set(k, v));
+    if (!('page' in patch)) next.delete('page');
+    [...next.keys()].forEach(k => { if (next.get(k) === '' && !(k === 'status' && defaultStatus)) next.delete(k); });
+    setParams(next, { replace: true });
+  }
+
+  // Moderation: hidden tasks and tasks from suspended students stay out of public listings
+  const suspended = new Set(users.filter(u => u.suspendedAt).map(u => u.id));
+  const visible = allTasks.filter(t => !t.hiddenAt && !suspended.has(t.studentId));
+  const bidCounts = {};
+  bids.forEach(b => { if (isBidOpen(b)) bidCounts[b.taskId] = (bidCounts[b.taskId] || 0) + 1; });
+  const results = searchTasks(visible, filters, bidCounts);
+  const pages = Math.max(1, Math.ceil(results.length / TASKS_PAGE_SIZE));
+  const page = Math.min(filters.page, pages);
+  const shown = results.slice((page - 1) * TASKS_PAGE_SIZE, page * TASKS_PAGE_SIZE);
+
+  return (
+    <div style={{ display: 'grid', gap: 12 }}>
+      <TaskFilters filters={filters} onChange={update} />
+      {visible.length === 0 && <div>{t('tasks.none')}</div>}
+      {visible.length > 0 && results.length === 0 && <div>{t('tasks.noMatch')}</div>}
+      {shown.map(task => (
+        <TaskCard key={task.id} task={task} />
+      ))}
+      {results.length > TASKS_PAGE_SIZE && (
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button disabled={page <= 1} onClick={() => update({ page: String(page - 1) })}>{t('common.previous')}</button>
+          <span style={{ fontSize: 13 }}>{t('tasks.range', { from: (page - 1) * TASKS_PAGE_SIZE + 1, to: (page - 1) * TASKS_PAGE_SIZE + shown.length, total: results.length })}</span>
+          <button disabled={page >= pages} onClick={() => update({ page: String(page + 1) })}>{t('common.next')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TaskCard({ task }) {
+  const { user } = useAuth();
+  const { t, dateTime, money } = useI18n();
+  const [showBids, setShowBids] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const bids = useQuery('bids', { taskId: task.id }).filter(b => !b.hiddenAt);
+  const [showMessages, setShowMessages] = useState(false);
+  const reputationOf = useTutorReputation();
+  const isOpen = (task.status || 'open') === 'open';
+  const unread = useUnreadMessages().filter(m => m.taskId === task.id);
 
   return (
     <div style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10 }}>
       <div style={{ display: 'flex', justifyContent: 'space-between' }}>
         <div>
           <strong>{task.title}</strong>
-          <div style={{ fontSize: 12, color: '#64748b' }}>By {task.studentName} — due {task.dueDate}</div>
+          <StatusBadge status={task.status} />
+          {task.hiddenAt && <span style={{ marginLeft: 8, fontSize: 12, color: 'crimson' }}>{t('task.hidden')}</span>}
+          {user && isOpen && (task.invitations || []).some(i => i.tutorId === user.id) && <span style={{ marginLeft: 8, fontSize: 12, color: '#7c3aed' }}>{t('task.invited')}</span>}
+          <div style={{ fontSize: 12, color: '#64748b' }}>
+            {t('task.byline', { name: task.studentName, subject: task.subject ? ` · ${task.subject}` : '', due: dueTimestamp(task) ? dateTime(dueTimestamp(task)) : task.dueDate })}
+            <DeadlineBadge item={taskDeadlines(task).find(i => i.kind === 'deadline')} />
+          </div>
         </div>
         <div>
-          <strong>{task.budget ? 'KSh ' + task.budget : 'Budget: TBD'}</strong>
+          <strong>{task.budget ? money(task.budget, task.currency) : t('task.budgetTbd')}</strong>
         </div>
       </div>
       <p style={{ marginTop: 8 }}>{task.description}</p>
 
       <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-        <button onClick={() => setShowBids(s => !s)} style={{ padding: '8px 10px', borderRadius: 8 }}>{showBids ? 'Hide' : 'View'} bids ({bids.length})</button>
-        {user && user.role === 'tutor' && <BidForm task={task} />}
-        {user && user.role === 'student' && user.id === task.studentId && <AcceptBidUI task={task} />}
+        <button onClick={() => setShowBids(s => !s)} style={{ padding: '8px 10px', borderRadius: 8 }}>{t(showBids ? 'task.hideBids' : 'task.viewBids', { count: bids.length })}</button>
+        <button onClick={() => setShowHistory(s => !s)} style={{ padding: '8px 10px', borderRadius: 8 }}>{t(showHistory ? 'task.hideHistory' : 'task.showHistory')}</button>
+        {canMessage(task, user) && (
+          <button onClick={() => setShowMessages(s => !s)} style={{ padding: '8px 10px', borderRadius: 8 }}>{t(showMessages ? 'task.hideMessages' : 'task.showMessages')}{unread.length ? ` ${t('task.newMessages', { count: unread.length })}` : ''}</button>
+        )}
+        {isOpen && user && user.role === 'tutor' && <BidForm task={task} />}
+        {isOpen && user && user.role === 'student' && user.id === task.studentId && <AcceptBidUI task={task} />}
       </div>
+      <div style={{ marginTop: 8 }}><TaskActions task={task} /></div>
+      {task.acceptedBid && <div style={{ fontSize: 13, marginTop: 8 }}>{t('task.assigned', { name: task.acceptedBid.tutorName, amount: money(task.acceptedBid.amount, task.acceptedBid.currency) })}</div>}
+      {(task.milestones || []).length > 0 && <TaskMilestones task={task} />}
+
+      {canAccessTaskFiles(task, user) && <TaskFiles task={task} />}
+      {task.status === 'completed' && <TaskReviews task={task} />}
+
+      {showMessages && (
+        <div style={{ marginTop: 12 }}>
+          <h4>{t('task.messages')}</h4>
+          <TaskMessages task={task} />
+        </div>
+      )}
+
+      {showHistory && (
+        <div style={{ marginTop: 12 }}>
+          <h4>{t('task.history')}</h4>
+          <TaskHistory history={task.history} />
+        </div>
+      )}
 
       {showBids && (
         <div style={{ marginTop: 12 }}>
-          <h4>Bids</h4>
-          {bids.length === 0 && <div>No bids yet</div>}
+          <h4>{t('task.bids')}</h4>
+          {bids.length === 0 && <div>{t('task.noBids')}</div>}
           {bids.map(b => (
             <div key={b.id} style={{ borderTop: '1px dashed #e6eef6', paddingTop: 8, marginTop: 8 }}>
-              <div><strong>{b.tutorName}</strong> — KSh {b.amount}</div>
+              <div><strong>{b.tutorName}</strong> <ReputationSummary rep={reputationOf(b.tutorId)} /> — {money(b.amount, b.currency)} <BidStatusBadge bid={b} /></div>
               <div style={{ fontSize: 13 }}>{b.message}</div>
-              <div style={{ fontSize: 12, color: '#94a3b8' }}>Created {new Date(b.createdAt).toLocaleString()}</div>
+              <div style={{ fontSize: 12, color: '#94a3b8' }}>
+                {t('bid.created', { date: dateTime(b.createdAt) })}{b.expiresAt ? ` · ${t('bid.validUntil', { date: b.expiresAt })}` : ''}
+              </div>
+              <CounterOfferSummary bid={b} />
+              {isOpen && user && user.id === task.studentId && bidStatus(b) === 'active' && <CounterOfferForm bid={b} />}
             </div>
           ))}
         </div>
@@ -309,232 +2660,2987 @@ function TaskCard({ task }) {
   );
 }
 
+// A tutor's own bid on an open task: the form until they have bid, then the bid with edit / withdraw
 function BidForm({ task }) {
   const { user } = useAuth();
-  const [amount, setAmount] = useState('');
-  const [message, setMessage] = useState('');
+  const { t, money } = useI18n();
+  const mine = useQuery('bids', { taskId: task.id, tutorId: user.id }).find(b => bidStatus(b) === 'active');
+  const [editing, setEditing] = useState(false);
+  const [err, setErr] = useState(null);
+
+  async function withdraw() {
+    if (!window.confirm(t('bid.withdrawConfirm'))) return;
+    try {
+      await withdrawBid(mine.id, user);
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  if (mine && !editing) {
+    return (
+      <div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 14 }}>
+          {t('bid.yours')} <strong>{money(mine.amount, mine.currency)}</strong>
+          <button onClick={() => setEditing(true)} style={{ padding: '6px 10px', borderRadius: 8 }}>{t('common.edit')}</button>
+          <button onClick={withdraw} style={{ padding: '6px 10px', borderRadius: 8 }}>{t('bid.withdraw')}</button>
+        </div>
+        <CounterOfferSummary bid={mine} respond />
+        <FieldError error={err} />
+      </div>
+    );
+  }
+  return <BidEditor task={task} bid={editing ? mine : null} onDone={() => setEditing(false)} />;
+}
+
+// Places a new bid, or edits `bid` when given
+function BidEditor({ task, bid, onDone }) {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const currency = task.currency || CURRENCY_CONFIG.base;
+  const [form, setForm] = useState({ amount: bid ? String(toMajor(bid.amount, currency)) : '', message: bid ? bid.message || '' : '', expiresAt: bid ? bid.expiresAt || '' : '' });
+  const [errors, setErrors] = useState({});
+  const [sent, setSent] = useState(false);
+  const set = key => e => setForm(f => ({ ...f, [key]: e.target.value }));
 
-  function submitBid() {
-    if (!user) { alert('Please login as a tutor to bid'); return; }
-    const db = getDB();
-    const bid = { id: 'b_' + Date.now(), taskId: task.id, tutorId: user.id, tutorName: user.name, amount: Number(amount), message, createdAt: Date.now() };
-    db.bids.push(bid); saveDB(db);
-    alert('Bid submitted');
-    setAmount(''); setMessage('');
+  async function submitBid() {
+    setSent(false);
+    const draft = { amount: parseAmount(form.amount, currency), currency, message: form.message.trim(), expiresAt: form.expiresAt || null };
+    const problems = validate('bids', draft);
+    if (Object.keys(problems).length) { setErrors(problems); return; }
+    try {
+      if (bid) await editBid(bid.id, user, draft);
+      else await placeBid(task, user, draft);
+    } catch (error) {
+      setErrors(fieldErrorsOf(error));
+      return;
+    }
+    setErrors({});
+    if (bid) { onDone(); return; }
+    setSent(true);
+    setForm({ amount: '', message: '', expiresAt: '' });
   }
 
   return (
-    <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-      <input placeholder="Amount (KSh)" value={amount} onChange={e => setAmount(e.target.value)} style={{ width: 120 }} />
-      <input placeholder="Short message" value={message} onChange={e => setMessage(e.target.value)} />
-      <button onClick={submitBid} style={{ padding: '8px 10px', borderRadius: 8 }}>Bid</button>
+    <div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <input type="number" min="1" step="any" placeholder={t('bid.amount', { currency })} value={form.amount} onChange={set('amount')} style={{ width: 120 }} />
+        <input placeholder={t('bid.message')} maxLength={SCHEMAS.bids.message.maxLength} value={form.message} onChange={set('message')} />
+        <label style={{ fontSize: 13 }}>{t('bid.validUntilLabel')} <input type="date" min={todayISO()} value={form.expiresAt} onChange={set('expiresAt')} /></label>
+        <button onClick={submitBid} style={{ padding: '8px 10px', borderRadius: 8 }}>{t(bid ? 'bid.save' : 'bid.submit')}</button>
+        {bid && <button onClick={onDone} style={{ padding: '8px 10px', borderRadius: 8 }}>{t('common.cancel')}</button>}
+      </div>
+      {['form', 'amount', 'message', 'expiresAt'].map(field => <FieldError key={field} error={errors[field]} />)}
+      {sent && <div style={{ color: '#15803d', fontSize: 12 }}>{t('bid.submitted')}</div>}
     </div>
   );
 }
 
 function AcceptBidUI({ task }) {
+  const { user } = useAuth();
+  const { t, money } = useI18n();
   const [selected, setSelected] = useState(null);
-  const db = getDB();
-  const bids = db.bids.filter(b => b.taskId === task.id);
+  const bids = useQuery('bids', { taskId: task.id }).filter(isBidOpen);
+  const reputationOf = useTutorReputation();
 
-  function accept(bid) {
-    // In production: create an escrow/payment session and notify tutor
-    const db2 = getDB();
-    const t = db2.tasks.find(t => t.id === task.id);
-    t.acceptedBid = bid;
-    db2.payments.push({ id: 'p_' + Date.now(), taskId: task.id, amount: bid.amount, studentPaid: false, createdAt: Date.now() });
-    saveDB(db2);
-    alert('Bid accepted. Payment pending (prototype).');
+  async function accept(bid) {
+    try {
+      await acceptBid(task, bid, user);
+      alert(t('accept.done'));
+    } catch (error) {
+      alert(error.message);
+    }
   }
 
   return (
     <div>
       <select onChange={e => setSelected(e.target.value)} defaultValue="">
-        <option value="">Choose bid to accept</option>
-        {bids.map(b => <option key={b.id} value={b.id}>{b.tutorName} — KSh {b.amount}</option>)}
+        <option value="">{t('accept.choose')}</option>
+        {bids.map(b => <option key={b.id} value={b.id}>{b.tutorName} ({reputationText(reputationOf(b.tutorId))}) — {money(b.amount, b.currency)}</option>)}
       </select>
       <button onClick={() => {
         const b = bids.find(x => x.id === selected);
-        if (!b) return alert('Select a bid first');
+        if (!b) return alert(t('accept.selectFirst'));
         accept(b);
-      }} style={{ marginLeft: 8 }}>Accept</button>
+      }} style={{ marginLeft: 8 }}>{t('accept.button')}</button>
     </div>
   );
 }
 
 function PostTaskCard() {
   const { user } = useAuth();
-  const [form, setForm] = useState({ title: '', description: '', dueDate: '', budget: '' });
+  const [form, setForm] = useState({ title: '', description: '', subject: '', dueDate: '', dueTime: '', budget: '' });
+  const [milestones, setMilestones] = useState({});
+  const [briefFiles, setBriefFiles] = useState([]);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [errors, setErrors] = useState({});
+  const [posted, setPosted] = useState(false);
+  const [transcriptId, setTranscriptId] = useState('');
+  const transcripts = useQuery('transcripts', { userId: user ? user.id : '' });
+  const set = key => e => setForm(f => ({ ...f, [key]: e.target.value }));
+
+  function pickBrief(e) {
+    const picked = Array.from(e.target.files);
+    const problem = picked.map(checkUpload).find(Boolean);
+    setErrors(errs => ({ ...errs, brief: problem || null }));
+    if (problem) { setFileInputKey(k => k + 1); return; }
+    setBriefFiles(picked);
+  }
 
-  function submit() {
-    if (!user || user.role !== 'student') { alert('Please login as a student to post tasks'); return; }
-    const db = getDB();
-    const task = { id: 't_' + Date.now(), title: form.title, description: form.description, studentId: user.id, studentName: user.name, dueDate: form.dueDate, budget: form.budget };
-    db.tasks.push(task); saveDB(db);
-    alert('Task posted');
-    setForm({ title: '', description: '', dueDate: '', budget: '' });
+  async function submit() {
+    setPosted(false);
+    if (!user || user.role !== 'student') { setErrors({ form: 'Please login as a student to post tasks' }); return; }
+    const deadline = !form.dueDate ? null : form.dueTime ? new Date(`${form.dueDate}T${form.dueTime}`).getTime() : dueTimestamp({ dueDate: form.dueDate });
+    const draft = {
+      title: form.title.trim(), description: form.description.trim(), subject: form.subject, dueDate: form.dueDate, deadline,
+      budget: parseAmount(form.budget), currency: CURRENCY_CONFIG.base,
+      milestones: Object.keys(MILESTONE_KINDS).filter(kind => milestones[kind]).map(kind => ({
+        kind, dueDate: milestones[kind].dueDate, amount: parseAmount(milestones[kind].amount),
+        status: 'pending', submittedAt: null, approvedAt: null
+      }))
+    };
+    const problems = validate('tasks', draft);
+    if (!problems.milestones && draft.milestones.some(m => FORMATS.futureDate(m.dueDate))) problems.milestones = 'Milestones must be due today or later';
+    if (Object.keys(problems).length) { setErrors(problems); return; }
+    const now = Date.now();
+    try {
+      const task = await repo.tasks.insert({
+        ...draft, studentId: user.id, studentName: user.name,
+        status: 'open', tutorId: null, createdAt: now, history: [{ from: null, to: 'open', by: user.id, byRole: 'student', at: now, note: '' }]
+      });
+      for (const file of briefFiles) await uploadTaskFile(task, file, user, { kind: 'brief' });
+      const transcript = transcripts.find(t => t.id === transcriptId);
+      if (transcript) await uploadTaskFile(task, transcriptFile(transcript, 'docx'), user, { kind: 'brief', note: 'Transcript' });
+    } catch (error) {
+      setErrors(fieldErrorsOf(error));
+      return;
+    }
+    setErrors({}); setPosted(true);
+    setForm({ title: '', description: '', subject: '', dueDate: '', dueTime: '', budget: '' });
+    setMilestones({});
+    setBriefFiles([]);
+    setTranscriptId('');
+    setFileInputKey(k => k + 1);
   }
 
   return (
     <div>
-      <input placeholder="Title" value={form.title} onChange={e => setForm(f => ({ ...f, title: e.target.value }))} />
-      <textarea placeholder="Description" value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} />
-      <input placeholder="Due date (YYYY-MM-DD)" value={form.dueDate} onChange={e => setForm(f => ({ ...f, dueDate: e.target.value }))} />
-      <input placeholder="Budget (KSh)" value={form.budget} onChange={e => setForm(f => ({ ...f, budget: e.target.value }))} />
+      <FieldError error={errors.form} />
+      <input placeholder="Title" maxLength={SCHEMAS.tasks.title.maxLength} value={form.title} onChange={set('title')} />
+      <FieldError error={errors.title} />
+      <textarea placeholder="Description" maxLength={SCHEMAS.tasks.description.maxLength} value={form.description} onChange={set('description')} />
+      <FieldError error={errors.description} />
+      <select value={form.subject} onChange={set('subject')}>
+        <option value="">Subject</option>
+        {SUBJECTS.map(s => <option key={s} value={s}>{s}</option>)}
+      </select>
+      <FieldError error={errors.subject} />
+      <label style={{ display: 'block', fontSize: 13 }}>
+        Due date <input type="date" min={todayISO()} value={form.dueDate} onChange={set('dueDate')} />
+        {' '}time <input type="time" value={form.dueTime} onChange={set('dueTime')} title="Defaults to the end of the day" />
+      </label>
+      <FieldError error={errors.dueDate || errors.deadline} />
+      <input type="number" min="1" step="any" placeholder={`Budget (${CURRENCY_CONFIG.base})`} value={form.budget} onChange={set('budget')} />
+      <FieldError error={errors.budget} />
+      <MilestoneFields value={milestones} onChange={setMilestones} maxDate={form.dueDate} />
+      <FieldError error={errors.milestones} />
+      <label style={{ display: 'block', fontSize: 13, marginTop: 8 }}>
+        Brief attachments (optional)
+        <input key={fileInputKey} type="file" multiple accept={FILE_LIMITS.accept} onChange={pickBrief} />
+      </label>
+      <FieldError error={errors.brief} />
+      {transcripts.length > 0 && (
+        <label style={{ display: 'block', fontSize: 13, marginTop: 8 }}>
+          Attach a saved transcript{' '}
+          <select value={transcriptId} onChange={e => setTranscriptId(e.target.value)}>
+            <option value="">None</option>
+            {transcripts.map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
+          </select>
+        </label>
+      )}
       <div style={{ marginTop: 8 }}>
         <button onClick={submit} style={{ padding: '8px 12px', borderRadius: 8 }}>Post Task</button>
+        {posted && <span style={{ color: '#15803d', fontSize: 13, marginLeft: 8 }}>Task posted</span>}
       </div>
     </div>
   );
 }
 
+// Students see the tasks they posted, tutors the tasks assigned to them
 function MyTasks() {
   const { user } = useAuth();
-  const [tasks, setTasks] = useState(() => getDB().tasks.filter(t => t.studentId === (user ? user.id : '')));
-  useEffect(() => { setTasks(getDB().tasks.filter(t => t.studentId === user.id)); }, [user]);
+  const [status, setStatus] = useState('');
+  const mine = useQuery('tasks', user.role === 'tutor' ? { tutorId: user.id } : { studentId: user.id });
+  const tasks = mine.filter(t => !status || t.status === status);
   return (
     <div>
       <h2>My Tasks</h2>
-      {tasks.length === 0 && <div>You have no tasks yet</div>}
+      <div style={{ marginBottom: 12 }}><StatusFilter value={status} onChange={setStatus} /></div>
+      {tasks.length === 0 && <div>{status ? 'No tasks with this status' : 'You have no tasks yet'}</div>}
       {tasks.map(t => <TaskCard key={t.id} task={t} />)}
     </div>
   );
 }
 
+// Tutors start from tasks that still accept bids
 function BrowseTasksForTutors() {
-  const [tasks, setTasks] = useState(() => getDB().tasks || []);
-  useEffect(() => { setTasks(getDB().tasks || []); }, []);
   return (
     <div>
       <h2>Browse Tasks</h2>
-      <TasksList />
+      <TasksList defaultStatus="open" />
     </div>
   );
 }
 
-// ---------- Payments (Prototype) ----------
-function PaymentsPage() {
-  const { user } = useAuth();
-  const [payments, setPayments] = useState(() => getDB().payments.filter(p => {
-    const db = getDB();
-    const t = db.tasks.find(x => x.id === p.taskId);
-    if (!t) return false;
-    return user.role === 'student' ? t.studentId === user.id : true;
-  }));
+// ---------- Tutor profiles & directory ----------
+// Profiles are stored on the user record (users.profile); sample work is kept in `files` with kind 'sample' and
+// an ownerId instead of a taskId. /tutors filters live in the URL like the task list.
+const SAMPLE_WORK_LIMIT = 5;
+const TUTOR_SORTS = {
+  rating: { label: 'Top rated', compare: (a, b) => (b.rep.average || 0) - (a.rep.average || 0) || b.rep.count - a.rep.count },
+  reviews: { label: 'Most reviewed', compare: (a, b) => b.rep.count - a.rep.count },
+  rate_asc: { label: 'Lowest per-page rate', compare: (a, b) => (a.profile.pageRate || Infinity) - (b.profile.pageRate || Infinity) },
+  completed: { label: 'Most tasks completed', compare: (a, b) => b.rep.completed - a.rep.completed }
+};
 
-  function pay(payment) {
-    // In production: call server to create Stripe session and redirect
-    const db = getDB();
-    const p = db.payments.find(x => x.id === payment.id);
-    p.studentPaid = true; p.paidAt = Date.now(); saveDB(db);
-    setPayments(prev => prev.map(x => x.id === p.id ? p : x));
-    alert('Marked as paid (prototype). In production, integrate Stripe Checkout or Payment Intents.');
-  }
+function readTutorFilters(params) {
+  const get = key => params.get(key) || '';
+  return { q: get('q'), subject: get('subject'), minRating: get('minRating'), sort: TUTOR_SORTS[get('sort')] ? get('sort') : 'rating' };
+}
 
-  return (
-    <div>
-      <h2>Payments</h2>
-      {payments.length === 0 && <div>No pending payments</div>}
-      {payments.map(p => {
-        const db = getDB();
-        const task = db.tasks.find(t => t.id === p.taskId) || {};
-        return (
-          <div key={p.id} style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10, marginTop: 8 }}>
-            <div>Task: <strong>{task.title}</strong></div>
-            <div>Amount: KSh {p.amount}</div>
-            <div>Status: {p.studentPaid ? `Paid ${new Date(p.paidAt).toLocaleString()}` : 'Pending'}</div>
-            {!p.studentPaid && user.role === 'student' && <button onClick={() => pay(p)} style={{ marginTop: 8 }}>Pay (prototype)</button>}
-          </div>
-        );
-      })}
+// Pure: `tutors` are { ...user, profile, rep } rows; suspended tutors should already be excluded
+function searchTutors(tutors, filters) {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const matched = tutors.filter(t => {
+    const text = `${t.name} ${t.profile.bio || ''} ${(t.profile.subjects || []).join(' ')} ${(t.profile.languages || []).join(' ')}`.toLowerCase();
+    if (words.some(w => !text.includes(w))) return false;
+    if (filters.subject && !(t.profile.subjects || []).includes(filters.subject)) return false;
+    if (filters.minRating && !((t.rep.average || 0) >= Number(filters.minRating))) return false;
+    return true;
+  });
+  return matched.sort(TUTOR_SORTS[filters.sort].compare);
+}
 
-      <div style={{ marginTop: 12 }}>
-        <h3>Stripe integration notes</h3>
-        <p>To integrate real payments:
-          <ol>
-            <li>Implement a server endpoint /api/create-checkout-session that uses your Stripe secret key to create a Checkout session.</li>
-            <li>Redirect the student to the session.url returned by Stripe.</li>
-            <li>Use webhooks to listen for successful payment and mark the task as paid.</li>
-          </ol>
-        </p>
-      </div>
-    </div>
-  );
+async function uploadSampleWork(user, file) {
+  const problem = checkUpload(file);
+  if (problem) throw new Error(problem);
+  const existing = await repo.files.query({ ownerId: user.id, kind: 'sample' });
+  if (existing.length >= SAMPLE_WORK_LIMIT) throw new Error(`You can show at most ${SAMPLE_WORK_LIMIT} samples`);
+  const blobKey = newId('blob');
+  await blobStore.put(blobKey, file);
+  return repo.files.insert({
+    taskId: null, ownerId: user.id, kind: 'sample', version: null, name: file.name, type: file.type, size: file.size, blobKey, note: '',
+    uploadedBy: user.id, uploaderName: user.name, uploadedAt: Date.now()
+  });
 }
 
-// ---------- Transcription UI (browser demo + upload) ----------
-function TranscriptionCard({ small }) {
-  return (
-    <div style={{ padding: 12, borderRadius: 8, background: '#f1f5f9' }}>
-      <h4 style={{ marginTop: 0 }}>Quick Transcription</h4>
-      <p style={{ marginTop: 0, fontSize: 13 }}>Use your browser mic or upload an audio file. This demo uses the Web Speech API; for production, send audio to a server that calls a transcription provider.</p>
-      <TranscriptionTool small={small} />
-    </div>
-  );
+async function inviteTutor(task, tutor, user, message) {
+  if (task.studentId !== user.id) throw new Error('You can only invite tutors to your own tasks');
+  if ((task.status || 'open') !== 'open') throw new Error('This task is no longer open');
+  if (tutor.role !== 'tutor' || tutor.suspendedAt) throw new Error('This tutor is not available');
+  const invitations = task.invitations || [];
+  if (invitations.some(i => i.tutorId === tutor.id)) throw new Error(`${tutor.name} is already invited to this task`);
+  await repo.tasks.update(task.id, { invitations: [...invitations, { tutorId: tutor.id, tutorName: tutor.name, message, at: Date.now() }] });
+  await publish('bid.invited', { task, tutorId: tutor.id, message });
 }
 
-function TranscriptionTool({ small }) {
-  const [listening, setListening] = useState(false);
-  const [text, setText] = useState('');
-  const [fileResult, setFileResult] = useState('');
-  const [status, setStatus] = useState('idle');
+// Comma-separated text <-> list, for the languages field
+const splitList = text => text.split(',').map(x => x.trim()).filter(Boolean);
+
+function ProfileForm() {
+  const { user, updateProfile } = useAuth();
+  const { t } = useI18n();
+  const isTutor = user.role === 'tutor';
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saved, setSaved] = useState(false);
 
-  // Browser speech recognition (not supported in all browsers)
   useEffect(() => {
-    let recognition;
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) return;
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    recognition = new SpeechRecognition();
-    recognition.lang = 'en-KE';
-    recognition.interimResults = true;
-    recognition.onresult = (e) => {
-      const transcript = Array.from(e.results).map(r => r[0].transcript).join('');
-      setText(transcript);
-    };
-    recognition.onend = () => setListening(false);
-    if (listening) recognition.start();
-    return () => { try { recognition.stop(); } catch (e) {} };
-  }, [listening]);
+    repo.users.get(user.id).then(u => {
+      const p = (u && u.profile) || {};
+      setForm({
+        name: u.name, subjects: p.subjects || [], level: p.level || '', languages: (p.languages || []).join(', '),
+        hourlyRate: p.hourlyRate ? String(toMajor(p.hourlyRate, p.currency)) : '', pageRate: p.pageRate ? String(toMajor(p.pageRate, p.currency)) : '',
+        bio: p.bio || '', availability: p.availability || '', acceptingWork: p.acceptingWork !== false, institution: p.institution || ''
+      });
+    });
+  }, [user.id]);
+  if (!form) return null;
 
-  function toggleMic() { setListening(s => !s); }
+  const set = key => e => { setForm(f => ({ ...f, [key]: e.target.value })); setSaved(false); };
+  const toggleSubject = subject => setForm(f => ({ ...f, subjects: f.subjects.includes(subject) ? f.subjects.filter(x => x !== subject) : [...f.subjects, subject] }));
 
-  async function handleFile(e) {
-    const file = e.target.files[0];
-    if (!file) return;
-    setStatus('uploading');
-    // In production: upload to your server -> call provider (Whisper/AssemblyAI/etc.)
-    // This demo will just show file name
-    setTimeout(() => { setFileResult(`Received ${file.name} (${Math.round(file.size/1024)} KB). Send to server for real transcription.`); setStatus('done'); }, 800);
+  async function submit(e) {
+    e.preventDefault();
+    const profile = isTutor
+      ? {
+        subjects: form.subjects, level: form.level || null, languages: splitList(form.languages), hourlyRate: parseAmount(form.hourlyRate),
+        pageRate: parseAmount(form.pageRate), currency: CURRENCY_CONFIG.base, bio: form.bio.trim(), availability: form.availability.trim(), acceptingWork: form.acceptingWork
+      }
+      : { institution: form.institution.trim(), level: form.level || null };
+    try {
+      await updateProfile({ name: form.name, profile });
+      setErrors({});
+      setSaved(true);
+    } catch (error) {
+      setErrors(fieldErrorsOf(error));
+    }
   }
 
+  const levelLabel = t(isTutor ? 'profile.levelTutor' : 'profile.levelStudent');
   return (
-    <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
-      <div style={{ display: 'flex', gap: 8 }}>
-        <button onClick={toggleMic} style={{ padding: '8px 10px', borderRadius: 8 }}>{listening ? 'Stop mic' : 'Start mic'}</button>
-        <input type="file" accept="audio/*" onChange={handleFile} />
+    <form onSubmit={submit} noValidate style={{ display: 'flex', flexDirection: 'column', gap: 8, maxWidth: 520 }}>
+      <FieldError error={errors.form} />
+      <label style={{ fontSize: 13 }}>{t('profile.name')} <input value={form.name} maxLength={SCHEMAS.users.name.maxLength} onChange={set('name')} /></label>
+      <FieldError error={errors.name} />
+      <label style={{ fontSize: 13 }}>
+        {levelLabel}{' '}
+        <select value={form.level} onChange={set('level')}>
+          <option value="">—</option>
+          {ACADEMIC_LEVELS.map(l => <option key={l} value={l}>{l}</option>)}
+        </select>
+      </label>
+      <FieldError error={errors.level} />
+      {!isTutor && (
+        <>
+          <label style={{ fontSize: 13 }}>{t('profile.institution')} <input value={form.institution} maxLength={SCHEMAS.studentProfile.institution.maxLength} onChange={set('institution')} /></label>
+          <FieldError error={errors.institution} />
+        </>
+      )}
+      {isTutor && (
+        <>
+          <fieldset style={{ fontSize: 13 }}>
+            <legend>{t('profile.subjects', { max: SCHEMAS.tutorProfile.subjects.maxItems })}</legend>
+            {SUBJECTS.map(subject => (
+              <label key={subject} style={{ marginRight: 12, whiteSpace: 'nowrap' }}>
+                <input type="checkbox" checked={form.subjects.includes(subject)} onChange={() => toggleSubject(subject)} /> {subject}
+              </label>
+            ))}
+          </fieldset>
+          <FieldError error={errors.subjects} />
+          <label style={{ fontSize: 13 }}>{t('profile.languages')} <input placeholder="English, Kiswahili" value={form.languages} onChange={set('languages')} /></label>
+          <FieldError error={errors.languages} />
+          <div style={{ display: 'flex', gap: 8 }}>
+            <label style={{ fontSize: 13 }}>{t('profile.hourlyRate', { currency: CURRENCY_CONFIG.base })} <input type="number" min="1" step="any" value={form.hourlyRate} onChange={set('hourlyRate')} style={{ width: 110 }} /></label>
+            <label style={{ fontSize: 13 }}>{t('profile.pageRate', { currency: CURRENCY_CONFIG.base })} <input type="number" min="1" step="any" value={form.pageRate} onChange={set('pageRate')} style={{ width: 110 }} /></label>
+          </div>
+          <FieldError error={errors.hourlyRate} />
+          <FieldError error={errors.pageRate} />
+          <textarea placeholder={t('profile.bio')} rows={5} maxLength={SCHEMAS.tutorProfile.bio.maxLength} value={form.bio} onChange={set('bio')} />
+          <FieldError error={errors.bio} />
+          <input placeholder={t('profile.availability')} maxLength={SCHEMAS.tutorProfile.availability.maxLength} value={form.availability} onChange={set('availability')} />
+          <FieldError error={errors.availability} />
+          <label style={{ fontSize: 13 }}>
+            <input type="checkbox" checked={form.acceptingWork} onChange={e => setForm(f => ({ ...f, acceptingWork: e.target.checked }))} /> {t('profile.accepting')}
+          </label>
+        </>
+      )}
+      <div>
+        <button type="submit" style={{ padding: '8px 12px', borderRadius: 8 }}>{t('profile.save')}</button>
+        {saved && <span style={{ color: '#15803d', fontSize: 13, marginLeft: 8 }}>{t('common.saved')}</span>}
       </div>
+    </form>
+  );
+}
+
+function SampleWork({ tutorId, editable }) {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const samples = useQuery('files', { ownerId: tutorId, kind: 'sample' });
+  const [err, setErr] = useState(null);
+  const [inputKey, setInputKey] = useState(0);
+
+  async function add(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    setErr(null);
+    try {
+      await uploadSampleWork(user, file);
+    } catch (error) {
+      setErr(error.message);
+    }
+    setInputKey(k => k + 1);
+  }
+
+  async function remove(file) {
+    if (!window.confirm(t('profile.removeSample', { name: file.name }))) return;
+    await blobStore.remove(file.blobKey);
+    await repo.files.remove(file.id);
+  }
+
+  return (
+    <div style={{ fontSize: 13 }}>
+      {samples.length === 0 && <div style={{ color: '#64748b' }}>{t('profile.noSamples')}</div>}
+      <ul style={{ margin: '4px 0', paddingLeft: 18 }}>
+        {samples.map(f => (
+          <FileRow key={f.id} file={f} action={editable && <button onClick={() => remove(f)} style={{ fontSize: 12, marginLeft: 8 }}>{t('common.remove')}</button>} />
+        ))}
+      </ul>
+      {editable && samples.length < SAMPLE_WORK_LIMIT && <input key={inputKey} type="file" accept={FILE_LIMITS.accept} onChange={add} />}
+      <FieldError error={err} />
+    </div>
+  );
+}
+
+// Public: tutors with their profile and reputation, searchable by subject and rating
+function useTutorRows() {
+  const users = useQuery('users', { role: 'tutor' });
+  const reputationOf = useTutorReputation();
+  return users.filter(u => !u.suspendedAt).map(u => ({ id: u.id, name: u.name, profile: u.profile || {}, rep: reputationOf(u.id) }));
+}
+
+function TutorDirectory() {
+  const { money } = useI18n();
+  const [params, setParams] = useSearchParams();
+  const filters = readTutorFilters(params);
+  const tutors = useTutorRows();
+  const results = searchTutors(tutors, filters);
+
+  function update(patch) {
+    const next = new URLSearchParams(params);
+    Object.entries(patch).forEach(([k, v]) => (v ? next.set(k, v) : next.delete(k)));
+    setParams(next, { replace: true });
+  }
+
+  return (
+    <section style={cardStyle}>
+      <h2>Tutors</h2>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 12 }}>
+        <input placeholder="Search name, bio, languages" value={filters.q} onChange={e => update({ q: e.target.value })} />
+        <select value={filters.subject} onChange={e => update({ subject: e.target.value })}>
+          <option value="">All subjects</option>
+          {SUBJECTS.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={filters.minRating} onChange={e => update({ minRating: e.target.value })}>
+          <option value="">Any rating</option>
+          {[4.5, 4, 3].map(r => <option key={r} value={r}>{r}★ and up</option>)}
+        </select>
+        <select value={filters.sort} onChange={e => update({ sort: e.target.value })}>
+          {Object.entries(TUTOR_SORTS).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+        </select>
+      </div>
+      {tutors.length > 0 && results.length === 0 && <div>No tutors match these filters</div>}
+      {tutors.length === 0 && <div>No tutors have joined yet</div>}
+      <div style={{ display: 'grid', gap: 12 }}>
+        {results.map(t => (
+          <div key={t.id} style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <div>
+                <Link to={`/tutors/${t.id}`}><strong>{t.name}</strong></Link>
+                {t.profile.level && <span style={{ fontSize: 12, color: '#64748b' }}> · {t.profile.level}</span>}
+                {t.profile.acceptingWork === false && <span style={{ fontSize: 12, color: '#b45309' }}> · not taking new work</span>}
+                <div><ReputationSummary rep={t.rep} /></div>
+              </div>
+              <div style={{ fontSize: 13, textAlign: 'right' }}>
+                {t.profile.pageRate && <div>{money(t.profile.pageRate, t.profile.currency)} / page</div>}
+                {t.profile.hourlyRate && <div>{money(t.profile.hourlyRate, t.profile.currency)} / hour</div>}
+              </div>
+            </div>
+            {(t.profile.subjects || []).length > 0 && <div style={{ fontSize: 12, marginTop: 4 }}>{t.profile.subjects.join(' · ')}</div>}
+            {t.profile.bio && <p style={{ fontSize: 13, margin: '6px 0 0' }}>{t.profile.bio.length > 220 ? `${t.profile.bio.slice(0, 220)}…` : t.profile.bio}</p>}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function TutorPage() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const { money } = useI18n();
+  const tutor = useTutorRows().find(t => t.id === id);
+  const [loaded, setLoaded] = useState(false);
+  useEffect(() => { repo.users.query({ role: 'tutor' }).then(() => setLoaded(true)); }, []);
+
+  if (!tutor) return loaded ? <div style={cardStyle}><h2>Tutor not found</h2><Link to="/tutors">Back to tutors</Link></div> : null;
+  const p = tutor.profile;
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 320px', gap: 20 }}>
+      <section style={cardStyle}>
+        <Link to="/tutors">← Tutors</Link>
+        <h2 style={{ marginBottom: 4 }}>{tutor.name}</h2>
+        <ReputationSummary rep={tutor.rep} />
+        <p style={{ whiteSpace: 'pre-wrap' }}>{p.bio || 'This tutor has not written a bio yet.'}</p>
+        <h3>Sample work</h3>
+        <SampleWork tutorId={tutor.id} />
+        <h3>Reviews</h3>
+        <TutorReviews tutorId={tutor.id} />
+      </section>
+      <aside style={cardStyle}>
+        <div style={{ fontSize: 14, display: 'grid', gap: 6 }}>
+          <div><strong>Subjects:</strong> {(p.subjects || []).join(', ') || '—'}</div>
+          <div><strong>Academic level:</strong> {p.level || '—'}</div>
+          <div><strong>Languages:</strong> {(p.languages || []).join(', ') || '—'}</div>
+          <div><strong>Rates:</strong> {[p.pageRate && `${money(p.pageRate, p.currency)} / page`, p.hourlyRate && `${money(p.hourlyRate, p.currency)} / hour`].filter(Boolean).join(', ') || '—'}</div>
+          <div><strong>Availability:</strong> {p.availability || '—'}{p.acceptingWork === false ? ' (not taking new work)' : ''}</div>
+        </div>
+        {user && user.role === 'student' && (
+          <div style={{ marginTop: 16 }}>
+            <h4>Invite to bid</h4>
+            <InviteToBid tutor={tutor} />
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+function InviteToBid({ tutor }) {
+  const { user } = useAuth();
+  const tasks = useQuery('tasks', { studentId: user.id })
+    .filter(t => (t.status || 'open') === 'open' && !(t.invitations || []).some(i => i.tutorId === tutor.id));
+  const [taskId, setTaskId] = useState('');
+  const [message, setMessage] = useState('');
+  const [msg, setMsg] = useState(null);
+
+  async function invite() {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) { setMsg({ error: true, text: 'Choose one of your open tasks' }); return; }
+    try {
+      await inviteTutor(task, { ...tutor, role: 'tutor' }, user, message.trim());
+      setMsg({ text: `${tutor.name} has been invited to bid on "${task.title}"` });
+      setTaskId(''); setMessage('');
+    } catch (error) {
+      setMsg({ error: true, text: error.message });
+    }
+  }
+
+  if (tasks.length === 0) return <div style={{ fontSize: 13, color: '#64748b' }}>You have no open tasks to invite {tutor.name} to. <Link to="/tasks">Post a task</Link></div>;
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+      <select value={taskId} onChange={e => setTaskId(e.target.value)}>
+        <option value="">Choose a task</option>
+        {tasks.map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
+      </select>
+      <textarea placeholder="Message (optional)" rows={3} maxLength={SCHEMAS.bids.message.maxLength} value={message} onChange={e => setMessage(e.target.value)} />
+      <button onClick={invite} style={{ alignSelf: 'flex-start' }}>Send invitation</button>
+      {msg && <div style={{ fontSize: 13, color: msg.error ? 'crimson' : '#15803d' }}>{msg.text}</div>}
+    </div>
+  );
+}
+
+// ---------- Bid management ----------
+// A tutor holds at most one active bid per task. Bids go active -> accepted | rejected | withdrawn, and an
+// active bid past its "valid until" date reads as expired. The student may counter an active bid; the tutor
+// accepts (the bid takes the counter amount) or declines.
+const BID_STATUS = {
+  active: { label: 'Active', color: '#2563eb' },
+  accepted: { label: 'Accepted', color: '#15803d' },
+  rejected: { label: 'Not selected', color: '#64748b' },
+  withdrawn: { label: 'Withdrawn', color: '#94a3b8' },
+  expired: { label: 'Expired', color: '#b45309' }
+};
+
+function bidStatus(bid, now = Date.now()) {
+  const status = bid.status || 'active';
+  return status === 'active' && bid.expiresAt && dueTimestamp({ dueDate: bid.expiresAt }) < now ? 'expired' : status;
+}
+const isBidOpen = bid => !bid.hiddenAt && bidStatus(bid) === 'active';
+const pendingCounter = bid => (bid.counterOffer && bid.counterOffer.status === 'pending' ? bid.counterOffer : null);
+
+async function placeBid(task, user, draft) {
+  if (!user || user.role !== 'tutor') throw new Error('Please login as a tutor to bid');
+  if ((task.status || 'open') !== 'open') throw new Error('This task is no longer accepting bids');
+  const mine = await repo.bids.query({ taskId: task.id, tutorId: user.id });
+  if (mine.some(b => bidStatus(b) === 'active')) throw new Error('You already have an active bid on this task; edit it instead');
+  const bid = await repo.bids.insert({ taskId: task.id, tutorId: user.id, tutorName: user.name, ...draft, status: 'active', counterOffer: null, createdAt: Date.now() });
+  await publish('bid.created', { task, bid });
+  return bid;
+}
+
+async function activeOwnBid(bidId, user) {
+  const bid = await repo.bids.get(bidId);
+  if (!bid || bid.tutorId !== user.id) throw new Error('Bid not found');
+  if (bidStatus(bid) !== 'active') throw new Error(`This bid is ${BID_STATUS[bidStatus(bid)].label.toLowerCase()}`);
+  return bid;
+}
+
+async function editBid(bidId, user, draft) {
+  const bid = await activeOwnBid(bidId, user);
+  return repo.bids.update(bid.id, { ...draft, updatedAt: Date.now() });
+}
+
+async function withdrawBid(bidId, user) {
+  const bid = await activeOwnBid(bidId, user);
+  const updated = await repo.bids.update(bid.id, { status: 'withdrawn', decidedAt: Date.now() });
+  const task = await repo.tasks.get(bid.taskId);
+  if (task) await publish('bid.withdrawn', { task, bid });
+  return updated;
+}
+
+async function counterBid(bidId, user, { amount, message }) {
+  const bid = await repo.bids.get(bidId);
+  const task = bid && (await repo.tasks.get(bid.taskId));
+  if (!task || task.studentId !== user.id) throw new Error('Only the task owner can counter a bid');
+  if ((task.status || 'open') !== 'open' || bidStatus(bid) !== 'active') throw new Error('This bid can no longer be countered');
+  const errors = validate('bids', { amount, currency: bid.currency, message });
+  if (Object.keys(errors).length) throw validationError(errors);
+  await repo.bids.update(bid.id, { counterOffer: { amount, message, status: 'pending', at: Date.now() } });
+  await publish('bid.countered', { task, bid, amount });
+}
+
+async function answerCounter(bidId, user, accept) {
+  const bid = await activeOwnBid(bidId, user);
+  if (!pendingCounter(bid)) throw new Error('There is no pending counter-offer');
+  const counterOffer = { ...bid.counterOffer, status: accept ? 'accepted' : 'declined', answeredAt: Date.now() };
+  const updated = await repo.bids.update(bid.id, accept ? { counterOffer, amount: counterOffer.amount, updatedAt: Date.now() } : { counterOffer });
+  const task = await repo.tasks.get(bid.taskId);
+  if (task) await publish('bid.counter_answered', { task, bid: updated, accepted: accept });
+  return updated;
+}
+
+// Assigns the tutor, opens the escrow payment and turns down the other active bids
+async function acceptBid(task, bid, user) {
+  if (!isBidOpen(bid)) throw new Error('This bid is no longer active');
+  // Milestone payments come out of the escrow, which holds the bid amount rather than the budget
+  const committed = milestoneTotal(task.milestones);
+  if (committed > bid.amount) throw new Error(`The milestone payments (${formatMoney(committed, task.currency)}) add up to more than this bid`);
+  await transitionTask(task.id, 'in_progress', user, { patch: { acceptedBid: bid, tutorId: bid.tutorId }, note: `Accepted bid from ${bid.tutorName}` });
+  await repo.bids.update(bid.id, { status: 'accepted', decidedAt: Date.now() });
+  await repo.payments.insert({ kind: 'escrow', taskId: task.id, studentId: task.studentId, tutorId: bid.tutorId, amount: bid.amount, currency: bid.currency || CURRENCY_CONFIG.base, status: 'pending', studentPaid: false, createdAt: Date.now() });
+  await publish('bid.accepted', { task, bid });
+  await rejectOpenBids(task, bid.id);
+}
+
+async function rejectOpenBids(task, keepId) {
+  const others = (await repo.bids.query({ taskId: task.id })).filter(b => b.id !== keepId && bidStatus(b) === 'active');
+  for (const b of others) {
+    await repo.bids.update(b.id, { status: 'rejected', decidedAt: Date.now() });
+    await publish('bid.rejected', { task, bid: b });
+  }
+}
+
+function BidStatusBadge({ bid }) {
+  const s = BID_STATUS[bidStatus(bid)];
+  return <span style={{ marginLeft: 8, fontSize: 12, padding: '2px 8px', borderRadius: 999, color: 'white', background: s.color }}>{s.label}</span>;
+}
+
+// Pass `respond` on the tutor's side to show accept / decline for a pending counter-offer
+function CounterOfferSummary({ bid, respond }) {
+  const { user } = useAuth();
+  const { money } = useI18n();
+  const [err, setErr] = useState(null);
+  const offer = bid.counterOffer;
+  if (!offer) return null;
+
+  async function answer(accept) {
+    try {
+      await answerCounter(bid.id, user, accept);
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  return (
+    <div style={{ fontSize: 13, marginTop: 4 }}>
+      Counter-offer: <strong>{money(offer.amount, bid.currency)}</strong>{offer.message ? ` — "${offer.message}"` : ''} ({offer.status})
+      {respond && pendingCounter(bid) && bidStatus(bid) === 'active' && (
+        <>
+          <button onClick={() => answer(true)} style={{ marginLeft: 8 }}>Accept</button>
+          <button onClick={() => answer(false)} style={{ marginLeft: 8 }}>Decline</button>
+        </>
+      )}
+      <FieldError error={err} />
+    </div>
+  );
+}
+
+function CounterOfferForm({ bid }) {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ amount: '', message: '' });
+  const [errors, setErrors] = useState({});
+
+  async function submit() {
+    try {
+      await counterBid(bid.id, user, { amount: parseAmount(form.amount, bid.currency), message: form.message.trim() });
+      setOpen(false);
+      setForm({ amount: '', message: '' });
+      setErrors({});
+    } catch (error) {
+      setErrors(fieldErrorsOf(error));
+    }
+  }
+
+  if (!open) return <button onClick={() => setOpen(true)} style={{ marginTop: 4, fontSize: 12 }}>{pendingCounter(bid) ? 'Change counter-offer' : 'Counter-offer'}</button>;
+  return (
+    <div style={{ marginTop: 4 }}>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <input type="number" min="1" step="any" placeholder={`Your price (${bid.currency || CURRENCY_CONFIG.base})`} value={form.amount} onChange={e => setForm(f => ({ ...f, amount: e.target.value }))} style={{ width: 130 }} />
+        <input placeholder="Note (optional)" maxLength={SCHEMAS.bids.message.maxLength} value={form.message} onChange={e => setForm(f => ({ ...f, message: e.target.value }))} />
+        <button onClick={submit}>Send</button>
+        <button onClick={() => setOpen(false)}>Cancel</button>
+      </div>
+      {['form', 'amount', 'message'].map(field => <FieldError key={field} error={errors[field]} />)}
+    </div>
+  );
+}
+
+// Tutors: every bid they have placed, newest first, with the same edit / withdraw / counter-offer actions
+function MyBids() {
+  const { user } = useAuth();
+  const { money } = useI18n();
+  const [status, setStatus] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const bids = useQuery('bids', { tutorId: user.id });
+  const tasks = useQuery('tasks');
+  const taskOf = id => tasks.find(t => t.id === id);
+  const shown = bids.filter(b => !status || bidStatus(b) === status).sort((a, b) => b.createdAt - a.createdAt);
+  const invitedTo = tasks.filter(t => (t.status || 'open') === 'open' && !t.hiddenAt && (t.invitations || []).some(i => i.tutorId === user.id)
+    && !bids.some(b => b.taskId === t.id && bidStatus(b) === 'active'));
+
+  async function withdraw(bid) {
+    if (!window.confirm('Withdraw this bid?')) return;
+    try {
+      await withdrawBid(bid.id, user);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div>
+      <h2>My Bids</h2>
+      {invitedTo.length > 0 && (
+        <div style={{ marginBottom: 16 }}>
+          <h3>Invitations</h3>
+          <div style={{ display: 'grid', gap: 12 }}>{invitedTo.map(t => <TaskCard key={t.id} task={t} />)}</div>
+        </div>
+      )}
+      <select value={status} onChange={e => setStatus(e.target.value)} style={{ marginBottom: 12 }}>
+        <option value="">All statuses</option>
+        {Object.entries(BID_STATUS).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+      </select>
+      {shown.length === 0 && <div>{status ? 'No bids with this status' : "You haven't bid on any tasks yet"}</div>}
+      {shown.length > 0 && (
+        <table style={tableStyle}>
+          <thead><tr><th style={cellStyle}>Task</th><th style={cellStyle}>Bid</th><th style={cellStyle}>Status</th><th style={cellStyle} /></tr></thead>
+          <tbody>
+            {shown.map(b => {
+              const task = taskOf(b.taskId);
+              const active = bidStatus(b) === 'active';
+              return (
+                <tr key={b.id}>
+                  <td style={cellStyle}>
+                    {task ? task.title : '(deleted task)'}
+                    {task && <StatusBadge status={task.status} />}
+                    {task && <div style={{ fontSize: 12, color: '#64748b' }}>Due {task.dueDate}{task.budget ? ` · budget ${money(task.budget, task.currency)}` : ''}</div>}
+                  </td>
+                  <td style={cellStyle}>
+                    {editingId === b.id && task ? (
+                      <BidEditor task={task} bid={b} onDone={() => setEditingId(null)} />
+                    ) : (
+                      <>
+                        {money(b.amount, b.currency)}
+                        <div style={{ fontSize: 12, color: '#64748b' }}>{b.message}{b.expiresAt ? ` · valid until ${b.expiresAt}` : ''}</div>
+                        <CounterOfferSummary bid={b} respond />
+                      </>
+                    )}
+                  </td>
+                  <td style={cellStyle}><BidStatusBadge bid={b} /></td>
+                  <td style={cellStyle}>
+                    {active && editingId !== b.id && task && <button onClick={() => setEditingId(b.id)}>Edit</button>}
+                    {active && <button onClick={() => withdraw(b)} style={{ marginLeft: 8 }}>Withdraw</button>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ---------- Task files & deliverables ----------
+// Briefs are attached by the student; deliverables are numbered versions submitted by the assigned tutor.
+// Only those two people (and admins) see download links.
+const FILE_LIMITS = {
+  maxBytes: 20 * 1024 * 1024,
+  types: {
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.oasis.opendocument.text': '.odt',
+    'application/rtf': '.rtf',
+    'text/plain': '.txt',
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'application/zip': '.zip'
+  }
+};
+FILE_LIMITS.accept = Object.values(FILE_LIMITS.types).join(',') + ',.jpeg';
+
+// Returns an error message, or null when the file may be uploaded
+function checkUpload(file) {
+  const ext = '.' + file.name.split('.').pop().toLowerCase();
+  const allowed = Object.values(FILE_LIMITS.types);
+  if (!FILE_LIMITS.types[file.type] && !allowed.includes(ext === '.jpeg' ? '.jpg' : ext)) return `${file.name}: file type not allowed`;
+  if (file.size > FILE_LIMITS.maxBytes) return `${file.name}: larger than ${FILE_LIMITS.maxBytes / (1024 * 1024)} MB`;
+  return null;
+}
+
+function canAccessTaskFiles(task, user) {
+  return !!user && (user.id === task.studentId || (task.tutorId && user.id === task.tutorId) || user.role === 'admin');
+}
+
+async function uploadTaskFile(task, file, user, { kind, note = '' }) {
+  const problem = checkUpload(file);
+  if (problem) throw new Error(problem);
+  // The API server numbers deliverables itself; this count is for the browser backends
+  const existing = kind === 'deliverable' ? await repo.files.query({ taskId: task.id, kind }) : [];
+  const blobKey = newId('blob');
+  await blobStore.put(blobKey, file);
+  const saved = await repo.files.insert({
+    taskId: task.id, kind, version: kind === 'deliverable' ? existing.length + 1 : null,
+    name: file.name, type: file.type, size: file.size, blobKey, note,
+    uploadedBy: user.id, uploaderName: user.name, uploadedAt: Date.now()
+  });
+  // The API server indexes files itself when it runs a check
+  if (!ORIGINALITY_CONFIG.server) await indexFileText(saved, file);
+  return saved;
+}
+
+// Undoes uploadTaskFile() when the step it was for fails, so no orphan deliverable is left behind
+async function discardTaskFile(file) {
+  const texts = ORIGINALITY_CONFIG.server ? [] : await repo.document_texts.query({ fileId: file.id });
+  for (const doc of texts) {
+    if (doc.textKey) await blobStore.remove(doc.textKey);
+    await repo.document_texts.remove(doc.id);
+  }
+  await blobStore.remove(file.blobKey);
+  await repo.files.remove(file.id);
+}
+
+async function downloadTaskFile(file) {
+  const blob = await blobStore.get(file.blobKey);
+  if (!blob) { alert('This file is no longer available'); return; }
+  saveBlobAs(blob, file.name);
+}
+
+function saveBlobAs(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function FileRow({ file, action }) {
+  const { dateTime } = useI18n();
+  return (
+    <li>
+      <button onClick={() => downloadTaskFile(file)} style={{ background: 'none', border: 'none', color: '#2563eb', padding: 0, cursor: 'pointer' }}>
+        {file.version ? `v${file.version} — ` : ''}{file.name}
+      </button>
+      <span style={{ color: '#64748b' }}> ({Math.round(file.size / 1024)} KB) by {file.uploaderName}, {dateTime(file.uploadedAt)}</span>
+      {action}
+      {file.note && <div style={{ fontSize: 12 }}>{file.note}</div>}
+    </li>
+  );
+}
+
+function TaskFiles({ task }) {
+  const { user } = useAuth();
+  const files = useQuery('files', { taskId: task.id });
+  const briefs = files.filter(f => f.kind === 'brief');
+  const deliverables = files.filter(f => f.kind === 'deliverable').sort((a, b) => b.version - a.version);
+  const canSubmit = user.id === task.tutorId && ['in_progress', 'revision_requested'].includes(task.status);
+  if (briefs.length === 0 && deliverables.length === 0 && !canSubmit) return null;
+
+  return (
+    <div style={{ marginTop: 12, fontSize: 13 }}>
+      {briefs.length > 0 && (
+        <>
+          <h4 style={{ margin: '4px 0' }}>Brief</h4>
+          <ul style={{ margin: 0 }}>{briefs.map(f => <FileRow key={f.id} file={f} />)}</ul>
+        </>
+      )}
+      {(deliverables.length > 0 || canSubmit) && <h4 style={{ margin: '8px 0 4px' }}>Deliverables</h4>}
+      {deliverables.length > 0 && <ul style={{ margin: 0 }}>{deliverables.map(f => <FileRow key={f.id} file={f} action={<OriginalityReport file={f} />} />)}</ul>}
+      {canSubmit && <DeliverableForm task={task} />}
+    </div>
+  );
+}
+
+// Submitting a version runs the originality check, then moves the task to Delivered so the student can review it
+function DeliverableForm({ task }) {
+  const { user } = useAuth();
+  const [file, setFile] = useState(null);
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!file) return;
+    setBusy(true);
+    try {
+      const saved = await uploadTaskFile(task, file, user, { kind: 'deliverable', note });
+      try {
+        await transitionTask(task.id, 'delivered', user, { note: `Submitted v${saved.version}${note ? `: ${note}` : ''}` });
+      } catch (error) {
+        await discardTaskFile(saved).catch(err => console.error(`Could not remove ${saved.name}`, err));
+        throw error;
+      }
+      setBusy('checking');
+      await checkOriginality(task, saved);
+      setFile(null);
+      setNote('');
+      e.target.reset();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, flexWrap: 'wrap' }}>
+      <input type="file" accept={FILE_LIMITS.accept} onChange={e => setFile(e.target.files[0] || null)} required />
+      <input placeholder="Notes for the student" value={note} onChange={e => setNote(e.target.value)} />
+      <button type="submit" disabled={busy} style={{ padding: '8px 10px', borderRadius: 8 }}>{busy === 'checking' ? 'Checking originality…' : busy ? 'Uploading…' : 'Submit deliverable'}</button>
+    </form>
+  );
+}
+
+// ---------- Originality checks ----------
+// Extraction and comparison live in writely_originality.mjs. Each brief and deliverable's text is extracted once into
+// the blob store, with a document_texts record pointing at it (textKey); a submitted deliverable's result is stored
+// in originality_reports and flagged for admins at or above PLATFORM_CONFIG.originalityThreshold percent. On the
+// http backend the API server runs the check, since only it can read every other task's files.
+const ORIGINALITY_CONFIG = { server: STORAGE_CONFIG.backend === 'http', apiBase: STORAGE_CONFIG.apiBase };
+const ORIGINALITY_REVIEW = { cleared: 'Cleared by a moderator', confirmed: 'Confirmed by a moderator as copied work' };
+
+// Never throws: a file we can't read is recorded as 'unsupported' or 'failed' so uploads aren't blocked, and null is
+// returned when even that record can't be stored
+async function indexFileText(file, blob) {
+  let text = null;
+  let status = 'done';
+  try {
+    const extracted = await extractText(await blob.arrayBuffer(), file.name);
+    if (extracted === null) status = 'unsupported';
+    else text = extracted.slice(0, ORIGINALITY_SETTINGS.maxChars);
+  } catch (err) {
+    console.error(`Could not read text from ${file.name}`, err);
+    status = 'failed';
+  }
+  try {
+    const textKey = text === null ? null : `text-${file.id}`;
+    if (textKey) await blobStore.put(textKey, new Blob([text], { type: 'text/plain' }));
+    return await repo.document_texts.insert({ fileId: file.id, taskId: file.taskId, kind: file.kind, name: file.name, textKey, status, extractedAt: Date.now() });
+  } catch (err) {
+    console.error(`Could not store the text of ${file.name}`, err);
+    return null;
+  }
+}
+
+// Records from schema v13 kept the text inline
+async function documentText(doc) {
+  if (!doc.textKey) return doc.text || '';
+  const blob = await blobStore.get(doc.textKey);
+  return blob ? blob.text() : '';
+}
+
+// Briefs, deliverables and descriptions of every other task. Files uploaded before text indexing are indexed here.
+async function originalitySources(task) {
+  const files = (await repo.files.query({})).filter(f => f.taskId && f.taskId !== task.id && (f.kind === 'brief' || f.kind === 'deliverable'));
+  const indexed = new Map((await repo.document_texts.query({})).map(d => [d.fileId, d]));
+  for (const file of files.filter(f => !indexed.has(f.id))) {
+    const blob = await blobStore.get(file.blobKey);
+    if (blob) indexed.set(file.id, await indexFileText(file, blob));
+  }
+  const sources = [];
+  for (const doc of files.map(f => indexed.get(f.id)).filter(d => d && d.status === 'done')) {
+    const text = await documentText(doc);
+    if (text) sources.push({ id: doc.fileId, taskId: doc.taskId, kind: doc.kind, name: doc.name, text });
+  }
+  const others = (await repo.tasks.query({})).filter(t => t.id !== task.id && t.description);
+  return [...sources, ...others.map(t => ({ id: t.id, taskId: t.id, kind: 'description', name: `Description of "${t.title}"`, text: t.description }))];
+}
+
+// Never throws: failures are recorded on the report so the submission goes through. On the http backend the server
+// runs the same check (POST /api/originality-checks) and notifies the admins itself.
+async function checkOriginality(task, file) {
+  if (ORIGINALITY_CONFIG.server) {
+    try {
+      return await apiClient(ORIGINALITY_CONFIG.apiBase)('POST', '/originality-checks', { fileId: file.id });
+    } catch (error) {
+      console.error('Originality check failed', error);
+      return null;
+    } finally {
+      repo.refresh('originality_reports', 'document_texts');
+    }
+  }
+  await platformConfigLoaded;
+  const base = {
+    taskId: task.id, fileId: file.id, version: file.version, tutorId: file.uploadedBy,
+    threshold: PLATFORM_CONFIG.originalityThreshold, createdAt: Date.now(), review: null
+  };
+  try {
+    const [doc] = await repo.document_texts.query({ fileId: file.id });
+    const text = doc && doc.status === 'done' ? await documentText(doc) : null;
+    if (!checkableText(text)) return await repo.originality_reports.insert({ ...base, ...NO_FINDINGS, status: 'unsupported' });
+    const report = await repo.originality_reports.insert({ ...base, ...originalityFindings(text, await originalitySources(task), base.threshold) });
+    if (report.flagged) await publish('originality.flagged', { task, report, admins: await repo.users.query({ role: 'admin' }) });
+    return report;
+  } catch (error) {
+    console.error('Originality check failed', error);
+    return repo.originality_reports.insert({ ...base, ...NO_FINDINGS, status: 'failed' });
+  }
+}
+
+const SOURCE_KIND_LABELS = { brief: 'brief', deliverable: 'submission', description: 'task description' };
+const similarityColor = report => (report.flagged ? '#dc2626' : report.similarity >= report.threshold / 2 ? '#d97706' : '#15803d');
+
+// Inline on a deliverable row: the similarity, expandable to the submission with matching passages highlighted
+function OriginalityReport({ file }) {
+  const [report] = useQuery('originality_reports', { fileId: file.id });
+  const [open, setOpen] = useState(false);
+  if (!report) return null;
+  if (report.status !== 'done') {
+    return <span style={{ marginLeft: 8, fontSize: 12, color: '#94a3b8' }}>{report.status === 'failed' ? 'Originality check failed' : 'Originality: no readable text'}</span>;
+  }
+  return (
+    <>
+      <button onClick={() => setOpen(o => !o)} style={{ marginLeft: 8, fontSize: 12, color: similarityColor(report), background: 'none', border: 'none', padding: 0, cursor: 'pointer' }}>
+        {report.similarity}% similar{report.flagged ? ' · flagged for review' : ''}
+      </button>
+      {report.review && <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 600 }}>{ORIGINALITY_REVIEW[report.review.outcome]}</span>}
+      {open && <OriginalityDetail report={report} />}
+    </>
+  );
+}
+
+function OriginalityDetail({ report }) {
+  const [doc] = useQuery('document_texts', { fileId: report.fileId });
+  const [text, setText] = useState(null);
+  useEffect(() => {
+    let live = true;
+    if (doc) documentText(doc).then(t => { if (live) setText(t); }, () => {});
+    return () => { live = false; };
+  }, [doc]);
+  const sourceName = id => {
+    const s = report.sources.find(x => x.id === id);
+    return s ? `${s.name} (${SOURCE_KIND_LABELS[s.kind]} on another task)` : 'another document';
+  };
+  const pieces = [];
+  if (text) {
+    let at = 0;
+    report.passages.forEach((p, i) => {
+      if (p.start > at) pieces.push(text.slice(at, p.start));
+      pieces.push(<mark key={i} title={`Also in: ${p.sourceIds.map(sourceName).join('; ')}`} style={{ background: '#fde68a' }}>{text.slice(p.start, p.end)}</mark>);
+      at = p.end;
+    });
+    pieces.push(text.slice(at));
+  }
+
+  return (
+    <div style={{ border: '1px solid #e6eef6', borderRadius: 8, padding: 8, margin: '6px 0' }}>
+      <div>
+        {report.similarity}% of {report.words} words match other documents on the platform
+        {report.flagged ? ` (review threshold ${report.threshold}%)` : ''}.
+      </div>
+      {report.sources.length > 0 && (
+        <ul style={{ margin: '4px 0', paddingLeft: 18 }}>
+          {report.sources.map(s => <li key={s.id}>{s.similarity}% — {sourceName(s.id)}</li>)}
+        </ul>
+      )}
+      {report.review && report.review.note && <div style={{ fontSize: 12 }}>Moderator note: {report.review.note}</div>}
+      {text && report.passages.length > 0 && (
+        <div style={{ whiteSpace: 'pre-wrap', maxHeight: 300, overflow: 'auto', fontSize: 12, background: '#f8fafc', padding: 8, marginTop: 6 }}>{pieces}</div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Reviews & reputation ----------
+// Once a task is completed its student and assigned tutor may each review the other, once.
+// A tutor's reputation is derived from their tasks and the reviews students left them.
+async function submitReview(task, user, { rating, text }) {
+  const role = taskActorRole(task, user);
+  if (task.status !== 'completed') throw new Error('Reviews open once the task is completed');
+  if (role !== 'student' && role !== 'tutor') throw new Error('Only the student and assigned tutor can review this task');
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) throw new Error('Choose a rating from 1 to 5 stars');
+  const existing = await repo.reviews.query({ taskId: task.id, reviewerId: user.id });
+  if (existing.length) throw new Error('You have already reviewed this task');
+  return repo.reviews.insert({
+    taskId: task.id, reviewerId: user.id, reviewerName: user.name, reviewerRole: role,
+    revieweeId: role === 'student' ? task.tutorId : task.studentId, rating: value, text: text.trim(), createdAt: Date.now()
+  });
+}
+
+const NO_REPUTATION = { average: null, count: 0, completed: 0, completionRate: null, onTimeRate: null };
+
+// Pure: every tutor's average rating, review count, completion rate and on-time delivery rate, indexed by tutor id in
+// one pass. Only completed and cancelled tasks count as finished; a disputed task may still go either way.
+function tutorReputations({ tasks, reviews }) {
+  const tally = new Map();
+  const of = id => {
+    if (!tally.has(id)) tally.set(id, { ratings: [], completed: 0, cancelled: 0, timed: 0, onTime: 0 });
+    return tally.get(id);
+  };
+  reviews.filter(r => r.reviewerRole === 'student').forEach(r => of(r.revieweeId).ratings.push(r.rating));
+  tasks.filter(t => t.tutorId).forEach(t => {
+    if (t.status === 'cancelled') of(t.tutorId).cancelled += 1;
+    if (t.status !== 'completed') return;
+    const entry = of(t.tutorId);
+    const due = dueTimestamp(t);
+    const delivered = (t.history || []).find(h => h.to === 'delivered');
+    entry.completed += 1;
+    if (due && delivered) {
+      entry.timed += 1;
+      if (delivered.at <= due) entry.onTime += 1;
+    }
+  });
+  return new Map([...tally].map(([id, e]) => [id, {
+    average: e.ratings.length ? Math.round((e.ratings.reduce((sum, r) => sum + r, 0) / e.ratings.length) * 10) / 10 : null,
+    count: e.ratings.length,
+    completed: e.completed,
+    completionRate: e.completed + e.cancelled ? e.completed / (e.completed + e.cancelled) : null,
+    onTimeRate: e.timed ? e.onTime / e.timed : null
+  }]));
+}
+
+// Tasks and reviews are read and indexed once for the whole app; every card and list looks tutors up in the result
+const ReputationContext = createContext(() => NO_REPUTATION);
+
+function ReputationProvider({ children }) {
+  const tasks = useQuery('tasks');
+  const reviews = useQuery('reviews');
+  const index = tutorReputations({ tasks, reviews });
+  return <ReputationContext.Provider value={tutorId => index.get(tutorId) || NO_REPUTATION}>{children}</ReputationContext.Provider>;
+}
+
+function useTutorReputation() { return useContext(ReputationContext); }
+
+const stars = n => '★'.repeat(Math.round(n)) + '☆'.repeat(5 - Math.round(n));
+const percent = rate => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+function reputationText(rep) {
+  return rep.count ? `${rep.average}★ from ${rep.count}` : 'no reviews yet';
+}
+
+function ReputationSummary({ rep }) {
+  if (!rep.count && !rep.completed) return <span style={{ fontSize: 12, color: '#94a3b8' }}>New tutor</span>;
+  return (
+    <span style={{ fontSize: 12, color: '#64748b' }}>
+      <span style={{ color: '#d97706' }}>{rep.count ? stars(rep.average) : ''}</span> {reputationText(rep)} · {percent(rep.completionRate)} completed · {percent(rep.onTimeRate)} on time
+    </span>
+  );
+}
+
+function TaskReviews({ task }) {
+  const { user } = useAuth();
+  const reviews = useQuery('reviews', { taskId: task.id });
+  const [form, setForm] = useState({ rating: 5, text: '' });
+  const [err, setErr] = useState(null);
+  const role = taskActorRole(task, user);
+  const canReview = (role === 'student' || role === 'tutor') && !reviews.some(r => r.reviewerId === user.id);
+
+  async function submit(e) {
+    e.preventDefault();
+    setErr(null);
+    try {
+      await submitReview(task, user, form);
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 12, fontSize: 13 }}>
+      <h4 style={{ margin: '4px 0' }}>Reviews</h4>
+      {reviews.length === 0 && <div style={{ color: '#64748b' }}>No reviews yet</div>}
+      {reviews.map(r => <ReviewItem key={r.id} review={r} />)}
+      {canReview && (
+        <form onSubmit={submit} style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 8 }}>
+          {err && <div style={{ color: 'crimson' }}>{err}</div>}
+          <label>
+            Your rating of the {role === 'student' ? 'tutor' : 'student'}{' '}
+            <select value={form.rating} onChange={e => setForm(f => ({ ...f, rating: Number(e.target.value) }))}>
+              {[5, 4, 3, 2, 1].map(n => <option key={n} value={n}>{stars(n)}</option>)}
+            </select>
+          </label>
+          <textarea placeholder="How did it go?" maxLength={SCHEMAS.reviews.text.maxLength} value={form.text} onChange={e => setForm(f => ({ ...f, text: e.target.value }))} rows={2} />
+          <button type="submit" style={{ padding: '8px 10px', borderRadius: 8, alignSelf: 'flex-start' }}>Post review</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+function ReviewItem({ review }) {
+  const { date } = useI18n();
+  return (
+    <div style={{ borderTop: '1px dashed #e6eef6', paddingTop: 6, marginTop: 6 }}>
+      <span style={{ color: '#d97706' }}>{stars(review.rating)}</span> <strong>{review.reviewerName}</strong>
+      <span style={{ color: '#94a3b8' }}> ({review.reviewerRole}) — {date(review.createdAt)}</span>
+      {review.text && <div>{review.text}</div>}
+    </div>
+  );
+}
+
+// Reviews students left for a tutor, with the aggregate reputation on top
+function TutorReviews({ tutorId }) {
+  const reputationOf = useTutorReputation();
+  const reviews = useQuery('reviews', { revieweeId: tutorId }).filter(r => r.reviewerRole === 'student').sort((a, b) => b.createdAt - a.createdAt);
+  return (
+    <div>
+      <ReputationSummary rep={reputationOf(tutorId)} />
+      {reviews.length === 0 && <div style={{ fontSize: 13, color: '#64748b' }}>No reviews yet</div>}
+      <div style={{ fontSize: 13 }}>{reviews.map(r => <ReviewItem key={r.id} review={r} />)}</div>
+    </div>
+  );
+}
+
+// ---------- Messaging ----------
+// One private thread per (task, tutor): before acceptance any tutor can ask the student questions; afterwards only
+// the accepted tutor's thread stays writable and becomes the working thread. Messages carry recipientId so unread
+// counts are a single query. Attachment bytes go to blobStore like task files; the message keeps
+// { name, type, size, blobKey } (messages from older builds carry an inline `dataUrl` instead).
+const MESSAGE_LIMITS = { maxAttachmentBytes: 5 * 1024 * 1024, maxAttachments: 3 };
+
+const threadKey = (taskId, tutorId) => `${taskId}:${tutorId}`;
+
+function canMessage(task, user) {
+  if (!user) return false;
+  if (user.id === task.studentId) return true;
+  return user.role === 'tutor' && ((task.status || 'open') === 'open' || user.id === task.tutorId);
+}
+
+function threadWritable(task, tutorId) {
+  const status = task.status || 'open';
+  if (status === 'open') return true;
+  return tutorId === task.tutorId && status !== 'cancelled' && status !== 'completed';
+}
+
+function useUnreadMessages() {
+  const { user } = useAuth();
+  return useQuery('messages', { recipientId: user ? user.id : '' }).filter(m => !m.readAt);
+}
+
+async function downloadAttachment(attachment) {
+  const blob = await blobStore.get(attachment.blobKey).catch(() => null);
+  if (!blob) { alert('This attachment is no longer available'); return; }
+  saveBlobAs(blob, attachment.name);
+}
+
+// Students pick which tutor's thread to read; tutors only ever see their own
+function TaskMessages({ task }) {
+  const { user } = useAuth();
+  const bids = useQuery('bids', { taskId: task.id });
+  const messages = useQuery('messages', { taskId: task.id });
+  const [tutorId, setTutorId] = useState(null);
+
+  if (user.id !== task.studentId) return <MessageThread task={task} tutorId={user.id} />;
+
+  const tutors = new Map();
+  bids.forEach(b => tutors.set(b.tutorId, b.tutorName));
+  messages.forEach(m => { if (!tutors.has(m.tutorId)) tutors.set(m.tutorId, m.senderId === m.tutorId ? m.senderName : m.tutorId); });
+  if (tutors.size === 0) return <div style={{ fontSize: 13 }}>Tutors' questions about this task will appear here.</div>;
+  const active = tutorId || task.tutorId || tutors.keys().next().value;
+  const unreadFrom = id => messages.filter(m => m.tutorId === id && m.recipientId === user.id && !m.readAt).length;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 8 }}>
+        {[...tutors].map(([id, name]) => (
+          <button key={id} onClick={() => setTutorId(id)} style={{ padding: '4px 10px', borderRadius: 999, fontWeight: id === active ? 700 : 400 }}>
+            {name}{id === task.tutorId ? ' (assigned)' : ''}{unreadFrom(id) ? ` • ${unreadFrom(id)}` : ''}
+          </button>
+        ))}
+      </div>
+      <MessageThread task={task} tutorId={active} />
+    </div>
+  );
+}
+
+function MessageThread({ task, tutorId }) {
+  const { user } = useAuth();
+  const { dateTime } = useI18n();
+  const messages = useQuery('messages', { threadKey: threadKey(task.id, tutorId) }).slice().sort((a, b) => a.createdAt - b.createdAt);
+  const [body, setBody] = useState('');
+  const [files, setFiles] = useState([]);
+  const [err, setErr] = useState(null);
+  const writable = threadWritable(task, tutorId);
+
+  // Opening the thread marks what was sent to me as read
+  const unreadIds = messages.filter(m => m.recipientId === user.id && !m.readAt).map(m => m.id).join(',');
+  useEffect(() => {
+    if (!unreadIds) return;
+    const now = Date.now();
+    unreadIds.split(',').forEach(id => repo.messages.update(id, { readAt: now }));
+  }, [unreadIds]);
+
+  function pickFiles(e) {
+    const picked = Array.from(e.target.files);
+    const tooBig = picked.find(f => f.size > MESSAGE_LIMITS.maxAttachmentBytes);
+    if (tooBig) { setErr(`${tooBig.name} is larger than ${MESSAGE_LIMITS.maxAttachmentBytes / (1024 * 1024)} MB`); e.target.value = ''; return; }
+    if (picked.length > MESSAGE_LIMITS.maxAttachments) { setErr(`Attach at most ${MESSAGE_LIMITS.maxAttachments} files`); e.target.value = ''; return; }
+    setErr(null);
+    setFiles(picked);
+  }
+
+  async function send(e) {
+    e.preventDefault();
+    if (!body.trim() && files.length === 0) return;
+    const form = e.target;
+    const attachments = files.map(f => ({ name: f.name, type: f.type, size: f.size, blobKey: newId('blob') }));
+    setErr(null);
+    try {
+      await Promise.all(files.map((f, i) => blobStore.put(attachments[i].blobKey, f)));
+      await repo.messages.insert({
+        taskId: task.id, tutorId, threadKey: threadKey(task.id, tutorId),
+        senderId: user.id, senderName: user.name, recipientId: user.id === tutorId ? task.studentId : tutorId,
+        body: body.trim(), attachments, createdAt: Date.now(), readAt: null
+      });
+    } catch (error) {
+      // Don't leave uploaded bytes behind for a message that was never saved
+      attachments.forEach(a => blobStore.remove(a.blobKey).catch(() => {}));
+      setErr(`Message not sent: ${error.message}`);
+      return;
+    }
+    setBody('');
+    setFiles([]);
+    form.reset();
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 6, maxHeight: 280, overflowY: 'auto', padding: 8, background: '#f8fafc', borderRadius: 8 }}>
+        {messages.length === 0 && <div style={{ fontSize: 13, color: '#64748b' }}>No messages yet</div>}
+        {messages.map(m => (
+          <div key={m.id} style={{ alignSelf: m.senderId === user.id ? 'flex-end' : 'flex-start', maxWidth: '80%', background: m.senderId === user.id ? '#dbeafe' : 'white', padding: 8, borderRadius: 8 }}>
+            <div style={{ fontSize: 12, color: '#64748b' }}>{m.senderName} — {dateTime(m.createdAt)}</div>
+            {m.body && <div style={{ whiteSpace: 'pre-wrap' }}>{m.body}</div>}
+            {(m.attachments || []).map((a, i) => (
+              <div key={i} style={{ fontSize: 13 }}>
+                {a.blobKey
+                  ? <button onClick={() => downloadAttachment(a)} style={{ background: 'none', border: 'none', color: '#2563eb', padding: 0, cursor: 'pointer' }}>📎 {a.name}</button>
+                  : <a href={a.dataUrl} download={a.name}>📎 {a.name}</a>}
+                {' '}({Math.round(a.size / 1024)} KB)
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      {writable ? (
+        <form onSubmit={send} style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 8 }}>
+          {err && <div style={{ color: 'crimson', fontSize: 13 }}>{err}</div>}
+          <textarea placeholder="Write a message" value={body} onChange={e => setBody(e.target.value)} rows={2} />
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <input type="file" multiple onChange={pickFiles} />
+            <button type="submit" style={{ padding: '8px 10px', borderRadius: 8, marginLeft: 'auto' }}>Send</button>
+          </div>
+        </form>
+      ) : (
+        <div style={{ fontSize: 13, color: '#64748b', marginTop: 8 }}>This thread is closed.</div>
+      )}
+    </div>
+  );
+}
+
+function MessagesPage() {
+  const { user } = useAuth();
+  const { dateTime } = useI18n();
+  const tasks = useQuery('tasks');
+  const sent = useQuery('messages', { senderId: user.id });
+  const received = useQuery('messages', { recipientId: user.id });
+  const [open, setOpen] = useState(null);
+
+  // Latest message per thread, newest thread first
+  const threads = new Map();
+  [...sent, ...received].forEach(m => {
+    const current = threads.get(m.threadKey);
+    if (!current || current.last.createdAt < m.createdAt) threads.set(m.threadKey, { ...(current || {}), last: m, taskId: m.taskId, tutorId: m.tutorId });
+  });
+  const list = [...threads.entries()].sort((a, b) => b[1].last.createdAt - a[1].last.createdAt);
+
+  return (
+    <div>
+      <h2>Messages</h2>
+      {list.length === 0 && <div>No conversations yet. Open a task and use "Show messages" to start one.</div>}
+      {list.map(([key, t]) => {
+        const task = tasks.find(x => x.id === t.taskId);
+        if (!task) return null;
+        const unread = received.filter(m => m.threadKey === key && !m.readAt).length;
+        return (
+          <div key={key} style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10, marginTop: 8 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', cursor: 'pointer' }} onClick={() => setOpen(open === key ? null : key)}>
+              <div>
+                <strong>{task.title}</strong>{unread ? <span style={{ marginLeft: 8, color: '#2563eb' }}>{unread} new</span> : null}
+                <div style={{ fontSize: 13, color: '#64748b' }}>{t.last.senderName}: {t.last.body || '(attachment)'}</div>
+              </div>
+              <div style={{ fontSize: 12, color: '#94a3b8' }}>{dateTime(t.last.createdAt)}</div>
+            </div>
+            {open === key && <div style={{ marginTop: 8 }}><MessageThread task={task} tutorId={t.tutorId} /></div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ---------- Notifications ----------
+// publish(type, payload) turns a domain event into notification records via NOTIFICATION_EVENTS
+// (writely_notifications.mjs). Records reach other tabs through the repository's BroadcastChannel. With the http
+// backend the server records every notification itself, from the changes it stores and its own deadline checks,
+// and emails copies to users who opt in; publish() and the deadline checks then do nothing and clients poll. The
+// browser never sends mail itself.
+const NOTIFICATION_CONFIG = {
+  server: STORAGE_CONFIG.backend === 'http',
+  deadlineCheckMs: 10 * 60 * 1000,
+  pollMs: 30 * 1000
+};
+const MAIL_CONFIG = { enabled: STORAGE_CONFIG.backend === 'http' };
+
+const NOTIFICATION_FORMAT = { money: formatMoney, deadline: formatDeadline };
+
+async function publish(type, payload) {
+  if (NOTIFICATION_CONFIG.server) return;
+  for (const item of NOTIFICATION_EVENTS[type](payload, NOTIFICATION_FORMAT)) {
+    if (!item.userId) continue;
+    // Records from before dedupe ids carry only the key
+    if (item.dedupeKey && (await repo.notifications.query({ dedupeKey: item.dedupeKey })).length) continue;
+    const record = { type, taskId: null, dedupeKey: null, ...item, createdAt: Date.now(), readAt: null };
+    try {
+      await repo.notifications.insert(item.dedupeKey ? { id: `n_${item.dedupeKey}`, ...record } : record);
+    } catch (err) {
+      if (err.code !== 'duplicate') throw err;
+    }
+  }
+}
+
+// Records a reminder for each deadline or milestone of `user`'s tasks due within the warning window, and a
+// notice once one is overdue
+async function checkDeadlines(user) {
+  const field = user.role === 'tutor' ? 'tutorId' : 'studentId';
+  const tasks = await repo.tasks.query({ [field]: user.id });
+  const now = Date.now();
+  for (const task of tasks) {
+    for (const item of taskDeadlines(task)) {
+      const state = deadlineState(item, now);
+      if (state === 'soon') await publish('deadline.approaching', { task, userId: user.id, item });
+      if (state === 'overdue') await publish('deadline.overdue', { task, userId: user.id, item });
+    }
+  }
+}
+
+// Deadline checks and the server poll run once per signed-in tab (AppShell), however many views list notifications
+function useNotificationChecks() {
+  const { user } = useAuth();
+  useEffect(() => {
+    if (!user) return;
+    const check = () => checkDeadlines(user).catch(err => console.error('Deadline check failed', err));
+    if (!NOTIFICATION_CONFIG.server) check();
+    const deadlines = NOTIFICATION_CONFIG.server ? null : setInterval(check, NOTIFICATION_CONFIG.deadlineCheckMs);
+    const poll = MAIL_CONFIG.enabled ? setInterval(() => repo.refresh('notifications'), NOTIFICATION_CONFIG.pollMs) : null;
+    return () => { clearInterval(deadlines); clearInterval(poll); };
+  }, [user]);
+}
+
+function useNotifications() {
+  const { user } = useAuth();
+  const notifications = useQuery('notifications', { userId: user ? user.id : '' });
+  return notifications.slice().sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function NotificationBadge() {
+  const unread = useNotifications().filter(n => !n.readAt).length;
+  return (
+    <Link to="/dashboard" title="Notifications" style={{ position: 'relative', textDecoration: 'none', fontSize: 18 }}>
+      🔔
+      {unread > 0 && (
+        <span style={{ position: 'absolute', top: -6, right: -10, background: 'crimson', color: 'white', borderRadius: 999, fontSize: 11, padding: '0 5px' }}>{unread > 99 ? '99+' : unread}</span>
+      )}
+    </Link>
+  );
+}
+
+function NotificationList() {
+  const { dateTime } = useI18n();
+  const notifications = useNotifications();
+  const navigate = useNavigate();
+  const unread = notifications.filter(n => !n.readAt);
+
+  const markRead = n => repo.notifications.update(n.id, { readAt: Date.now() });
+  async function open(n) {
+    if (!n.readAt) await markRead(n);
+    if (n.link) navigate(n.link);
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>Notifications{unread.length ? ` (${unread.length} unread)` : ''}</h3>
+        {unread.length > 0 && <button onClick={() => Promise.all(unread.map(markRead))}>Mark all read</button>}
+      </div>
+      {notifications.length === 0 && <p style={{ color: '#64748b' }}>Nothing yet. Bids, acceptances, payments and deadlines will show up here.</p>}
+      {notifications.map(n => (
+        <div key={n.id} onClick={() => open(n)} style={{ cursor: 'pointer', borderTop: '1px solid #e6eef6', padding: '8px 0', fontWeight: n.readAt ? 400 : 600 }}>
+          <div>{!n.readAt && <span style={{ color: '#2563eb' }}>● </span>}{n.title}</div>
+          <div style={{ fontSize: 13, fontWeight: 400, color: '#475569' }}>{n.body}</div>
+          <div style={{ fontSize: 12, fontWeight: 400, color: '#94a3b8' }}>{dateTime(n.createdAt)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function EmailPreference() {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [enabled, setEnabled] = useState(false);
+  useEffect(() => { repo.users.get(user.id).then(u => setEnabled(!!(u && u.emailNotifications))); }, [user.id]);
+
+  async function toggle(e) {
+    setEnabled(e.target.checked);
+    await repo.users.update(user.id, { emailNotifications: e.target.checked });
+  }
+
+  return (
+    <label style={{ display: 'block', margin: '8px 0' }}>
+      <input type="checkbox" checked={enabled} onChange={toggle} /> {t('prefs.emailCopy')}
+      {!MAIL_CONFIG.enabled && <span style={{ fontSize: 12, color: '#64748b' }}> {t('prefs.needsMailer')}</span>}
+    </label>
+  );
+}
+
+// ---------- Payments ----------
+// Checkout runs through the API server's provider adapters (M-Pesa, Stripe, mock); the payment only changes state
+// when the provider's verified webhook reaches the server, so this page just starts checkouts and polls.
+// Browser-only backends (the static demo included) have no server, so they offer a simulated provider instead.
+const PAYMENTS_CONFIG = {
+  apiBase: STORAGE_CONFIG.apiBase,
+  enabled: STORAGE_CONFIG.backend === 'http',
+  pollMs: 5000
+};
+const SIMULATED_PROVIDER = 'simulated';
+const PROVIDER_LABELS = { mpesa: 'M-Pesa', stripe: 'Card (Stripe)', mock: 'Mock provider (dev)', [SIMULATED_PROVIDER]: 'Simulated payment (no server)' };
+
+// The browser-side counterpart of the server's applyWebhookEvent(): pending -> processing -> paid, posting the
+// 'fund' transaction (student:<id> -> escrow:<taskId>)
+async function fundEscrowLocally(payment) {
+  await repo.payments.update(payment.id, { status: 'processing', provider: SIMULATED_PROVIDER, checkoutStartedAt: Date.now() });
+  try {
+    await postTransaction('fund', { paymentId: payment.id, taskId: payment.taskId }, [
+      { account: `student:${payment.studentId}`, amount: -payment.amount },
+      { account: `escrow:${payment.taskId}`, amount: payment.amount }
+    ]);
+  } catch (err) {
+    await repo.payments.update(payment.id, { status: 'failed' });
+    throw err;
+  }
+  await repo.payments.update(payment.id, { status: 'paid', studentPaid: true, paidAt: Date.now() });
+  const task = await repo.tasks.get(payment.taskId);
+  if (task) await publish('payment.changed', { task, change: 'funded', amount: payment.amount });
+}
+
+async function startCheckout(payment, provider, phone) {
+  if (provider === SIMULATED_PROVIDER) {
+    await fundEscrowLocally(payment);
+    return {};
+  }
+  const res = await fetch(`${PAYMENTS_CONFIG.apiBase}/checkout`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ paymentId: payment.id, provider, phone })
+  });
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || `Checkout failed (${res.status})`);
+  return body;
+}
+
+function usePaymentProviders() {
+  const [providers, setProviders] = useState(PAYMENTS_CONFIG.enabled ? [] : [SIMULATED_PROVIDER]);
+  useEffect(() => {
+    if (!PAYMENTS_CONFIG.enabled) return;
+    fetch(`${PAYMENTS_CONFIG.apiBase}/payment-providers`).then(r => r.json()).then(setProviders).catch(() => setProviders([]));
+  }, []);
+  return providers;
+}
+
+function PaymentsPage() {
+  const { user } = useAuth();
+  const { t, dateTime, money } = useI18n();
+  const allPayments = useQuery('payments');
+  const tasks = useQuery('tasks');
+  const entries = useQuery('ledger');
+  const providers = usePaymentProviders();
+  const payments = allPayments.filter(p => p.kind === 'escrow' && (user.role === 'student' ? p.studentId === user.id : p.tutorId === user.id));
+  const awaitingWebhook = payments.some(p => p.status === 'processing');
+
+  useEffect(() => {
+    if (!awaitingWebhook) return;
+    const timer = setInterval(() => repo.refresh('payments', 'ledger'), PAYMENTS_CONFIG.pollMs);
+    return () => clearInterval(timer);
+  }, [awaitingWebhook]);
+
+  return (
+    <div>
+      <h2>{t('payments.title')}</h2>
+      {user.role === 'tutor' && <TutorEarnings payouts={allPayments.filter(p => p.kind === 'payout' && p.tutorId === user.id)} entries={entries} />}
+      {payments.length === 0 && <div>{t('payments.none')}</div>}
+      {payments.map(p => {
+        const task = tasks.find(t => t.id === p.taskId) || {};
+        const canPay = user.role === 'student' && !p.cancelledAt && (p.status === 'pending' || p.status === 'failed');
+        return (
+          <div key={p.id} style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10, marginTop: 8 }}>
+            <div>{t('payments.task')}: <strong>{task.title}</strong></div>
+            <div>{t('payments.amount')}: {money(p.amount, p.currency)}</div>
+            <div>{t('payments.status')}: {escrowStatus(p, entries)}{p.studentPaid ? ` — ${t('payments.paidAt', { date: dateTime(p.paidAt) })}` : ''}</div>
+            {canPay && <CheckoutForm payment={p} providers={providers} />}
+          </div>
+        );
+      })}
+
+      {user.role !== 'admin' && <StatementPanel entries={entries} tasks={tasks} />}
+
+      <div style={{ marginTop: 12 }}>
+        <h3>Payment provider notes</h3>
+        {!PAYMENTS_CONFIG.enabled && <p>Payments are simulated in the browser. Real providers need the API server: run <code>node writely_local_server.mjs</code> and set localStorage <code>writely_storage</code> to <code>http</code>.</p>}
+        <ol>
+          <li>M-Pesa (Daraja STK push): set MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE, MPESA_PASSKEY and MPESA_CALLBACK_TOKEN on the server.</li>
+          <li>Stripe Checkout: set STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET, and point a Stripe webhook at PUBLIC_URL/webhooks/stripe.</li>
+          <li>Without keys, the mock provider on port 4010 lets you pay, decline or replay webhooks locally.</li>
+        </ol>
+      </div>
+    </div>
+  );
+}
+
+function CheckoutForm({ payment, providers }) {
+  const { t } = useI18n();
+  const [provider, setProvider] = useState('');
+  const [phone, setPhone] = useState('');
+  const [msg, setMsg] = useState(null);
+  const chosen = provider || providers[0];
+
+  async function pay() {
+    setMsg(null);
+    try {
+      const result = await startCheckout(payment, chosen, phone);
+      repo.refresh('payments');
+      if (result.redirectUrl) window.location.assign(result.redirectUrl);
+      else setMsg({ text: result.message || t(chosen === SIMULATED_PROVIDER ? 'checkout.simulated' : 'checkout.started') });
+    } catch (error) {
+      setMsg({ error: true, text: error.message });
+    }
+  }
+
+  if (providers.length === 0) return <div style={{ fontSize: 13, color: '#64748b', marginTop: 8 }}>{t('checkout.unavailable')}</div>;
+  return (
+    <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, flexWrap: 'wrap' }}>
+      <select value={chosen} onChange={e => setProvider(e.target.value)}>
+        {providers.map(p => <option key={p} value={p}>{PROVIDER_LABELS[p] || p}</option>)}
+      </select>
+      {chosen === 'mpesa' && <input placeholder={t('checkout.phone')} value={phone} onChange={e => setPhone(e.target.value)} style={{ width: 160 }} />}
+      <button onClick={pay}>{t(payment.status === 'failed' ? 'checkout.retry' : 'checkout.pay')}</button>
+      {msg && <div style={{ width: '100%', fontSize: 13, color: msg.error ? 'crimson' : '#15803d' }}>{msg.text}</div>}
+    </div>
+  );
+}
+
+function TutorEarnings({ payouts, entries }) {
+  const { user } = useAuth();
+  const { t, dateTime, money } = useI18n();
+  const [amount, setAmount] = useState('');
+  const available = balanceOf(entries, `tutor:${user.id}`);
+  const pending = balanceOf(entries, `payout_pending:${user.id}`);
+  const earned = roundMoney(entries.filter(e => e.account === `tutor:${user.id}` && e.amount > 0).reduce((sum, e) => sum + e.amount, 0));
+
+  async function submit() {
+    try {
+      await requestPayout(user.id, parseAmount(amount));
+      setAmount('');
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10 }}>
+      <h3 style={{ marginTop: 0 }}>{t('earnings.title')}</h3>
+      <div>{t('earnings.available')}: <strong>{money(available)}</strong></div>
+      <div>{t('earnings.pending')}: {money(pending)}</div>
+      <div style={{ fontSize: 13, color: '#64748b' }}>{t('earnings.total', { rate: PLATFORM_CONFIG.commissionRate * 100, amount: money(earned) })}</div>
+      <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+        <input placeholder={t('earnings.amount', { currency: CURRENCY_CONFIG.base })} value={amount} onChange={e => setAmount(e.target.value)} style={{ width: 160 }} />
+        <button onClick={submit} disabled={available <= 0}>{t('earnings.request')}</button>
+      </div>
+      {payouts.length > 0 && (
+        <ul style={{ fontSize: 13 }}>
+          {payouts.map(p => (
+            <li key={p.id}>{money(p.amount, p.currency)} — {p.status === 'paid' ? t('earnings.sent', { date: dateTime(p.paidAt) }) : t('earnings.requested', { date: dateTime(p.createdAt) })}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ---------- Analytics ----------
+// Dashboard metrics for the signed-in tutor or student. The pure tutorAnalytics / studentAnalytics (userId, data,
+// range, options) live in writely_analytics.mjs, which has its own tests.
+const ANALYTICS_PRESETS = { last30: 30, last90: 90, last365: 365, all: null };
+
+function presetRange(preset, now = Date.now()) {
+  const days = ANALYTICS_PRESETS[preset];
+  return { preset, from: days ? isoDay(now - (days - 1) * 86400000) : '', to: days ? isoDay(now) : '' };
+}
+
+const inBase = (amount, currency) => convertAmount(amount, currency || CURRENCY_CONFIG.base, CURRENCY_CONFIG.base);
+
+// Bars for totals, a line for averages; `format` labels values. Null points are gaps.
+function Chart({ series, format, type = 'bar', height = 120 }) {
+  const { locale } = useI18n();
+  const values = series.map(p => p.value).filter(v => v !== null);
+  const width = 560;
+  const pad = { left: 8, right: 8, top: 12, bottom: 18 };
+  const lo = Math.min(0, ...values);
+  const hi = Math.max(0, ...values) || 1;
+  const step = (width - pad.left - pad.right) / Math.max(series.length, 1);
+  const x = i => pad.left + step * (i + 0.5);
+  const y = v => pad.top + ((hi - v) / (hi - lo)) * (height - pad.top - pad.bottom);
+  const label = p => new Date(p.at).toLocaleDateString(LOCALES[locale].tag, p.unit === 'month' ? { month: 'short', year: '2-digit' } : { day: 'numeric', month: 'short' });
+  const every = Math.ceil(series.length / 8);
+  const segments = [[]];
+  series.forEach((p, i) => {
+    if (p.value === null) segments.push([]);
+    else segments[segments.length - 1].push(`${x(i)},${y(p.value)}`);
+  });
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img">
+      <line x1={pad.left} x2={width - pad.right} y1={y(0)} y2={y(0)} stroke="#cbd5e1" />
+      {type === 'bar' && series.map((p, i) => p.value !== null && (
+        <rect key={p.at} x={x(i) - step * 0.35} width={step * 0.7} y={Math.min(y(0), y(p.value))} height={Math.abs(y(0) - y(p.value))} fill={p.value < 0 ? '#f87171' : '#60a5fa'}>
+          <title>{`${label(p)}: ${format(p.value)}`}</title>
+        </rect>
+      ))}
+      {type === 'line' && segments.filter(s => s.length).map((s, i) => <polyline key={i} points={s.join(' ')} fill="none" stroke="#7c3aed" strokeWidth="2" />)}
+      {type === 'line' && series.map((p, i) => p.value !== null && (
+        <circle key={p.at} cx={x(i)} cy={y(p.value)} r="3" fill="#7c3aed"><title>{`${label(p)}: ${format(p.value)}`}</title></circle>
+      ))}
+      {series.map((p, i) => i % every === 0 && <text key={p.at} x={x(i)} y={height - 4} fontSize="10" textAnchor="middle" fill="#64748b">{label(p)}</text>)}
+    </svg>
+  );
+}
+
+function MetricCard({ title, value, detail, children }) {
+  return (
+    <div style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10 }}>
+      <div style={{ fontSize: 13, color: '#64748b' }}>{title}</div>
+      <div style={{ fontSize: 22, fontWeight: 600 }}>{value}</div>
+      {detail && <div style={{ fontSize: 12, color: '#64748b' }}>{detail}</div>}
+      {children}
+    </div>
+  );
+}
+
+function AnalyticsRange({ range, onChange }) {
+  const { t } = useI18n();
+  const set = key => e => onChange({ ...range, preset: 'custom', [key]: e.target.value });
+  return (
+    <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', fontSize: 13 }}>
+      <select value={range.preset} onChange={e => onChange(e.target.value === 'custom' ? { ...range, preset: 'custom' } : presetRange(e.target.value))}>
+        {[...Object.keys(ANALYTICS_PRESETS), 'custom'].map(p => <option key={p} value={p}>{t(`analytics.${p}`)}</option>)}
+      </select>
+      <label>{t('analytics.from')} <input type="date" value={range.from} max={range.to || undefined} onChange={set('from')} /></label>
+      <label>{t('analytics.to')} <input type="date" value={range.to} min={range.from || undefined} onChange={set('to')} /></label>
+    </div>
+  );
+}
+
+// Dashboard overview: the signed-in tutor's or student's metrics for the chosen period
+function AnalyticsPanel() {
+  const { user } = useAuth();
+  const { t, money } = useI18n();
+  const [range, setRange] = useState(() => presetRange('last90'));
+  const tasks = useQuery('tasks');
+  const bids = useQuery('bids');
+  const entries = useQuery('ledger', { account: `${user.role}:${user.id}` });
+  const reviews = useQuery('reviews', { revieweeId: user.id });
+  if (user.role !== 'tutor' && user.role !== 'student') return null;
+
+  const data = { tasks, bids, entries, reviews };
+  const none = value => (value === null ? '—' : null);
+  const elapsed = ms => none(ms) ?? (ms < 48 * 3600000 ? t('analytics.hours', { n: Math.round(ms / 360000) / 10 }) : t('analytics.days', { n: Math.round(ms / 8640000) / 10 }));
+  const grid = { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: 12, marginTop: 12 };
+  let cards;
+  if (user.role === 'tutor') {
+    const a = tutorAnalytics(user.id, data, range, { bidStatus, toBase: inBase });
+    cards = (
+      <>
+        <MetricCard title={t('analytics.earnings')} value={money(a.earnings)}>
+          <Chart series={a.earningsSeries} format={v => money(v)} />
+        </MetricCard>
+        <MetricCard title={t('analytics.winRate')} value={percent(a.winRate)} detail={t('analytics.winRateDetail', { won: a.bidsWon, count: a.bidsDecided })}>
+          <Chart type="line" series={a.winRateSeries} format={percent} />
+        </MetricCard>
+        <MetricCard title={t('analytics.bidVsAccepted')} value={none(a.averageBid) ?? money(Math.round(a.averageBid))}
+          detail={`${t('analytics.averageAccepted')}: ${none(a.averageAccepted) ?? money(Math.round(a.averageAccepted))} · ${t('analytics.bidsPlaced', { count: a.bidsPlaced })}`} />
+        <MetricCard title={t('analytics.turnaround')} value={elapsed(a.averageTurnaround)} detail={t('analytics.deliveries', { count: a.deliveries })}>
+          <Chart type="line" series={a.turnaroundSeries} format={elapsed} />
+        </MetricCard>
+        <MetricCard title={t('analytics.ratings')} value={none(a.averageRating) ?? `${a.averageRating.toFixed(1)}★`} detail={t('analytics.reviews', { count: a.reviews })}>
+          <Chart type="line" series={a.ratingSeries} format={v => `${v.toFixed(1)}★`} />
+        </MetricCard>
+      </>
+    );
+  } else {
+    const a = studentAnalytics(user.id, data, range);
+    cards = (
+      <>
+        <MetricCard title={t('analytics.spend')} value={money(a.spent)} detail={t('analytics.tasksPosted', { count: a.tasksPosted })}>
+          <Chart series={a.spendSeries} format={v => money(v)} />
+        </MetricCard>
+        <MetricCard title={t('analytics.bidsPerTask')} value={none(a.averageBidsPerTask) ?? a.averageBidsPerTask.toFixed(1)}>
+          <Chart type="line" series={a.bidsPerTaskSeries} format={v => v.toFixed(1)} />
+        </MetricCard>
+        <MetricCard title={t('analytics.firstBid')} value={elapsed(a.averageTimeToFirstBid)}>
+          <Chart type="line" series={a.firstBidSeries} format={elapsed} />
+        </MetricCard>
+      </>
+    );
+  }
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <h3>{t('analytics.title')}</h3>
+      <AnalyticsRange range={range} onChange={setRange} />
+      <div style={grid}>{cards}</div>
+    </div>
+  );
+}
+
+// ---------- Backups, data export & statements ----------
+// Admins back up and restore the whole store (file bytes in the blob store are not included); every user can
+// download their own records; students and tutors get CSV / PDF statements of their ledger account.
+// User fields that never leave the store in a personal export
+const PRIVATE_USER_FIELDS = ['password', 'passwordHash', 'passwordSalt', 'passwordIterations', 'resetTokenHash', 'resetExpiresAt', 'failedLogins', 'lockedUntil', 'calendarToken'];
+
+function downloadJSON(data, name) {
+  saveBlobAs(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), name);
+}
+
+// Parses, upgrades (migrateDB) and checks a backup file; throws with the problems found
+function parseBackup(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error('This file is not valid JSON');
+  }
+  if (!raw || typeof raw !== 'object' || !COLLECTIONS.some(c => Array.isArray(raw[c]))) throw new Error('This file is not a Writely backup');
+  const { exportedAt = null, ...stored } = raw;
+  let db;
+  try {
+    db = migrateDB(stored);
+  } catch (err) {
+    throw new Error(`This backup can't be upgraded: ${err.message}`);
+  }
+  // A collection missing from the file is restored as empty
+  COLLECTIONS.forEach(c => { if (db[c] === undefined) db[c] = []; });
+  const problems = validateDB(db);
+  COLLECTIONS.forEach(c => {
+    const ids = (Array.isArray(db[c]) ? db[c] : []).map(r => r && r.id);
+    if (new Set(ids).size !== ids.length) problems.push(`${c} has duplicate ids`);
+  });
+  if (problems.length) throw new Error(`This backup can't be restored: ${problems.join('; ')}`);
+  return { db, fromVersion: stored.version || 0, exportedAt };
+}
+
+// Pure: everything in `data` (each collection as the user can read it) that belongs to or concerns the user, minus
+// credentials
+function collectUserData(userId, data) {
+  const user = data.users.find(u => u.id === userId);
+  const account = user ? Object.fromEntries(Object.entries(user).filter(([k]) => !PRIVATE_USER_FIELDS.includes(k))) : null;
+  const tasks = data.tasks.filter(t => t.studentId === userId || t.tutorId === userId);
+  const posted = new Set(tasks.filter(t => t.studentId === userId).map(t => t.id));
+  const accounts = [`student:${userId}`, `tutor:${userId}`, `payout_pending:${userId}`];
+  return {
+    exportedAt: new Date().toISOString(),
+    account,
+    tasks,
+    bids: data.bids.filter(b => b.tutorId === userId || posted.has(b.taskId)),
+    messages: data.messages.filter(m => m.senderId === userId || m.recipientId === userId),
+    payments: data.payments.filter(p => p.studentId === userId || p.tutorId === userId),
+    ledger: data.ledger.filter(e => accounts.includes(e.account)),
+    reviews: data.reviews.filter(r => r.reviewerId === userId || r.revieweeId === userId),
+    files: data.files.filter(f => f.uploadedBy === userId || f.ownerId === userId),
+    notifications: data.notifications.filter(n => n.userId === userId),
+    transcripts: data.transcripts.filter(t => t.userId === userId),
+    originality_reports: data.originality_reports.filter(r => tasks.some(t => t.id === r.taskId))
+  };
+}
+
+// Pure: `account`'s ledger rows between `from` and `to` (inclusive YYYY-MM-DD; '' for open-ended) with the opening
+// balance, a running balance and totals. Positive amounts are money in from the account holder's side.
+function buildStatement(entries, account, { from, to }, taskTitle = id => id) {
+  const { start, end } = rangeBounds({ from, to });
+  const own = entries.filter(e => e.account === account).sort((a, b) => a.at - b.at);
+  const opening = roundMoney(own.filter(e => e.at < start).reduce((sum, e) => sum + e.amount, 0));
+  const describe = {
+    fund: e => `Paid into escrow: ${taskTitle(e.taskId)}`,
+    refund: e => `Refund: ${taskTitle(e.taskId)}`,
+    release: e => `Earnings: ${taskTitle(e.taskId)}${e.milestone ? ` (${MILESTONE_KINDS[e.milestone]} milestone)` : ''}`,
+    payout_request: () => 'Payout requested'
+  };
+  let balance = opening;
+  const rows = own.filter(e => e.at >= start && e.at <= end).map(e => {
+    balance = roundMoney(balance + e.amount);
+    const feeLeg = e.kind === 'release' ? entries.find(x => x.txId === e.txId && x.account === PLATFORM_FEES_ACCOUNT) : null;
+    return {
+      date: isoDay(e.at), description: (describe[e.kind] || (() => e.kind))(e), taskId: e.taskId || null,
+      moneyIn: e.amount > 0 ? e.amount : 0, moneyOut: e.amount < 0 ? -e.amount : 0, fee: feeLeg ? feeLeg.amount : 0, balance
+    };
+  });
+  const total = key => roundMoney(rows.reduce((sum, r) => sum + r[key], 0));
+  return { account, from, to, opening, closing: balance, rows, totals: { moneyIn: total('moneyIn'), moneyOut: total('moneyOut'), fee: total('fee') } };
+}
+
+// Text cells that look like formulas are prefixed with ' so spreadsheets don't evaluate them; plain numbers pass as-is
+function toCSV(rows) {
+  const cell = value => {
+    if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(value)) return String(value);
+    const text = /^[=+\-@]/.test(String(value ?? '')) ? `'${value}` : String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+function statementCSV(s) {
+  return toCSV([
+    ['Date', 'Description', 'Money in', 'Money out', 'Platform fee', 'Balance'].map((h, i) => (i < 2 ? h : `${h} (${CURRENCY_CONFIG.base})`)),
+    [s.from || '', 'Opening balance', '', '', '', amountText(s.opening)],
+    ...s.rows.map(r => [r.date, r.description, ...[r.moneyIn, r.moneyOut, r.fee].map(n => (n ? amountText(n) : '')), amountText(r.balance)]),
+    [s.to || '', 'Closing balance', amountText(s.totals.moneyIn), amountText(s.totals.moneyOut), amountText(s.totals.fee), amountText(s.closing)]
+  ]);
+}
+
+// A minimal PDF 1.4 writer: plain ASCII lines in 9pt Courier on A4 pages, so monospaced columns line up
+function toPDF(title, lines) {
+  const ascii = text => String(text).replace(/[–—]/g, '-').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[^\x20-\x7e]/g, '?');
+  const pdfText = text => ascii(text).replace(/[\\()]/g, c => `\\${c}`);
+  const perPage = 60;
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += perPage) pages.push(lines.slice(i, i + perPage));
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'];
+  const kids = [];
+  pages.forEach((page, n) => {
+    const content = [
+      'BT', '/F1 9 Tf', '12 TL', '50 800 Td', ...page.map(line => `(${pdfText(line)}) '`), 'ET',
+      'BT', '/F1 8 Tf', '50 30 Td', `(${pdfText(`${title} - page ${n + 1} of ${pages.length}`)}) Tj`, 'ET'
+    ].join('\n');
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+  objects.push(`<< /Title (${pdfText(title)}) /Producer (Writely) >>`);
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
+
+function statementLines(s, user) {
+  const money = n => (n ? amountText(n) : '').padStart(10);
+  const row = (date, text, a, b, c, d) => `${date.padEnd(10)} ${text.slice(0, 36).padEnd(36)} ${a} ${b} ${c} ${d}`;
+  return [
+    `Writely statement for ${user.name} (${user.role})`,
+    `Period: ${s.from || 'start'} to ${s.to || isoDay(Date.now())}    Amounts in ${CURRENCY_CONFIG.base}`,
+    `Generated ${new Date().toLocaleString()}`,
+    '',
+    row('Date', 'Description', 'Money in'.padStart(10), 'Money out'.padStart(10), 'Fee'.padStart(10), 'Balance'.padStart(10)),
+    '-'.repeat(93),
+    row(s.from || '', 'Opening balance', money(0), money(0), money(0), amountText(s.opening).padStart(10)),
+    ...s.rows.map(r => row(r.date, r.description, money(r.moneyIn), money(r.moneyOut), money(r.fee), amountText(r.balance).padStart(10))),
+    '-'.repeat(93),
+    row(s.to || '', 'Totals / closing balance', money(s.totals.moneyIn), money(s.totals.moneyOut), money(s.totals.fee), amountText(s.closing).padStart(10))
+  ];
+}
+
+function StatementPanel({ entries, tasks }) {
+  const { user } = useAuth();
+  const [range, setRange] = useState(() => ({ from: `${new Date().getFullYear()}-01-01`, to: todayISO() }));
+  const account = `${user.role === 'tutor' ? 'tutor' : 'student'}:${user.id}`;
+  const taskTitle = id => (tasks.find(t => t.id === id) || {}).title || '(deleted task)';
+  const statement = buildStatement(entries, account, range, taskTitle);
+  const fileName = ext => `writely-statement-${range.from || 'start'}-to-${range.to || 'now'}.${ext}`;
+  const set = key => e => setRange(r => ({ ...r, [key]: e.target.value }));
+
+  return (
+    <div style={{ border: '1px solid #e6eef6', padding: 12, borderRadius: 10, marginTop: 12 }}>
+      <h3 style={{ marginTop: 0 }}>Statement</h3>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', fontSize: 13 }}>
+        <label>From <input type="date" value={range.from} max={range.to || undefined} onChange={set('from')} /></label>
+        <label>To <input type="date" value={range.to} min={range.from || undefined} onChange={set('to')} /></label>
+        <button onClick={() => saveBlobAs(new Blob([statementCSV(statement)], { type: 'text/csv' }), fileName('csv'))}>Download CSV</button>
+        <button onClick={() => saveBlobAs(new Blob([toPDF('Writely statement', statementLines(statement, user))], { type: 'application/pdf' }), fileName('pdf'))}>Download PDF</button>
+      </div>
+      <table style={{ ...tableStyle, fontSize: 13, marginTop: 8 }}>
+        <thead>
+          <tr>{['Date', 'Description', 'In', 'Out', 'Fee', 'Balance'].map(h => <th key={h} style={cellStyle}>{h}</th>)}</tr>
+        </thead>
+        <tbody>
+          <tr><td style={cellStyle}>{range.from}</td><td style={cellStyle}>Opening balance</td><td style={cellStyle} /><td style={cellStyle} /><td style={cellStyle} /><td style={cellStyle}>{amountText(statement.opening)}</td></tr>
+          {statement.rows.map((r, i) => (
+            <tr key={i}>
+              <td style={cellStyle}>{r.date}</td>
+              <td style={cellStyle}>{r.description}</td>
+              {[r.moneyIn, r.moneyOut, r.fee].map((n, j) => <td key={j} style={cellStyle}>{n ? amountText(n) : ''}</td>)}
+              <td style={cellStyle}>{amountText(r.balance)}</td>
+            </tr>
+          ))}
+          <tr style={{ fontWeight: 600 }}>
+            <td style={cellStyle}>{range.to}</td><td style={cellStyle}>Totals / closing balance</td>
+            {[statement.totals.moneyIn, statement.totals.moneyOut, statement.totals.fee, statement.closing].map((n, j) => <td key={j} style={cellStyle}>{amountText(n)}</td>)}
+          </tr>
+        </tbody>
+      </table>
+      {statement.rows.length === 0 && <div style={{ fontSize: 13, color: '#64748b', marginTop: 4 }}>No transactions in this period.</div>}
+    </div>
+  );
+}
+
+function DataExport() {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+
+  async function download() {
+    setBusy(true);
+    try {
+      // Not repo.dump(): on the API server that whole-store route is for admins
+      const data = {};
+      for (const name of COLLECTIONS) data[name] = await repo[name].query({});
+      downloadJSON(collectUserData(user.id, data), `writely-my-data-${todayISO()}.json`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 12, fontSize: 13 }}>
+      <button onClick={download} disabled={busy}>{busy ? t('export.preparing') : t('export.download')}</button>
+      <span style={{ color: '#64748b', marginLeft: 8 }}>{t('export.note')}</span>
+    </div>
+  );
+}
+
+function AdminBackup() {
+  const { t, dateTime } = useI18n();
+  const [backup, setBackup] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [msg, setMsg] = useState(null);
+  const [inputKey, setInputKey] = useState(0);
+
+  async function download() {
+    downloadJSON({ ...(await repo.dump()), exportedAt: new Date().toISOString() }, `writely-backup-${todayISO()}.json`);
+  }
+
+  async function pick(e) {
+    const file = e.target.files[0];
+    setMsg(null);
+    setBackup(null);
+    if (!file) return;
+    try {
+      setBackup({ name: file.name, ...parseBackup(await file.text()) });
+    } catch (error) {
+      setMsg({ error: true, text: error.message });
+      setInputKey(k => k + 1);
+    }
+  }
+
+  async function restore() {
+    if (mode === 'replace' && !window.confirm(t('admin.replaceConfirm'))) return;
+    try {
+      const written = await repo.restore(backup.db, { mode });
+      const total = Object.values(written).reduce((sum, n) => sum + n, 0);
+      setMsg({ text: t('admin.restored', { count: total, mode }) });
+      setBackup(null);
+      setInputKey(k => k + 1);
+    } catch (error) {
+      setMsg({ error: true, text: t('admin.restoreFailed', { error: error.message }) });
+    }
+  }
+
+  return (
+    <div style={{ fontSize: 14 }}>
+      <h3>{t('admin.tab.backup')}</h3>
+      <button onClick={download}>{t('admin.download')}</button>
+      <div style={{ fontSize: 12, color: '#64748b', marginTop: 4 }}>{t('admin.backupNote')}</div>
+
+      <h3>{t('admin.restore')}</h3>
+      <input key={inputKey} type="file" accept=".json,application/json" onChange={pick} />
+      {backup && (
+        <div style={{ marginTop: 8 }}>
+          <div>
+            {t('admin.backupFile', { name: backup.name, version: backup.fromVersion })}
+            {backup.fromVersion < SCHEMA_VERSION ? t('admin.upgraded', { version: SCHEMA_VERSION }) : ''}
+            {backup.exportedAt ? t('admin.exported', { date: dateTime(backup.exportedAt) }) : ''}
+          </div>
+          <div style={{ fontSize: 13, color: '#64748b' }}>{COLLECTIONS.map(c => `${c}: ${backup.db[c].length}`).join(' · ')}</div>
+          <div style={{ display: 'flex', gap: 12, marginTop: 8 }}>
+            <label><input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} /> {t('admin.merge')}</label>
+            <label><input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} /> {t('admin.replace')}</label>
+          </div>
+          <button onClick={restore} style={{ marginTop: 8 }}>{t('admin.restore')}</button>
+        </div>
+      )}
+      {msg && <div style={{ marginTop: 8, color: msg.error ? 'crimson' : '#15803d' }}>{msg.text}</div>}
+    </div>
+  );
+}
+
+// ---------- Admin moderation console ----------
+const tableStyle = { width: '100%', borderCollapse: 'collapse', fontSize: 14 };
+const cellStyle = { borderTop: '1px solid #e6eef6', padding: '6px 8px', textAlign: 'left', verticalAlign: 'top' };
+
+function AdminConsole() {
+  const { t } = useI18n();
+  const [tab, setTab] = useState('users');
+  const [search, setSearch] = useState('');
+  const tabs = { users: AdminUsers, tasks: AdminTasks, bids: AdminBids, payments: AdminPayments, originality: AdminOriginality, backup: AdminBackup };
+  const Tab = tabs[tab];
+  return (
+    <section style={cardStyle}>
+      <h2>{t('admin.title')}</h2>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12 }}>
+        {Object.keys(tabs).map(name => (
+          <button key={name} onClick={() => setTab(name)} style={{ padding: '8px 12px', borderRadius: 8, fontWeight: tab === name ? 700 : 400 }}>{t(`admin.tab.${name}`)}</button>
+        ))}
+        <input placeholder={t('admin.search')} value={search} onChange={e => setSearch(e.target.value)} style={{ marginLeft: 'auto' }} />
+      </div>
+      <Tab search={search.trim().toLowerCase()} />
+    </section>
+  );
+}
+
+function includesText(search, ...fields) {
+  return !search || fields.some(f => String(f || '').toLowerCase().includes(search));
+}
+
+function AdminUsers({ search }) {
+  const { user: admin } = useAuth();
+  const { t, dateTime } = useI18n();
+  const users = useQuery('users').filter(u => includesText(search, u.name, u.email, u.role));
+
+  async function setSuspended(u, suspend) {
+    try {
+      await repo.users.update(u.id, suspend ? { suspendedAt: Date.now(), suspendedBy: admin.id } : { suspendedAt: null, suspendedBy: null });
+      if (suspend) await auth.revokeSessions(u.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function makeAdmin(u) {
+    if (!window.confirm(t('admin.makeAdminConfirm', { name: u.name }))) return;
+    try {
+      await repo.users.update(u.id, { role: 'admin' });
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <table style={tableStyle}>
+      <thead><tr><th style={cellStyle}>{t('admin.name')}</th><th style={cellStyle}>{t('admin.email')}</th><th style={cellStyle}>{t('admin.role')}</th><th style={cellStyle}>{t('admin.status')}</th><th style={cellStyle} /></tr></thead>
+      <tbody>
+        {users.map(u => (
+          <tr key={u.id}>
+            <td style={cellStyle}>{u.name}</td>
+            <td style={cellStyle}>{u.email}</td>
+            <td style={cellStyle}>{t(`role.${u.role}`)}</td>
+            <td style={cellStyle}>{u.suspendedAt ? t('admin.suspended', { date: dateTime(u.suspendedAt) }) : t('admin.active')}</td>
+            <td style={cellStyle}>
+              {u.id !== admin.id && (
+                <button onClick={() => setSuspended(u, !u.suspendedAt)}>{u.suspendedAt ? t('admin.reinstate') : t('admin.suspend')}</button>
+              )}
+              {u.role !== 'admin' && (
+                <button onClick={() => makeAdmin(u)} style={{ marginLeft: 8 }}>{t('admin.makeAdmin')}</button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function AdminTasks({ search }) {
+  const { user: admin } = useAuth();
+  const { t } = useI18n();
+  const tasks = useQuery('tasks').filter(task => includesText(search, task.title, task.description, task.studentName));
+
+  async function setHidden(task, hide) {
+    try {
+      await repo.tasks.update(task.id, hide ? { hiddenAt: Date.now(), hiddenBy: admin.id } : { hiddenAt: null, hiddenBy: null });
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  // Deleting a task removes its bids too; payments are kept as financial records
+  async function remove(task) {
+    if (!window.confirm(t('admin.deleteTaskConfirm', { title: task.title }))) return;
+    try {
+      const bids = await repo.bids.query({ taskId: task.id });
+      await Promise.all(bids.map(b => repo.bids.remove(b.id)));
+      await repo.tasks.remove(task.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <table style={tableStyle}>
+      <thead><tr><th style={cellStyle}>{t('admin.task')}</th><th style={cellStyle}>{t('admin.student')}</th><th style={cellStyle}>{t('admin.status')}</th><th style={cellStyle} /></tr></thead>
+      <tbody>
+        {tasks.map(task => (
+          <tr key={task.id}>
+            <td style={cellStyle}><strong>{task.title}</strong><div style={{ fontSize: 12, color: '#64748b' }}>{task.description}</div></td>
+            <td style={cellStyle}>{task.studentName}</td>
+            <td style={cellStyle}>{task.hiddenAt ? t('admin.hidden') : t('admin.visible')}</td>
+            <td style={cellStyle}>
+              <button onClick={() => setHidden(task, !task.hiddenAt)}>{task.hiddenAt ? t('admin.unhide') : t('admin.hide')}</button>
+              <button onClick={() => remove(task)} style={{ marginLeft: 8 }}>{t('common.delete')}</button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function AdminBids({ search }) {
+  const { user: admin } = useAuth();
+  const { t, money } = useI18n();
+  const tasks = useQuery('tasks');
+  const taskTitle = id => (tasks.find(task => task.id === id) || {}).title || t('admin.deletedTask');
+  const bids = useQuery('bids').filter(b => includesText(search, b.tutorName, b.message, taskTitle(b.taskId)));
+
+  async function setHidden(bid, hide) {
+    try {
+      await repo.bids.update(bid.id, hide ? { hiddenAt: Date.now(), hiddenBy: admin.id } : { hiddenAt: null, hiddenBy: null });
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function remove(bid) {
+    if (!window.confirm(t('admin.deleteBidConfirm'))) return;
+    try {
+      await repo.bids.remove(bid.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <table style={tableStyle}>
+      <thead><tr><th style={cellStyle}>{t('admin.task')}</th><th style={cellStyle}>{t('admin.tutor')}</th><th style={cellStyle}>{t('admin.bid')}</th><th style={cellStyle}>{t('admin.status')}</th><th style={cellStyle} /></tr></thead>
+      <tbody>
+        {bids.map(b => (
+          <tr key={b.id}>
+            <td style={cellStyle}>{taskTitle(b.taskId)}</td>
+            <td style={cellStyle}>{b.tutorName}</td>
+            <td style={cellStyle}>{money(b.amount, b.currency)}<div style={{ fontSize: 12, color: '#64748b' }}>{b.message}</div></td>
+            <td style={cellStyle}>{BID_STATUS[bidStatus(b)].label}{b.hiddenAt ? ` · ${t('admin.hidden')}` : ''}</td>
+            <td style={cellStyle}>
+              <button onClick={() => setHidden(b, !b.hiddenAt)}>{b.hiddenAt ? t('admin.unhide') : t('admin.hide')}</button>
+              <button onClick={() => remove(b)} style={{ marginLeft: 8 }}>{t('common.delete')}</button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function AdminPayments({ search }) {
+  const { t, dateTime, money } = useI18n();
+  const tasks = useQuery('tasks');
+  const users = useQuery('users');
+  const entries = useQuery('ledger');
+  const taskTitle = id => (tasks.find(task => task.id === id) || {}).title || t('admin.deletedTask');
+  const tutorName = id => (users.find(u => u.id === id) || {}).name || id;
+  const describe = p => (p.kind === 'payout' ? t('admin.payoutTo', { name: tutorName(p.tutorId) }) : taskTitle(p.taskId));
+  const payments = useQuery('payments').filter(p => includesText(search, describe(p), p.id));
+
+  async function markSent(payout) {
+    try {
+      await markPayoutSent(payout);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div>
+      <p>{t('admin.fees')} <strong>{money(balanceOf(entries, PLATFORM_FEES_ACCOUNT))}</strong> {t('admin.commission', { rate: PLATFORM_CONFIG.commissionRate * 100 })}</p>
+      <table style={tableStyle}>
+        <thead><tr><th style={cellStyle}>{t('admin.payment')}</th><th style={cellStyle}>{t('admin.for')}</th><th style={cellStyle}>{t('admin.amount')}</th><th style={cellStyle}>{t('admin.status')}</th></tr></thead>
+        <tbody>
+          {payments.map(p => (
+            <tr key={p.id}>
+              <td style={cellStyle}><code>{p.id}</code></td>
+              <td style={cellStyle}>{describe(p)}</td>
+              <td style={cellStyle}>{money(p.amount, p.currency)}</td>
+              <td style={cellStyle}>
+                {p.kind === 'payout'
+                  ? (p.status === 'paid' ? t('admin.sent', { date: dateTime(p.paidAt) }) : <button onClick={() => markSent(p)}>{t('admin.markSent')}</button>)
+                  : escrowStatus(p, entries)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function AdminOriginality({ search }) {
+  const { user: admin } = useAuth();
+  const { t, dateTime } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+  const tasks = useQuery('tasks');
+  const taskTitle = id => (tasks.find(task => task.id === id) || {}).title || t('admin.deletedTask');
+  const reports = useQuery('originality_reports')
+    .filter(r => r.status === 'done' && (showAll || (r.flagged && !r.review)) && includesText(search, taskTitle(r.taskId)))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  async function review(report, outcome) {
+    const note = window.prompt(outcome === 'cleared' ? t('admin.clearPrompt') : t('admin.confirmPrompt'));
+    if (note === null) return;
+    try {
+      await repo.originality_reports.update(report.id, { review: { outcome, note: note.trim(), by: admin.id, at: Date.now() } });
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div>
+      <p style={{ fontSize: 13 }}>
+        {t('admin.threshold', { threshold: PLATFORM_CONFIG.originalityThreshold })}{' '}
+        <label><input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} /> {t('admin.showAll')}</label>
+      </p>
+      {reports.length === 0 && <div>{showAll ? t('admin.noneChecked') : t('admin.nothingWaiting')}</div>}
+      {reports.length > 0 && (
+        <table style={tableStyle}>
+          <thead><tr><th style={cellStyle}>{t('admin.submission')}</th><th style={cellStyle}>{t('admin.similarity')}</th><th style={cellStyle}>{t('admin.passages')}</th><th style={cellStyle} /></tr></thead>
+          <tbody>
+            {reports.map(r => (
+              <tr key={r.id}>
+                <td style={cellStyle}>
+                  <strong>{taskTitle(r.taskId)}</strong> v{r.version}
+                  <div style={{ fontSize: 12, color: '#64748b' }}>{dateTime(r.createdAt)}</div>
+                </td>
+                <td style={cellStyle}>
+                  <span style={{ color: similarityColor(r), fontWeight: 600 }}>{r.similarity}%</span>
+                  <ul style={{ fontSize: 12, margin: '4px 0', paddingLeft: 16 }}>
+                    {r.sources.slice(0, 3).map(s => <li key={s.id}>{s.similarity}% {taskTitle(s.taskId)} — {s.name}</li>)}
+                  </ul>
+                </td>
+                <td style={{ ...cellStyle, fontSize: 12 }}>
+                  {r.passages.slice(0, 3).map((p, i) => <div key={i} style={{ marginBottom: 4 }}>“{p.excerpt}{p.end - p.start > p.excerpt.length ? '…' : ''}”</div>)}
+                  {r.passages.length > 3 && <div style={{ color: '#64748b' }}>{t('admin.morePassages', { count: r.passages.length - 3 })}</div>}
+                </td>
+                <td style={cellStyle}>
+                  {r.review ? ORIGINALITY_REVIEW[r.review.outcome] : (
+                    <>
+                      <button onClick={() => review(r, 'cleared')}>{t('admin.clear')}</button>
+                      <button onClick={() => review(r, 'confirmed')} style={{ marginLeft: 8 }}>{t('admin.confirmCopied')}</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ---------- Transcription ----------
+// The mic uses the browser's Web Speech API. Audio files go to the API server, which queues a job and runs it
+// through one of its engines (whisper.cpp offline, OpenAI / AssemblyAI, or the dev mock); the card polls the job
+// and the finished transcript is saved to the user's transcripts. Mic transcripts can be saved there too.
+const TRANSCRIPTION_CONFIG = { enabled: STORAGE_CONFIG.backend === 'http', apiBase: STORAGE_CONFIG.apiBase, pollMs: 2000 };
+const TRANSCRIPTION_LANGUAGES = [
+  { code: 'en-KE', label: 'English (Kenya)' },
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'sw-KE', label: 'Kiswahili (Kenya)' },
+  { code: 'sw-TZ', label: 'Kiswahili (Tanzania)' },
+  { code: 'fr-FR', label: 'French' },
+  { code: 'ar-SA', label: 'Arabic' },
+  { code: 'so-SO', label: 'Somali' },
+  { code: 'am-ET', label: 'Amharic' }
+];
+const LANGUAGE_KEY = 'writely_transcription_language';
+const DRAFT_KEY = 'writely_transcription_draft';
+const JOB_STATUS_LABELS = { queued: 'Queued', running: 'Transcribing', done: 'Done', failed: 'Failed' };
+const languageLabel = code => (code === 'auto' ? 'Auto-detected' : (TRANSCRIPTION_LANGUAGES.find(l => l.code === code) || { label: code }).label);
+const formatDuration = sec => (sec ? `${Math.floor(sec / 60)}:${String(Math.round(sec % 60)).padStart(2, '0')}` : '—');
+
+// { engines, defaultEngine, maxBytes, maxSeconds } from the server, or null when it is unreachable
+function useTranscriptionEngines() {
+  const [config, setConfig] = useState(null);
+  useEffect(() => {
+    if (!TRANSCRIPTION_CONFIG.enabled) return;
+    fetch(`${TRANSCRIPTION_CONFIG.apiBase}/transcription-engines`).then(r => r.json()).then(setConfig).catch(() => setConfig(null));
+  }, []);
+  return config;
+}
+
+// Seconds from the file's metadata, or null when the browser can't decode it. Only an early check: the server
+// measures the upload itself and rejects audio whose length it can't determine.
+function audioDuration(file) {
+  return new Promise(resolve => {
+    const url = URL.createObjectURL(file);
+    const audio = new Audio();
+    const done = value => { URL.revokeObjectURL(url); resolve(value); };
+    audio.onloadedmetadata = () => done(Number.isFinite(audio.duration) ? audio.duration : null);
+    audio.onerror = () => done(null);
+    audio.src = url;
+  });
+}
+
+// The job belongs to the signed-in user (the server reads it from the session)
+async function submitTranscription(file, { language, engine }, limits) {
+  if (!/^(audio|video)\//.test(file.type)) throw new Error('Choose an audio file');
+  if (file.size > limits.maxBytes) throw new Error(`Audio files can be at most ${Math.round(limits.maxBytes / (1024 * 1024))} MB`);
+  const duration = await audioDuration(file);
+  if (duration > limits.maxSeconds) throw new Error(`Recordings can be at most ${Math.round(limits.maxSeconds / 60)} minutes`);
+  const params = new URLSearchParams({ language, engine, name: file.name });
+  const res = await fetch(`${TRANSCRIPTION_CONFIG.apiBase}/transcriptions?${params}`, { method: 'POST', headers: { ...authHeaders(), 'Content-Type': file.type }, body: file });
+  const job = await res.json();
+  if (!res.ok) throw new Error(job.error || `Upload failed (${res.status})`);
+  repo.refresh('transcription_jobs');
+  return job;
+}
+
+// Re-reads jobs (and the transcripts they produce) while any is still queued or running
+function useTranscriptionJobs(user) {
+  const jobs = useQuery('transcription_jobs', { userId: user ? user.id : '' });
+  const active = jobs.some(j => j.status === 'queued' || j.status === 'running');
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => repo.refresh('transcription_jobs', 'transcripts', 'notifications'), TRANSCRIPTION_CONFIG.pollMs);
+    return () => clearInterval(timer);
+  }, [active]);
+  return jobs.slice().sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function TranscriptionCard({ small }) {
+  return (
+    <div style={{ padding: 12, borderRadius: 8, background: '#f1f5f9' }}>
+      <h4 style={{ marginTop: 0 }}>Quick Transcription</h4>
+      <p style={{ marginTop: 0, fontSize: 13 }}>Use your browser mic, or upload an audio file to be transcribed on the server and saved to your transcripts.</p>
+      <TranscriptionTool small={small} />
+    </div>
+  );
+}
+
+function TranscriptionTool({ small }) {
+  const { user } = useAuth();
+  const [listening, setListening] = useState(false);
+  const [text, setText] = useState(() => localStorage.getItem(DRAFT_KEY) || '');
+  const [language, setLanguage] = useState(() => localStorage.getItem(LANGUAGE_KEY) || 'en-KE');
+  const [engine, setEngine] = useState('');
+  const [err, setErr] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const server = useTranscriptionEngines();
+  const jobs = useTranscriptionJobs(user);
+  const micSupported = 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+
+  // Browser speech recognition (not supported in all browsers)
+  useEffect(() => {
+    if (!micSupported) return;
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new SpeechRecognition();
+    recognition.lang = language === 'auto' ? 'en-KE' : language;
+    recognition.interimResults = true;
+    recognition.onresult = (e) => {
+      const transcript = Array.from(e.results).map(r => r[0].transcript).join('');
+      setText(transcript);
+    };
+    recognition.onend = () => setListening(false);
+    if (listening) recognition.start();
+    return () => { try { recognition.stop(); } catch (e) {} };
+  }, [listening, language, micSupported]);
+
+  // Keep unsaved mic output across navigation
+  useEffect(() => {
+    if (text) localStorage.setItem(DRAFT_KEY, text);
+    else localStorage.removeItem(DRAFT_KEY);
+  }, [text]);
+
+  function toggleMic() { setListening(s => !s); }
+
+  function pickLanguage(e) {
+    setLanguage(e.target.value);
+    localStorage.setItem(LANGUAGE_KEY, e.target.value);
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    setErr(null); setNotice(null);
+    try {
+      await submitTranscription(file, { language, engine: engine || server.defaultEngine }, server);
+      setNotice(`Uploaded ${file.name}. You'll be notified when the transcript is ready.`);
+    } catch (error) {
+      setErr(error.message);
+    }
+    setFileInputKey(k => k + 1);
+  }
+
+  async function saveMicText() {
+    setErr(null); setNotice(null);
+    try {
+      await repo.transcripts.insert({
+        userId: user.id, jobId: null, title: `Mic recording ${new Date().toLocaleString()}`, language, engine: 'browser',
+        audioKey: null, durationSec: null, text: text.trim(), segments: [{ start: 0, end: 0, speaker: '', text: text.trim() }], createdAt: Date.now()
+      });
+      setText('');
+      setNotice('Saved to your transcripts.');
+    } catch (error) {
+      setErr(error.message);
+    }
+  }
+
+  async function openTranscript(job) {
+    const transcript = await repo.transcripts.get(job.transcriptId);
+    if (transcript) setText(transcript.text);
+  }
+
+  const uploadBlocker = !user ? 'Login to transcribe audio files.'
+    : !TRANSCRIPTION_CONFIG.enabled ? 'File transcription needs the API server (set localStorage writely_storage to http).'
+      : !server ? 'Transcription server unreachable.'
+        : server.engines.length === 0 ? 'No transcription engine is configured on the server.' : null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+        <select value={language} onChange={pickLanguage}>
+          {TRANSCRIPTION_LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.label}</option>)}
+          <option value="auto">Detect automatically (files only)</option>
+        </select>
+        <button onClick={toggleMic} disabled={!micSupported} title={micSupported ? '' : 'Speech recognition is not supported in this browser'} style={{ padding: '8px 10px', borderRadius: 8 }}>{listening ? 'Stop mic' : 'Start mic'}</button>
+      </div>
+      {uploadBlocker ? <div style={{ fontSize: 12, color: '#64748b' }}>{uploadBlocker}</div> : (
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+          <input key={fileInputKey} type="file" accept="audio/*" onChange={handleFile} />
+          {server.engines.length > 1 && (
+            <select value={engine || server.defaultEngine} onChange={e => setEngine(e.target.value)}>
+              {server.engines.map(en => <option key={en.name} value={en.name}>{en.label}</option>)}
+            </select>
+          )}
+          <span style={{ fontSize: 12, color: '#64748b' }}>Up to {Math.round(server.maxBytes / (1024 * 1024))} MB / {Math.round(server.maxSeconds / 60)} min</span>
+        </div>
+      )}
       <textarea value={text} onChange={e => setText(e.target.value)} rows={small ? 4 : 8} placeholder="Transcription output will appear here" />
-      {status !== 'idle' && <div style={{ fontSize: 13 }}>{fileResult || 'Working...'}</div>}
+      {user && text.trim() && <button onClick={saveMicText} style={{ alignSelf: 'flex-start' }}>Save to my transcripts</button>}
+      <FieldError error={err} />
+      {notice && <div style={{ fontSize: 13 }}>{notice}</div>}
+      {jobs.slice(0, small ? 3 : 5).map(job => (
+        <div key={job.id} style={{ fontSize: 13 }}>
+          {job.fileName} — {JOB_STATUS_LABELS[job.status]}
+          {job.status === 'running' && ` ${Math.round(job.progress * 100)}%`}
+          {job.status === 'failed' && <span style={{ color: 'crimson' }}> ({job.error})</span>}
+          {job.status === 'done' && <button onClick={() => openTranscript(job)} style={{ marginLeft: 8, fontSize: 12 }}>Show</button>}
+          {(job.status === 'queued' || job.status === 'running') && (
+            <div style={{ height: 4, background: '#e2e8f0', borderRadius: 2 }}><div style={{ width: `${Math.round(job.progress * 100)}%`, height: 4, background: '#2563eb', borderRadius: 2 }} /></div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Dashboard: the user's saved transcripts, newest first
+function TranscriptsPage() {
+  const { user } = useAuth();
+  const { dateTime } = useI18n();
+  const transcripts = useQuery('transcripts', { userId: user.id }).slice().sort((a, b) => b.createdAt - a.createdAt);
+  const [openId, setOpenId] = useState(null);
+
+  async function remove(transcript) {
+    if (!window.confirm(`Delete "${transcript.title}"?`)) return;
+    if (transcript.audioKey) await blobStore.remove(transcript.audioKey);
+    await repo.transcripts.remove(transcript.id);
+  }
+
+  return (
+    <div>
+      <h2>Transcripts</h2>
+      <TranscriptionCard />
+      {transcripts.length === 0 && <p>No saved transcripts yet.</p>}
+      {transcripts.map(t => (
+        <div key={t.id} style={{ borderTop: '1px solid #e6eef6', padding: '8px 0' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Link to={`/dashboard/transcripts/${t.id}`}><strong>{t.title}</strong></Link>
+            <span>
+              <button onClick={() => setOpenId(openId === t.id ? null : t.id)}>{openId === t.id ? 'Hide' : 'Show'}</button>
+              <button onClick={() => remove(t)} style={{ marginLeft: 8 }}>Delete</button>
+            </span>
+          </div>
+          <div style={{ fontSize: 12, color: '#64748b' }}>
+            {languageLabel(t.language)}{t.detectedLanguage ? ` (detected: ${t.detectedLanguage})` : ''} · {formatDuration(t.durationSec)} · {t.engine} · {dateTime(t.createdAt)}
+          </div>
+          {openId === t.id && <p style={{ whiteSpace: 'pre-wrap' }}>{t.text}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ---------- Transcript editing & export ----------
+// Transcripts are segments { start, end, speaker, text } in seconds; `text` is kept as their joined text.
+// Browser mic transcripts have one untimed segment (start = end = 0).
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const TRANSCRIPT_EXPORTS = {
+  txt: { label: 'TXT', type: 'text/plain' },
+  srt: { label: 'SRT', type: 'application/x-subrip' },
+  vtt: { label: 'WebVTT', type: 'text/vtt' },
+  docx: { label: 'DOCX', type: DOCX_TYPE }
+};
+
+function transcriptSegments(transcript) {
+  const segments = transcript.segments || [];
+  return segments.length ? segments : [{ start: 0, end: 0, speaker: '', text: transcript.text || '' }];
+}
+
+const isTimed = segments => segments.some(s => s.end > 0);
+
+// 62.5 -> '00:01:02,500' (SRT) or '00:01:02.500' (WebVTT)
+function formatTimestamp(sec, separator = '.') {
+  const ms = Math.round((sec || 0) * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Accepts 'ss', 'mm:ss' or 'hh:mm:ss' with optional fractions ('.' or ','); null when unparseable
+function parseTimestamp(value) {
+  const parts = String(value).trim().replace(',', '.').split(':');
+  if (parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return null;
+  return parts.reduce((total, p) => total * 60 + Number(p), 0);
+}
+
+const speakerPrefix = s => (s.speaker ? `${s.speaker}: ` : '');
+// A blank line would end a subtitle cue early
+const cueText = text => text.replace(/\n\s*\n/g, '\n').replace(/-->/g, '->');
+
+function toTXT(segments) {
+  const timed = isTimed(segments);
+  return segments.map(s => `${timed ? `[${formatTimestamp(s.start).slice(0, 8)}] ` : ''}${speakerPrefix(s)}${s.text}`).join('\n') + '\n';
+}
+
+function toSRT(segments) {
+  return segments.map((s, i) => `${i + 1}\n${formatTimestamp(s.start, ',')} --> ${formatTimestamp(s.end, ',')}\n${cueText(speakerPrefix(s) + s.text)}\n`).join('\n');
+}
+
+function toVTT(segments) {
+  const escape = text => cueText(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = segments.map(s => `${formatTimestamp(s.start)} --> ${formatTimestamp(s.end)}\n${s.speaker ? `<v ${escape(s.speaker)}>` : ''}${escape(s.text)}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+const xmlEscape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// A minimal WordprocessingML package: the title, then one paragraph per segment
+function toDOCX(title, segments) {
+  const timed = isTimed(segments);
+  const run = (text, props = '') => `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r>`;
+  const paragraphs = [
+    `<w:p>${run(title, '<w:b/><w:sz w:val="32"/>')}</w:p>`,
+    ...segments.map(s => `<w:p>${timed ? run(`[${formatTimestamp(s.start).slice(0, 8)}] `, '<w:color w:val="64748B"/>') : ''}${s.speaker ? run(speakerPrefix(s), '<w:b/>') : ''}${run(s.text)}</w:p>`)
+  ];
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return new Blob(zipStored({
+    '[Content_Types].xml': `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`,
+    '_rels/.rels': `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`,
+    'word/document.xml': `${xml}<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${paragraphs.join('')}</w:body></w:document>`
+  }), { type: DOCX_TYPE });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// ZIP archive without compression ("stored" entries, UTF-8 names, dated 1980-01-01); returns the parts for a Blob
+function zipStored(files) {
+  const enc = new TextEncoder();
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = enc.encode(name);
+    const data = enc.encode(content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x800, true);
+    local.setUint16(12, 0x21, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x800, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    entries.push(local.buffer, nameBytes, data);
+    directory.push(central.buffer, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const count = Object.keys(files).length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, count, true);
+  end.setUint16(10, count, true);
+  end.setUint32(12, directory.reduce((n, part) => n + part.byteLength, 0), true);
+  end.setUint32(16, offset, true);
+  return [...entries, ...directory, end.buffer];
+}
+
+function transcriptFile(transcript, format) {
+  const segments = transcriptSegments(transcript);
+  const { type } = TRANSCRIPT_EXPORTS[format];
+  const base = transcript.title.replace(/\.[a-z0-9]+$/i, '').replace(/[^\w .-]+/g, '_').trim() || 'transcript';
+  const body = format === 'docx' ? toDOCX(transcript.title, segments)
+    : new Blob([{ txt: toTXT, srt: toSRT, vtt: toVTT }[format](segments)], { type });
+  return new File([body], `${base}.${format}`, { type });
+}
+
+// Returns an error message for the first bad segment, or null
+function checkSegments(segments) {
+  for (const [i, s] of segments.entries()) {
+    if (s.start === null || s.end === null) return `Segment ${i + 1}: times must look like 1:02.5`;
+    if (s.end < s.start) return `Segment ${i + 1}: ends before it starts`;
+    if (i > 0 && s.start < segments[i - 1].start) return `Segment ${i + 1}: starts before the previous segment`;
+  }
+  return null;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function TranscriptEditor() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [transcript, setTranscript] = useState(null);
+  const [title, setTitle] = useState('');
+  const [segments, setSegments] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [time, setTime] = useState(0);
+  const [search, setSearch] = useState({ find: '', replace: '', matchCase: false });
+  const [msg, setMsg] = useState(null);
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    repo.transcripts.get(id).then(found => {
+      if (!found || found.userId !== user.id) { setTranscript(false); return; }
+      setTranscript(found);
+      setTitle(found.title);
+      setSegments(transcriptSegments(found).map(s => ({ ...s, speaker: s.speaker || '' })));
+    });
+  }, [id, user.id]);
+
+  useEffect(() => {
+    if (!transcript || !transcript.audioKey) return;
+    let url = null;
+    blobStore.get(transcript.audioKey).then(blob => {
+      if (!blob) return;
+      url = URL.createObjectURL(blob);
+      setAudioUrl(url);
+    });
+    return () => { if (url) URL.revokeObjectURL(url); };
+  }, [transcript]);
+
+  if (transcript === false) return <div><h2>{t('transcript.notFound')}</h2><Link to="/dashboard/transcripts">{t('transcript.backToList')}</Link></div>;
+  if (!transcript) return null;
+
+  const timed = isTimed(segments);
+  const active = segments.findIndex(s => time >= s.start && time < s.end);
+  const pattern = search.find ? new RegExp(escapeRegExp(search.find), search.matchCase ? 'g' : 'gi') : null;
+  const matchCount = pattern ? segments.reduce((n, s) => n + (s.text.match(pattern) || []).length, 0) : 0;
+  const speakers = [...new Set(segments.map(s => s.speaker).filter(Boolean))];
+
+  function change(next) {
+    setSegments(next);
+    setDirty(true);
+    setMsg(null);
+  }
+  const edit = (i, patch) => change(segments.map((s, j) => (j === i ? { ...s, ...patch } : s)));
+  const insertAfter = i => {
+    const s = segments[i];
+    change([...segments.slice(0, i + 1), { start: s.end, end: s.end, speaker: s.speaker, text: '' }, ...segments.slice(i + 1)]);
+  };
+  const removeSegment = i => change(segments.filter((_, j) => j !== i));
+  const replaceAll = () => change(segments.map(s => ({ ...s, text: s.text.replace(pattern, search.replace) })));
+
+  // Exports what is on screen, saved or not
+  function exportAs(format) {
+    const file = transcriptFile({ ...transcript, title, segments }, format);
+    saveBlobAs(file, file.name);
+  }
+
+  function seek(s) {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = s.start;
+    audioRef.current.play();
+  }
+
+  async function save() {
+    const cleaned = segments.filter(s => s.text.trim()).map(s => ({ ...s, text: s.text.trim(), speaker: s.speaker.trim() }));
+    const problem = checkSegments(cleaned) || (!title.trim() ? t('transcript.titleRequired') : null);
+    if (problem) { setMsg({ error: true, text: problem }); return; }
+    try {
+      const updated = await repo.transcripts.update(transcript.id, { title: title.trim(), segments: cleaned, text: cleaned.map(s => s.text).join(' '), updatedAt: Date.now() });
+      setTranscript(updated);
+      setSegments(cleaned);
+      setDirty(false);
+      setMsg({ text: t('common.saved') });
+    } catch (error) {
+      setMsg({ error: true, text: error.message });
+    }
+  }
+
+  const highlight = text => {
+    if (!pattern) return null;
+    const parts = text.split(new RegExp(`(${escapeRegExp(search.find)})`, search.matchCase ? 'g' : 'gi'));
+    return parts.length > 1 ? parts.map((p, k) => (k % 2 ? <mark key={k}>{p}</mark> : p)) : null;
+  };
+
+  return (
+    <div>
+      <Link to="/dashboard/transcripts">{t('transcript.back')}</Link>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
+        <input value={title} onChange={e => { setTitle(e.target.value); setDirty(true); }} style={{ fontSize: 18, flex: 1 }} />
+        <button onClick={save} disabled={!dirty} style={{ padding: '8px 12px', borderRadius: 8 }}>{t('common.save')}</button>
+      </div>
+      <div style={{ fontSize: 12, color: '#64748b', marginTop: 4 }}>
+        {languageLabel(transcript.language)} · {formatDuration(transcript.durationSec)} · {t('transcript.segments', { count: segments.length })}{dirty ? ` · ${t('transcript.unsaved')}` : ''}
+      </div>
+      {msg && <div style={{ color: msg.error ? 'crimson' : '#15803d', fontSize: 13 }}>{msg.text}</div>}
+
+      {audioUrl && <audio ref={audioRef} src={audioUrl} controls onTimeUpdate={e => setTime(e.target.currentTime)} style={{ width: '100%', marginTop: 8 }} />}
+      {transcript.audioKey && !audioUrl && <div style={{ fontSize: 12, color: '#64748b', marginTop: 8 }}>{t('transcript.noAudio')}</div>}
+
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', marginTop: 12 }}>
+        <input placeholder={t('transcript.find')} value={search.find} onChange={e => setSearch(x => ({ ...x, find: e.target.value }))} />
+        <input placeholder={t('transcript.replaceWith')} value={search.replace} onChange={e => setSearch(x => ({ ...x, replace: e.target.value }))} />
+        <label style={{ fontSize: 13 }}><input type="checkbox" checked={search.matchCase} onChange={e => setSearch(x => ({ ...x, matchCase: e.target.checked }))} /> {t('transcript.matchCase')}</label>
+        <button onClick={replaceAll} disabled={!matchCount}>{t('transcript.replaceAll')}</button>
+        {pattern && <span style={{ fontSize: 13 }}>{t('transcript.matches', { count: matchCount })}</span>}
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 8, fontSize: 13, alignItems: 'center' }}>
+        {t('transcript.export')}
+        {Object.entries(TRANSCRIPT_EXPORTS).map(([format, { label }]) => <button key={format} onClick={() => exportAs(format)}>{label}</button>)}
+      </div>
+
+      <datalist id="transcript-speakers">{speakers.map(sp => <option key={sp} value={sp} />)}</datalist>
+      <div style={{ marginTop: 12 }}>
+        {segments.map((s, i) => (
+          <div key={i} style={{ display: 'grid', gridTemplateColumns: timed ? '150px 1fr' : '1fr', gap: 8, padding: 8, borderTop: '1px solid #e6eef6', background: i === active ? '#eff6ff' : 'transparent' }}>
+            {timed && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12 }}>
+                <button onClick={() => seek(s)} disabled={!audioUrl} title={t('transcript.playFrom')}>▶ {formatTimestamp(s.start).slice(0, 8)}</button>
+                <TimeInput value={s.start} onChange={start => edit(i, { start })} />
+                <TimeInput value={s.end} onChange={end => edit(i, { end })} />
+              </div>
+            )}
+            <div>
+              <input list="transcript-speakers" placeholder={t('transcript.speaker')} value={s.speaker} onChange={e => edit(i, { speaker: e.target.value })} style={{ width: 160, fontSize: 12 }} />
+              <textarea value={s.text} onChange={e => edit(i, { text: e.target.value })} rows={2} style={{ width: '100%', display: 'block', marginTop: 4 }} />
+              {highlight(s.text) && <div style={{ fontSize: 12, color: '#475569' }}>{highlight(s.text)}</div>}
+              <div style={{ fontSize: 12, marginTop: 4 }}>
+                <button onClick={() => insertAfter(i)}>{t('transcript.insertAfter')}</button>
+                <button onClick={() => removeSegment(i)} style={{ marginLeft: 8 }}>{t('common.delete')}</button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
 
+// Edits a time in seconds as text; reports null while the text doesn't parse
+function TimeInput({ value, onChange }) {
+  const [text, setText] = useState(formatTimestamp(value));
+  useEffect(() => {
+    setText(t => (parseTimestamp(t) === value ? t : formatTimestamp(value)));
+  }, [value]);
+  return (
+    <input
+      value={text}
+      onChange={e => { setText(e.target.value); onChange(parseTimestamp(e.target.value)); }}
+      style={{ width: 110, fontSize: 12, borderColor: parseTimestamp(text) === null ? 'crimson' : undefined }}
+    />
+  );
+}
+
 // ---------- Root App ----------
 export default function App() {
   return (
     <Router>
       <AuthProvider>
+        <I18nProvider>
+        <ReputationProvider>
         <AppShell>
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<LoginPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
             <Route path="/tasks" element={<TasksPage />} />
+            <Route path="/tutors" element={<TutorDirectory />} />
+            <Route path="/tutors/:id" element={<TutorPage />} />
 
             <Route path="/dashboard/*" element={<RequireAuth><Dashboard /></RequireAuth>} />
+            <Route path="/admin" element={<RequireAuth roles={['admin']}><AdminConsole /></RequireAuth>} />
 
             <Route path="*" element={<div style={cardStyle}><h2>Not found</h2><Link to="/">Return home</Link></div>} />
           </Routes>
         </AppShell>
+        </ReputationProvider>
+        </I18nProvider>
       </AuthProvider>
     </Router>
   );
@@ -544,13 +5650,25 @@ export default function App() {
 ------------------
 Developer checklist & suggestions (do these next):
 - Hook up real authentication (recommended: Firebase Auth) and replace the mock localStorage flows.
-- Move data to Firestore or your backend DB. Implement proper query indexes for tasks & bids.
-- Implement server endpoints for payments; use Stripe Checkout or Payment Intents server-side.
-- Implement real transcription: accept file uploads on server, forward to Whisper/AssemblyAI/Google Speech-to-Text, return transcript.
-- Add file storage for submitted student files (S3 / Firebase Storage) and secure access controls.
-- Add messaging / chat between student and tutor, and a rating/review system.
-- Add email notifications (SendGrid / Postmark) and real push notifications if desired.
-- For production, remove plaintext passwords and use HTTPS, CSP, rate limiting, and audits.
+- Storage goes through `repo` (localStorage / IndexedDB / HTTP adapters). Run `node writely_local_server.mjs` and set
+  localStorage 'writely_storage' to 'http' to use the local API server; add proper query indexes for tasks & bids there.
+- Payments go through provider adapters (M-Pesa Daraja, Stripe, mock) in writely_local_server.mjs; deploy them behind HTTPS so webhooks can reach them.
+- Transcription jobs run on the API server through pluggable engines (whisper.cpp, OpenAI, AssemblyAI, mock); move the queue to a worker with persistent storage for production.
+- Task files go through blobStore (IndexedDB locally, the server's /blobs route otherwise, which checks access against the record that references each blob); back /blobs with S3.
+- Messaging is per task thread; attachments go through blobStore like task files.
+- Notifications are in-app with an optional email copy via the server mailer (file or SMTP); plug in SendGrid / Postmark and push notifications for production.
+- The /tutors directory reads every tutor record in the browser; serve a public profile projection with server-side search once there are many tutors.
+- With the browser backends, deadline reminders are checked by each signed-in client; the API server checks every task on a schedule,
+  so offline users get them by email too.
+- Originality checks run on the API server with the http backend (in the browser otherwise); PDF extraction is best
+  effort, so use pdftotext / pdf.js there, and move the comparison to a queue once it is too slow to run per request.
+- Amounts are integer minor units settled in CURRENCY_CONFIG.base; display rates are static config, so fetch live FX rates
+  server-side, and localize notifications and validation messages (they are stored and shown in English).
+- Dashboard analytics aggregate in the browser over every task and bid; precompute them on the server (or serve
+  tutorAnalytics / studentAnalytics results from an endpoint) once the data outgrows a client query.
+- Backups cover the JSON store only; snapshot the blob store (or S3 bucket) alongside them.
+- With the http backend, credentials and sessions live on the API server (PBKDF2 hashes, bearer tokens) and it scopes reads and
+  writes to each record's owner and task participants; the browser backends still hash passwords client-side. Use HTTPS, CSP, rate limiting, and audits in production.
 
 If you want, I can:
 - scaffold a Node/Express server with endpoints for Stripe & transcription,
@@ -0,0 +1,70 @@
+// Writely task lifecycle — shared by the app and writely_local_server.mjs, so the server accepts the same status and
+// milestone changes as the app and settles escrow with the same ledger legs. Plain JS with no browser or Node APIs.
+
+// Each transition lists who can perform it, relative to the task: 'student' is the task owner, 'tutor' the assigned
+// tutor. Admins resolve disputes.
+export const TASK_TRANSITIONS = {
+  open: { in_progress: ['student'], cancelled: ['student'] },
+  in_progress: { delivered: ['tutor'], cancelled: ['student', 'tutor'], disputed: ['student', 'tutor'] },
+  delivered: { completed: ['student'], revision_requested: ['student'], disputed: ['student', 'tutor'] },
+  revision_requested: { delivered: ['tutor'], cancelled: ['tutor'], disputed: ['student', 'tutor'] },
+  disputed: { completed: ['admin'], cancelled: ['admin'] },
+  completed: {},
+  cancelled: {}
+};
+
+export function taskActorRole(task, user) {
+  if (!user) return null;
+  if (user.role === 'admin') return 'admin';
+  if (user.id === task.studentId) return 'student';
+  if (user.id === task.tutorId) return 'tutor';
+  return null;
+}
+
+export function allowedTransitions(task, user) {
+  const role = taskActorRole(task, user);
+  const options = TASK_TRANSITIONS[task.status || 'open'] || {};
+  return Object.keys(options).filter(to => options[to].includes(role));
+}
+
+// Task statuses in which milestones are submitted and approved
+export const MILESTONE_WORKING_STATUSES = ['in_progress', 'revision_requested', 'delivered'];
+
+// The next step of the task's `kind` milestone for a user acting as `role`: the assigned tutor submits a pending
+// milestone, the student approves a submitted one. Throws when `role` can't take it.
+export function milestoneStep(task, kind, role, now = Date.now()) {
+  const milestone = (task.milestones || []).find(m => m.kind === kind);
+  if (!milestone) throw new Error('Milestone not found');
+  if (!MILESTONE_WORKING_STATUSES.includes(task.status)) throw new Error('Milestones can only be submitted while the task is in progress');
+  const status = milestone.status || 'pending';
+  if (status === 'approved') throw new Error('This milestone is already approved');
+  if (status === 'pending' && role !== 'tutor') throw new Error('Only the assigned tutor can submit a milestone');
+  if (status === 'submitted' && role !== 'student') throw new Error('Only the student can approve a milestone');
+  return status === 'pending' ? { status: 'submitted', submittedAt: now } : { status: 'approved', approvedAt: now };
+}
+
+// ---------- Escrow settlement ----------
+// Legs of a ledger transaction, amounts in integer minor units. The caller adds txId, kind and references.
+
+// Pays `amount` out of escrow to the tutor, less `commissionRate` for the platform
+export function releaseLegs(task, amount, commissionRate) {
+  const fee = Math.round(amount * commissionRate);
+  return [
+    { account: `escrow:${task.id}`, amount: -amount },
+    { account: `tutor:${task.tutorId}`, amount: amount - fee },
+    { account: 'platform:fees', amount: fee }
+  ];
+}
+
+export function refundLegs(task, amount) {
+  return [
+    { account: `escrow:${task.id}`, amount: -amount },
+    { account: `student:${task.studentId}`, amount }
+  ];
+}
+
+// How cancelling splits the `held` escrow: `refund` (default: all of it) back to the student, the rest to the tutor
+export function cancellationSplit(held, refund) {
+  const toStudent = Math.min(held, Math.max(0, refund === undefined || refund === null || Number.isNaN(refund) ? held : Math.round(refund)));
+  return { toStudent, rest: held - toStudent };
+}